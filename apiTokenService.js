@@ -0,0 +1,93 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const moment = require('moment');
+
+// Tokens look like ptb_<64 hex characters>; only their SHA-256 hash is stored
+const TOKEN_PREFIX = 'ptb_';
+// Tokens issued by logging in through the API expire; personal tokens only if asked to
+const LOGIN_TOKEN_DAYS = parseInt(process.env.API_LOGIN_TOKEN_DAYS) || 30;
+// lastUsedAt is refreshed at most this often, not on every request
+const LAST_USED_RESOLUTION_MINUTES = 5;
+
+function ApiToken() {
+  return mongoose.model('ApiToken');
+}
+
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+// Create a token for `user`. kind is 'login' (from POST /api/v1/auth/token)
+// or 'personal' (created by the user for an integration).
+// Returns { token, apiToken }; the token itself can't be shown again later.
+async function issueToken(user, { kind, name, expiresInDays }) {
+  const token = TOKEN_PREFIX + crypto.randomBytes(32).toString('hex');
+  const days = kind === 'login' ? LOGIN_TOKEN_DAYS : expiresInDays;
+
+  const apiToken = await ApiToken().create({
+    user: user._id,
+    kind,
+    name: name || '',
+    tokenHash: hashToken(token),
+    prefix: token.slice(0, TOKEN_PREFIX.length + 6),
+    expiresAt: days ? moment().add(days, 'days').toDate() : undefined
+  });
+
+  return { token, apiToken };
+}
+
+// The token record (with its user populated) for a presented token,
+// or null if it is unknown, expired or revoked
+async function authenticate(token) {
+  if (typeof token !== 'string' || !token.startsWith(TOKEN_PREFIX)) {
+    return null;
+  }
+
+  const apiToken = await ApiToken().findOne({ tokenHash: hashToken(token), revokedAt: null }).populate('user');
+  if (!apiToken || !apiToken.user || (apiToken.expiresAt && apiToken.expiresAt <= new Date())) {
+    return null;
+  }
+
+  if (!apiToken.lastUsedAt || moment(apiToken.lastUsedAt).isBefore(moment().subtract(LAST_USED_RESOLUTION_MINUTES, 'minutes'))) {
+    await ApiToken().updateOne({ _id: apiToken._id }, { $set: { lastUsedAt: new Date() } });
+  }
+  return apiToken;
+}
+
+// A user's tokens that still work, newest first
+async function listTokens(userId) {
+  return ApiToken().find({
+    user: userId,
+    revokedAt: null,
+    $or: [{ expiresAt: null }, { expiresAt: { $gt: new Date() } }]
+  }).sort({ createdAt: -1 });
+}
+
+// Returns the revoked token, or null if the user has no such working token
+async function revokeToken(tokenId, userId) {
+  return ApiToken().findOneAndUpdate(
+    { _id: tokenId, user: userId, revokedAt: null },
+    { $set: { revokedAt: new Date() } },
+    { new: true }
+  );
+}
+
+// Revoke all of a user's working tokens, except `keepTokenId` if given.
+// Returns how many were revoked.
+async function revokeAllTokens(userId, keepTokenId) {
+  const filter = { user: userId, revokedAt: null };
+  if (keepTokenId) {
+    filter._id = { $ne: keepTokenId };
+  }
+  const result = await ApiToken().updateMany(filter, { $set: { revokedAt: new Date() } });
+  return result.modifiedCount;
+}
+
+module.exports = {
+  LOGIN_TOKEN_DAYS,
+  issueToken,
+  authenticate,
+  listTokens,
+  revokeToken,
+  revokeAllTokens
+};
@@ -0,0 +1,798 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const passwordService = require('./passwordService');
+const loginThrottle = require('./loginThrottle');
+const packageService = require('./packageService');
+const availabilityService = require('./availabilityService');
+const cancellationPolicyService = require('./cancellationPolicyService');
+const apiTokenService = require('./apiTokenService');
+const bookingActions = require('./bookingActions');
+const studioTime = require('./studioTime');
+const { ApiError, validate, objectIdParam, sendError } = require('./validation');
+
+// The versioned JSON API for the mobile app and partners, mounted at /api/v1.
+// Requests authenticate with a bearer token (Authorization: Bearer ptb_...) or
+// the same token in X-API-Key; cookie logins don't count here. The route table
+// below drives both the router and the OpenAPI document at /api/v1/openapi.json.
+
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+
+const ID = { type: 'objectId', required: true };
+const PAGINATION = {
+  page: { type: 'integer', min: 1 },
+  limit: { type: 'integer', min: 1, max: MAX_PAGE_SIZE }
+};
+
+function model(name) {
+  return mongoose.model(name);
+}
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+function isAdmin(user) {
+  return user.role === 'admin';
+}
+
+// Trainers and studio admins
+function isStaff(user) {
+  return user.role === 'admin' || user.role === 'trainer';
+}
+
+function trainsSession(user, session) {
+  return user.role === 'trainer' && (session.trainer._id || session.trainer).toString() === user._id.toString();
+}
+
+function isOwner(user, booking) {
+  return (booking.client._id || booking.client).toString() === user._id.toString();
+}
+
+// ---- Serialization: the fields the API promises, nothing else ----
+
+function userJson(user) {
+  return {
+    _id: user._id,
+    name: user.name,
+    email: user.email,
+    phone: user.phone || '',
+    role: user.role,
+    emailVerified: user.emailVerified,
+    locale: user.locale,
+    remindersEnabled: !user.reminderOptOut,
+    createdAt: user.createdAt
+  };
+}
+
+function personJson(user) {
+  return user && user._id ? { _id: user._id, name: user.name } : user;
+}
+
+function sessionJson(session) {
+  return {
+    _id: session._id,
+    date: studioTime.toDay(session.date),
+    time: session.time,
+    startsAt: session.startsAt,
+    duration: session.duration,
+    exerciseType: session.exerciseType,
+    trainer: personJson(session.trainer),
+    maxCapacity: session.maxCapacity,
+    spotsLeft: Math.max(session.maxCapacity - session.currentBookings, 0),
+    description: session.description,
+    price: session.price,
+    groupPrices: session.groupPrices.map(({ groupSize, pricePerPerson }) => ({ groupSize, pricePerPerson })),
+    status: session.status
+  };
+}
+
+function bookingJson(booking, user) {
+  const json = {
+    _id: booking._id,
+    session: booking.session && booking.session.time ? sessionJson(booking.session) : booking.session,
+    client: booking.client && booking.client._id
+      ? { _id: booking.client._id, name: booking.client.name, email: booking.client.email }
+      : booking.client,
+    groupSize: booking.groupSize,
+    status: booking.status,
+    isPackageBooking: booking.isPackageBooking,
+    creditsUsed: booking.creditsUsed,
+    price: booking.price,
+    paymentStatus: booking.paymentStatus,
+    cancellationDeadline: booking.cancellationDeadline,
+    attendance: booking.attendance,
+    cancelledAt: booking.cancelledAt || null,
+    cancellationReason: booking.cancellationReason,
+    lateCancellation: booking.lateCancellation,
+    createdAt: booking.createdAt
+  };
+  // Trainer notes are for trainers
+  if (isStaff(user)) {
+    json.notes = booking.notes;
+  }
+  return json;
+}
+
+function packageJson(pkg) {
+  return {
+    _id: pkg._id,
+    name: pkg.name,
+    credits: pkg.credits,
+    remainingCredits: pkg.remainingCredits,
+    pricePaid: pkg.pricePaid,
+    expiresAt: pkg.expiresAt,
+    createdAt: pkg.createdAt
+  };
+}
+
+function productJson(product) {
+  return {
+    _id: product._id,
+    name: product.name,
+    credits: product.credits,
+    validityDays: product.validityDays,
+    price: product.price,
+    isDefault: product.isDefault
+  };
+}
+
+function clientJson(client, balance) {
+  return {
+    ...userJson(client),
+    remainingCredits: balance ? balance.remainingCredits : 0,
+    packageExpiry: balance ? balance.expiresAt : null
+  };
+}
+
+// One page of `Model.find(filter)`, as { data, pagination } once serialized by the route
+async function paginate(query, Model, filter, { sort, populate }) {
+  const page = query.page || 1;
+  const limit = query.limit || DEFAULT_PAGE_SIZE;
+  const [items, total] = await Promise.all([
+    Model.find(filter).sort(sort).skip((page - 1) * limit).limit(limit).populate(populate || []),
+    Model.countDocuments(filter)
+  ]);
+  return { items, pagination: { page, limit, total, pages: Math.ceil(total / limit) } };
+}
+
+async function findBooking(req, populate) {
+  const booking = await model('Booking').findById(req.params.id).populate(populate);
+  // Bookings the user can't see don't exist as far as they can tell
+  if (!booking || !(isAdmin(req.user) || isOwner(req.user, booking) || trainsSession(req.user, booking.session))) {
+    throw new ApiError(404, 'Booking not found');
+  }
+  return booking;
+}
+
+const BOOKING_POPULATE = [{ path: 'session', populate: { path: 'trainer' } }, 'client'];
+
+// ---- Routes ----
+// auth: 'none', 'user' (any token) or 'admin' (studio admins only).
+// Handlers return the response body; `status` overrides 200.
+
+const routes = [
+  {
+    method: 'post',
+    path: '/auth/token',
+    auth: 'none',
+    tag: 'Auth',
+    summary: 'Log in and get a bearer token',
+    description: `Tokens from this endpoint expire after ${apiTokenService.LOGIN_TOKEN_DAYS} days.`,
+    status: 201,
+    body: {
+      email: { type: 'email', required: true },
+      password: { type: 'string', required: true, maxLength: 200 },
+      name: { type: 'string', maxLength: 100, description: 'Device or app the token is for' }
+    },
+    handler: async (req) => {
+      const { email, password, name } = req.body;
+
+      const lockout = loginThrottle.getLockout(email, req.ip);
+      if (lockout > 0) {
+        const minutes = Math.ceil(lockout / 60000);
+        throw new ApiError(429, `Too many failed login attempts. Please try again in ${minutes} minute${minutes === 1 ? '' : 's'}.`);
+      }
+
+      const user = await model('User').findOne({ email });
+      const passwordOk = user
+        ? await passwordService.verifyPassword(password, user.password)
+        : await passwordService.verifyUnknownUser(password);
+      if (!passwordOk) {
+        loginThrottle.recordFailure(email, req.ip);
+        throw new ApiError(401, 'Invalid email or password');
+      }
+      loginThrottle.recordSuccess(email);
+
+      // Upgrade accounts that still have a plaintext password
+      if (!passwordService.isHashed(user.password)) {
+        user.password = password;
+        await user.save();
+      }
+
+      const { token, apiToken } = await apiTokenService.issueToken(user, { kind: 'login', name });
+      return { token, expiresAt: apiToken.expiresAt, user: userJson(user) };
+    }
+  },
+  {
+    method: 'delete',
+    path: '/auth/token',
+    auth: 'user',
+    tag: 'Auth',
+    summary: 'Log out: revoke the token used for this request',
+    handler: async (req) => {
+      await apiTokenService.revokeToken(req.apiToken._id, req.user._id);
+      return { success: true };
+    }
+  },
+  {
+    method: 'get',
+    path: '/me',
+    auth: 'user',
+    tag: 'Auth',
+    summary: 'The user the token belongs to',
+    handler: async (req) => userJson(req.user)
+  },
+  {
+    method: 'get',
+    path: '/sessions',
+    auth: 'user',
+    tag: 'Sessions',
+    summary: 'Scheduled sessions, soonest first',
+    description: 'Dates are calendar days and times are wall-clock times in the studio time zone; startsAt is the exact instant.',
+    paginated: true,
+    query: {
+      from: { type: 'date', description: 'First day (default: today)' },
+      to: { type: 'date', description: 'Last day' },
+      exerciseType: { type: 'string', enum: ['body-health', 'regular-training'] },
+      trainer: { type: 'objectId' }
+    },
+    handler: async (req) => {
+      const { from, to, exerciseType, trainer } = req.query;
+      const date = { $gte: from ? studioTime.toSessionDate(from) : studioTime.today() };
+      if (to) {
+        date.$lte = studioTime.toSessionDate(to);
+      }
+      const filter = { date, status: 'scheduled', isActive: true };
+      if (exerciseType) {
+        filter.exerciseType = exerciseType;
+      }
+      if (trainer) {
+        filter.trainer = trainer;
+      }
+
+      const { items, pagination } = await paginate(req.query, model('Session'), filter, {
+        sort: { startsAt: 1 },
+        populate: 'trainer'
+      });
+      return { data: items.map(sessionJson), pagination };
+    }
+  },
+  {
+    method: 'get',
+    path: '/sessions/:id',
+    auth: 'user',
+    tag: 'Sessions',
+    summary: 'One session',
+    handler: async (req) => {
+      const session = await model('Session').findById(req.params.id).populate('trainer');
+      if (!session || (!isAdmin(req.user) && !session.isActive)) {
+        throw new ApiError(404, 'Session not found');
+      }
+      return sessionJson(session);
+    }
+  },
+  {
+    method: 'get',
+    path: '/availability',
+    auth: 'admin',
+    tag: 'Sessions',
+    summary: "A trainer's free time slots",
+    description: 'Hour-long slots inside the working hours that are not on time off or taken by a session (at most 31 days).',
+    query: {
+      trainer: ID,
+      from: { type: 'date', required: true },
+      to: { type: 'date', required: true }
+    },
+    handler: async (req) => {
+      const trainer = await model('User').findOne({ _id: req.query.trainer, role: { $in: ['admin', 'trainer'] } });
+      if (!trainer) {
+        throw new ApiError(404, 'Trainer not found');
+      }
+      const slots = await availabilityService.getFreeSlots(trainer, req.query.from, req.query.to);
+      return { trainer: personJson(trainer), slots };
+    }
+  },
+  {
+    method: 'get',
+    path: '/bookings',
+    auth: 'user',
+    tag: 'Bookings',
+    summary: 'Bookings, newest first (clients see their own, trainers those for their sessions)',
+    paginated: true,
+    query: {
+      status: { type: 'string', enum: ['confirmed', 'cancelled'] },
+      session: { type: 'objectId' },
+      client: { type: 'objectId', description: 'Trainers and studio admins only' }
+    },
+    handler: async (req) => {
+      const { status, session, client } = req.query;
+      const filter = {};
+      if (status) {
+        filter.status = status;
+      }
+      if (session) {
+        filter.session = session;
+      }
+      if (!isStaff(req.user)) {
+        filter.client = req.user._id;
+      } else if (client) {
+        filter.client = client;
+      }
+      if (req.user.role === 'trainer') {
+        const ownSessions = await model('Session').distinct('_id', { trainer: req.user._id });
+        filter.session = session ? { $eq: session, $in: ownSessions } : { $in: ownSessions };
+      }
+
+      const { items, pagination } = await paginate(req.query, model('Booking'), filter, {
+        sort: { createdAt: -1 },
+        populate: BOOKING_POPULATE
+      });
+      return { data: items.map(booking => bookingJson(booking, req.user)), pagination };
+    }
+  },
+  {
+    method: 'get',
+    path: '/bookings/:id',
+    auth: 'user',
+    tag: 'Bookings',
+    summary: 'One booking',
+    handler: async (req) => bookingJson(await findBooking(req, BOOKING_POPULATE), req.user)
+  },
+  {
+    method: 'post',
+    path: '/bookings',
+    auth: 'user',
+    tag: 'Bookings',
+    summary: 'Book a session for the current client',
+    description: 'Package bookings use one credit per person. A full session fails with code session_full; the client can join its waitlist instead. ' +
+      'Clients must have confirmed their email address (code email_unverified otherwise).',
+    status: 201,
+    body: {
+      sessionId: ID,
+      groupSize: { type: 'integer', min: 1, max: 4, required: true },
+      isPackageBooking: { type: 'boolean' }
+    },
+    handler: async (req) => {
+      if (isStaff(req.user)) {
+        throw new ApiError(403, 'Trainers cannot book sessions');
+      }
+
+      const session = await model('Session').findById(req.body.sessionId).populate('trainer');
+      if (!session) {
+        throw new ApiError(404, 'Session not found');
+      }
+
+      const result = await bookingActions.book(session, req.user, req.body);
+      if (result.unverified) {
+        throw new ApiError(403, result.error, { code: 'email_unverified' });
+      }
+      if (!result.success) {
+        throw result.full
+          ? new ApiError(409, result.error, { code: 'session_full' })
+          : new ApiError(400, result.error);
+      }
+
+      const booking = await model('Booking').findById(result.booking._id).populate(BOOKING_POPULATE);
+      return bookingJson(booking, req.user);
+    }
+  },
+  {
+    method: 'get',
+    path: '/bookings/:id/cancellation',
+    auth: 'user',
+    tag: 'Bookings',
+    summary: 'What cancelling the booking now would cost',
+    handler: async (req) => {
+      const booking = await findBooking(req, 'session');
+      if (booking.status !== 'confirmed') {
+        throw new ApiError(404, 'Booking not found');
+      }
+
+      const assessment = await cancellationPolicyService.assessCancellation(booking, booking.session);
+      return {
+        late: assessment.late,
+        waived: assessment.waived,
+        forfeitCredits: assessment.forfeitCredits,
+        fee: assessment.fee,
+        message: assessment.message,
+        policy: cancellationPolicyService.describePolicy(assessment.policy)
+      };
+    }
+  },
+  {
+    method: 'delete',
+    path: '/bookings/:id',
+    auth: 'user',
+    tag: 'Bookings',
+    summary: "Cancel a booking under the session's cancellation policy",
+    body: {
+      reason: { type: 'string', maxLength: 500 },
+      waivePenalty: { type: 'boolean', description: 'Studio admins only: waive the late-cancellation penalty' }
+    },
+    handler: async (req) => {
+      const booking = await findBooking(req, BOOKING_POPULATE);
+      if (booking.status !== 'confirmed') {
+        throw new ApiError(404, 'Booking not found');
+      }
+      if (!isAdmin(req.user) && !isOwner(req.user, booking)) {
+        throw new ApiError(403, 'Not authorized');
+      }
+
+      // Once the session has started it is a matter of attendance, not cancellation
+      if (!isAdmin(req.user) && booking.session.startsAt <= new Date()) {
+        throw new ApiError(400, 'This session has already started');
+      }
+
+      const result = await bookingActions.cancel(booking, req.user, req.body);
+      if (!result) {
+        throw new ApiError(404, 'Booking not found');
+      }
+      return { success: true, ...result };
+    }
+  },
+  {
+    method: 'get',
+    path: '/packages',
+    auth: 'user',
+    tag: 'Packages',
+    summary: 'Packages bought, newest first, with the credit balance',
+    paginated: true,
+    query: {
+      client: { type: 'objectId', description: 'Studio admins only, and required for them' }
+    },
+    handler: async (req) => {
+      let client = req.user._id;
+      if (isAdmin(req.user)) {
+        if (!req.query.client) {
+          throw new ApiError(400, 'client is required', { code: 'validation_failed', fields: { client: 'is required' } });
+        }
+        client = req.query.client;
+      }
+
+      const [{ items, pagination }, balance] = await Promise.all([
+        paginate(req.query, model('Package'), { client }, { sort: { createdAt: -1 } }),
+        packageService.getBalance(client)
+      ]);
+      return {
+        data: items.map(packageJson),
+        pagination,
+        balance: { remainingCredits: balance.remainingCredits, expiresAt: balance.expiresAt }
+      };
+    }
+  },
+  {
+    method: 'get',
+    path: '/package-products',
+    auth: 'user',
+    tag: 'Packages',
+    summary: 'Packages the studio sells',
+    handler: async () => {
+      const products = await model('PackageProduct').find({ isActive: true }).sort({ credits: 1 });
+      return { data: products.map(productJson) };
+    }
+  },
+  {
+    method: 'get',
+    path: '/clients',
+    auth: 'admin',
+    tag: 'Clients',
+    summary: 'Clients by name, with their credit balance',
+    paginated: true,
+    query: {
+      search: { type: 'string', maxLength: 100, description: 'Part of the name or email' }
+    },
+    handler: async (req) => {
+      const filter = { role: 'client' };
+      if (req.query.search) {
+        const pattern = new RegExp(escapeRegExp(req.query.search), 'i');
+        filter.$or = [{ name: pattern }, { email: pattern }];
+      }
+
+      const { items, pagination } = await paginate(req.query, model('User'), filter, { sort: { name: 1 } });
+      const balances = await packageService.getBalances(items.map(client => client._id));
+      return { data: items.map(client => clientJson(client, balances[client._id.toString()])), pagination };
+    }
+  },
+  {
+    method: 'get',
+    path: '/clients/:id',
+    auth: 'admin',
+    tag: 'Clients',
+    summary: 'One client',
+    handler: async (req) => {
+      const client = await model('User').findOne({ _id: req.params.id, role: 'client' });
+      if (!client) {
+        throw new ApiError(404, 'Client not found');
+      }
+      const balances = await packageService.getBalances([client._id]);
+      return clientJson(client, balances[client._id.toString()]);
+    }
+  }
+];
+
+// ---- Authentication ----
+
+function presentedToken(req) {
+  const header = req.get('Authorization');
+  if (header && /^Bearer\s+/i.test(header)) {
+    return header.replace(/^Bearer\s+/i, '').trim();
+  }
+  return req.get('X-API-Key') || null;
+}
+
+function authenticate(level) {
+  return async (req, res, next) => {
+    // Never fall back to the cookie session: the API must not be usable cross-site
+    req.user = null;
+    if (level === 'none') {
+      return next();
+    }
+
+    try {
+      const token = presentedToken(req);
+      const apiToken = token ? await apiTokenService.authenticate(token) : null;
+      if (!apiToken) {
+        res.set('WWW-Authenticate', 'Bearer');
+        throw new ApiError(401, token ? 'Invalid or expired token' : 'An API token is required');
+      }
+
+      req.user = apiToken.user;
+      req.apiToken = apiToken;
+      if (level === 'admin' && !isAdmin(req.user)) {
+        throw new ApiError(403, 'Only studio admins can do this');
+      }
+      next();
+    } catch (error) {
+      sendError(res, error);
+    }
+  };
+}
+
+// ---- OpenAPI ----
+
+function ruleSchema(rule) {
+  const schema = {};
+  switch (rule.type) {
+    case 'string':
+      schema.type = 'string';
+      if (rule.enum) {
+        schema.enum = rule.enum;
+      }
+      if (rule.maxLength) {
+        schema.maxLength = rule.maxLength;
+      }
+      break;
+    case 'email':
+      Object.assign(schema, { type: 'string', format: 'email' });
+      break;
+    case 'integer':
+    case 'number':
+      schema.type = rule.type;
+      if (rule.min !== undefined) {
+        schema.minimum = rule.min;
+      }
+      if (rule.max !== undefined) {
+        schema.maximum = rule.max;
+      }
+      break;
+    case 'boolean':
+      schema.type = 'boolean';
+      break;
+    case 'objectId':
+      Object.assign(schema, { type: 'string', pattern: '^[0-9a-fA-F]{24}$' });
+      break;
+    case 'date':
+      Object.assign(schema, { type: 'string', format: 'date' });
+      break;
+    case 'datetime':
+      Object.assign(schema, { type: 'string', format: 'date-time' });
+      break;
+    case 'time':
+      Object.assign(schema, { type: 'string', pattern: '^([01]\\d|2[0-3]):[0-5]\\d$' });
+      break;
+    case 'array':
+      Object.assign(schema, { type: 'array', items: ruleSchema(rule.items) });
+      if (rule.minItems) {
+        schema.minItems = rule.minItems;
+      }
+      if (rule.maxItems) {
+        schema.maxItems = rule.maxItems;
+      }
+      break;
+    case 'object':
+      Object.assign(schema, objectSchema(rule.fields));
+      break;
+  }
+  if (rule.nullable) {
+    schema.nullable = true;
+  }
+  if (rule.description) {
+    schema.description = rule.description;
+  }
+  return schema;
+}
+
+function objectSchema(fields) {
+  const schema = { type: 'object', properties: {} };
+  const required = [];
+  for (const [name, rule] of Object.entries(fields)) {
+    schema.properties[name] = ruleSchema(rule);
+    if (rule.required) {
+      required.push(name);
+    }
+  }
+  if (required.length > 0) {
+    schema.required = required;
+  }
+  return schema;
+}
+
+function pathParams(path) {
+  return (path.match(/:\w+/g) || []).map(param => param.slice(1));
+}
+
+// e.g. getBookingsIdCancellation for GET /bookings/:id/cancellation
+function operationId(route) {
+  const words = route.path.split(/[/:-]+/).filter(Boolean);
+  return route.method + words.map(word => word[0].toUpperCase() + word.slice(1)).join('');
+}
+
+function operation(route) {
+  const op = {
+    tags: [route.tag],
+    summary: route.summary,
+    operationId: operationId(route),
+    parameters: [],
+    responses: {
+      [route.status || 200]: {
+        description: 'Success',
+        content: { 'application/json': { schema: route.paginated ? { $ref: '#/components/schemas/Page' } : { type: 'object' } } }
+      },
+      default: { $ref: '#/components/responses/Error' }
+    }
+  };
+  if (route.description) {
+    op.description = route.description;
+  }
+  if (route.auth === 'none') {
+    op.security = [];
+  } else if (route.auth === 'admin') {
+    op.description = [op.description, 'Studio admins only.'].filter(Boolean).join(' ');
+  }
+
+  for (const name of pathParams(route.path)) {
+    op.parameters.push({ name, in: 'path', required: true, schema: ruleSchema(ID) });
+  }
+  const query = route.paginated ? { ...route.query, ...PAGINATION } : route.query || {};
+  for (const [name, rule] of Object.entries(query)) {
+    const { description, ...schemaRule } = rule;
+    const parameter = { name, in: 'query', required: Boolean(rule.required), schema: ruleSchema(schemaRule) };
+    if (description) {
+      parameter.description = description;
+    }
+    op.parameters.push(parameter);
+  }
+  if (route.body) {
+    op.requestBody = {
+      required: true,
+      content: { 'application/json': { schema: objectSchema(route.body) } }
+    };
+  }
+  return op;
+}
+
+function openApiDocument(serverUrl) {
+  const paths = {};
+  for (const route of routes) {
+    const path = route.path.replace(/:(\w+)/g, '{$1}');
+    paths[path] = paths[path] || {};
+    paths[path][route.method] = operation(route);
+  }
+  paths['/openapi.json'] = {
+    get: {
+      tags: ['Meta'],
+      summary: 'This document',
+      operationId: 'getOpenapi',
+      security: [],
+      responses: { 200: { description: 'OpenAPI 3 document', content: { 'application/json': { schema: { type: 'object' } } } } }
+    }
+  };
+
+  return {
+    openapi: '3.0.3',
+    info: {
+      title: 'Personal Training Booking API',
+      version: '1.0.0',
+      description: `Session dates and times are in the studio time zone (${studioTime.STUDIO_TIMEZONE}). ` +
+        'Errors have the form { error, code, fields? }.'
+    },
+    servers: [{ url: serverUrl }],
+    security: [{ bearerAuth: [] }, { apiKey: [] }],
+    tags: [...new Set(routes.map(route => route.tag)), 'Meta'].map(name => ({ name })),
+    paths,
+    components: {
+      securitySchemes: {
+        bearerAuth: { type: 'http', scheme: 'bearer', description: 'A token from POST /auth/token or a personal API token' },
+        apiKey: { type: 'apiKey', in: 'header', name: 'X-API-Key' }
+      },
+      schemas: {
+        Error: {
+          type: 'object',
+          required: ['error', 'code'],
+          properties: {
+            error: { type: 'string' },
+            code: { type: 'string', example: 'validation_failed' },
+            fields: { type: 'object', additionalProperties: { type: 'string' } }
+          }
+        },
+        Pagination: {
+          type: 'object',
+          properties: {
+            page: { type: 'integer' },
+            limit: { type: 'integer' },
+            total: { type: 'integer' },
+            pages: { type: 'integer' }
+          }
+        },
+        Page: {
+          type: 'object',
+          properties: {
+            data: { type: 'array', items: { type: 'object' } },
+            pagination: { $ref: '#/components/schemas/Pagination' }
+          }
+        }
+      },
+      responses: {
+        Error: {
+          description: 'Error',
+          content: { 'application/json': { schema: { $ref: '#/components/schemas/Error' } } }
+        }
+      }
+    }
+  };
+}
+
+function createRouter() {
+  const router = express.Router();
+  router.param('id', objectIdParam);
+
+  router.get('/openapi.json', (req, res) => {
+    res.json(openApiDocument(`${req.protocol}://${req.get('host')}${req.baseUrl}`));
+  });
+
+  for (const route of routes) {
+    const params = pathParams(route.path);
+    const query = route.paginated ? { ...route.query, ...PAGINATION } : route.query;
+    router[route.method](route.path, authenticate(route.auth), validate({
+      params: params.length > 0 ? Object.fromEntries(params.map(name => [name, ID])) : undefined,
+      query,
+      body: route.body
+    }), async (req, res) => {
+      try {
+        const body = await route.handler(req, res);
+        res.status(route.status || 200).json(body);
+      } catch (error) {
+        sendError(res, error);
+      }
+    });
+  }
+
+  return router;
+}
+
+module.exports = {
+  routes,
+  openApiDocument,
+  createRouter
+};
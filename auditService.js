@@ -0,0 +1,94 @@
+const mongoose = require('mongoose');
+
+const DEFAULT_LIMIT = 50;
+const MAX_LIMIT = 200;
+
+// Session fields whose changes are recorded in the audit log
+const SESSION_FIELDS = ['date', 'time', 'duration', 'exerciseType', 'trainer', 'maxCapacity', 'description', 'isActive'];
+
+function AuditLog() {
+  return mongoose.model('AuditLog');
+}
+
+function idOf(value) {
+  return value && value._id ? value._id : value;
+}
+
+function comparable(value) {
+  if (value instanceof Date) {
+    return value.getTime();
+  }
+  if (value && value._id) {
+    return value._id.toString();
+  }
+  return value && value.toString ? value.toString() : value;
+}
+
+// Fields that differ between two snapshots, as { field: { from, to } }
+function diff(before, after, fields) {
+  const changes = {};
+  for (const field of fields) {
+    const from = before ? before[field] : undefined;
+    const to = after ? after[field] : undefined;
+    if (comparable(from) !== comparable(to)) {
+      changes[field] = { from: idOf(from), to: idOf(to) };
+    }
+  }
+  return changes;
+}
+
+// Append an entry to the audit log. `client` and `session` are what the entry is
+// searchable by, so booking entries carry both. Auditing must never undo the change
+// it describes, so a failed write is logged rather than thrown.
+async function record({ actor, action, entityType, entityId, client, session, changes, note }) {
+  try {
+    return await AuditLog().create({
+      actor: idOf(actor) || null,
+      action,
+      entityType,
+      entityId: idOf(entityId),
+      client: idOf(client) || undefined,
+      session: idOf(session) || undefined,
+      changes: changes || {},
+      note: note || ''
+    });
+  } catch (error) {
+    console.error(`Error writing audit log entry ${action}:`, error);
+    return null;
+  }
+}
+
+// Newest entries first, filtered by client, session and/or entity type.
+// Pass the createdAt of the last entry as `before` to fetch the next page.
+async function search({ client, session, entityType, before, limit } = {}) {
+  const query = {};
+  if (client) {
+    query.client = client;
+  }
+  if (session) {
+    // Moves are filed under the new session but belong to the old one's history too
+    query.$or = [
+      { session },
+      { action: 'booking.move', 'changes.session.from': new mongoose.Types.ObjectId(session) }
+    ];
+  }
+  if (entityType) {
+    query.entityType = entityType;
+  }
+  if (before) {
+    query.createdAt = { $lt: new Date(before) };
+  }
+
+  return AuditLog().find(query)
+    .populate('actor', 'name email')
+    .populate('client', 'name email')
+    .sort({ createdAt: -1 })
+    .limit(Math.min(parseInt(limit) || DEFAULT_LIMIT, MAX_LIMIT));
+}
+
+module.exports = {
+  SESSION_FIELDS,
+  diff,
+  record,
+  search
+};
@@ -0,0 +1,143 @@
+const mongoose = require('mongoose');
+const moment = require('moment');
+const studioTime = require('./studioTime');
+
+const DEFAULT_DURATION = 60;
+// Longest session the schema allows; an earlier session can't reach further than this
+const MAX_DURATION = 240;
+const MINUTE = 60 * 1000;
+// Used for free-slot search when a trainer has no working hours set
+const DEFAULT_HOURS = { start: '07:00', end: '20:00' };
+const MAX_RANGE_DAYS = 31;
+
+function toMinutes(time) {
+  const [hours, minutes] = time.split(':');
+  return parseInt(hours) * 60 + parseInt(minutes);
+}
+
+function toTime(totalMinutes) {
+  const hours = Math.floor(totalMinutes / 60);
+  const minutes = totalMinutes % 60;
+  return `${String(hours).padStart(2, '0')}:${String(minutes).padStart(2, '0')}`;
+}
+
+function isOnTimeOff(trainer, date) {
+  const day = studioTime.toDay(date);
+  return (trainer.timeOff || []).some(entry => day >= studioTime.toDay(entry.start) && day <= studioTime.toDay(entry.end));
+}
+
+// Working-hour windows for the weekday of `date`. Trainers without any
+// working hours configured are treated as available all day.
+function workingWindows(trainer, date) {
+  const hours = trainer.workingHours || [];
+  if (hours.length === 0) {
+    return null;
+  }
+  const weekday = moment.utc(date).day();
+  return hours.filter(entry => entry.dayOfWeek === weekday);
+}
+
+function overlaps(startA, endA, startB, endB) {
+  return startA < endB && startB < endA;
+}
+
+// Start and end of a session as timestamps, so sessions that run past
+// midnight are compared with the next day's sessions too
+function sessionSpan(session) {
+  const start = (session.startsAt || studioTime.sessionStart(session)).getTime();
+  return [start, start + (session.duration || DEFAULT_DURATION) * MINUTE];
+}
+
+// The trainer's sessions that may overlap [start, end): any that start
+// before `end` and less than the longest session length before `start`
+function sessionsAround(trainerId, start, end, excludeSessionId) {
+  const query = {
+    trainer: trainerId,
+    startsAt: { $gt: new Date(start - MAX_DURATION * MINUTE), $lt: new Date(end) },
+    status: { $ne: 'cancelled' }
+  };
+  if (excludeSessionId) {
+    query._id = { $ne: excludeSessionId };
+  }
+  return mongoose.model('Session').find(query);
+}
+
+// Check that a trainer can run a session in the given slot.
+// Returns { ok: true } or { ok: false, reason }.
+async function checkSessionSlot({ trainerId, date, time, duration, excludeSessionId }) {
+  const trainer = await mongoose.model('User').findById(trainerId);
+  if (!trainer) {
+    return { ok: false, reason: 'Trainer not found' };
+  }
+
+  const start = toMinutes(time);
+  const end = start + (parseInt(duration) || DEFAULT_DURATION);
+
+  if (isOnTimeOff(trainer, date)) {
+    return { ok: false, reason: `${trainer.name} is off on this date` };
+  }
+
+  const windows = workingWindows(trainer, date);
+  if (windows && !windows.some(w => start >= toMinutes(w.start) && end <= toMinutes(w.end))) {
+    return { ok: false, reason: `Outside ${trainer.name}'s working hours` };
+  }
+
+  const startsAt = studioTime.zonedInstant(date, time).getTime();
+  const endsAt = startsAt + (end - start) * MINUTE;
+  const nearby = await sessionsAround(trainer._id, startsAt, endsAt, excludeSessionId);
+  const clash = nearby.find(other => overlaps(startsAt, endsAt, ...sessionSpan(other)));
+
+  if (clash) {
+    const otherDay = studioTime.toDay(clash.date);
+    const when = otherDay === studioTime.toDay(date) ? clash.time : `${otherDay} ${clash.time}`;
+    return { ok: false, reason: `${trainer.name} already has a session at ${when}` };
+  }
+
+  return { ok: true };
+}
+
+// Free slots for a trainer between two dates (inclusive), in steps of
+// slotMinutes. Slots that have already started are left out.
+async function getFreeSlots(trainer, from, to, slotMinutes = DEFAULT_DURATION) {
+  const first = moment.utc(studioTime.toDay(from));
+  const last = moment.utc(studioTime.toDay(to));
+  const days = Math.min(last.diff(first, 'days'), MAX_RANGE_DAYS - 1);
+  const now = Date.now();
+
+  const sessions = await sessionsAround(
+    trainer._id,
+    studioTime.zonedInstant(first, '00:00').getTime(),
+    studioTime.zonedInstant(first.clone().add(days + 1, 'days'), '00:00').getTime()
+  );
+  const busy = sessions.map(sessionSpan);
+
+  const slots = [];
+  for (let i = 0; i <= days; i++) {
+    const date = first.clone().add(i, 'days');
+    const key = date.format('YYYY-MM-DD');
+
+    if (isOnTimeOff(trainer, date)) {
+      continue;
+    }
+
+    const windows = workingWindows(trainer, date) || [DEFAULT_HOURS];
+
+    for (const window of windows) {
+      for (let start = toMinutes(window.start); start + slotMinutes <= toMinutes(window.end); start += slotMinutes) {
+        const slotStart = studioTime.zonedInstant(key, toTime(start)).getTime();
+        const slotEnd = slotStart + slotMinutes * MINUTE;
+        if (slotStart >= now && !busy.some(([busyStart, busyEnd]) => overlaps(slotStart, slotEnd, busyStart, busyEnd))) {
+          slots.push({ date: key, time: toTime(start) });
+        }
+      }
+    }
+  }
+
+  return slots;
+}
+
+module.exports = {
+  DEFAULT_DURATION,
+  checkSessionSlot,
+  getFreeSlots
+};
@@ -0,0 +1,90 @@
+const bookingService = require('./bookingService');
+const emailService = require('./emailService');
+const waitlistService = require('./waitlistService');
+const cancellationPolicyService = require('./cancellationPolicyService');
+
+const UNVERIFIED_EMAIL = 'Please confirm your email address before booking';
+
+// What a booking or cancellation request does from start to finish, for the web
+// routes and /api/v1 alike: the booking change, the emails and the waitlist.
+
+// Book `session` (with trainer populated) for `client`; the session's trainer is notified.
+// Returns { success: true, booking } or { success: false, error, full, unverified }.
+async function book(session, client, { groupSize, isPackageBooking }) {
+  if (!client.emailVerified) {
+    return { success: false, error: UNVERIFIED_EMAIL, unverified: true };
+  }
+  if (!session.isActive || session.startsAt <= new Date()) {
+    return { success: false, error: 'Session not available' };
+  }
+
+  const result = await bookingService.createBooking({
+    session,
+    client,
+    groupSize,
+    isPackageBooking,
+    actor: client._id
+  });
+  if (!result.success) {
+    return result;
+  }
+
+  try {
+    const emailResult = await emailService.sendBookingConfirmation(result.booking, session, client, session.trainer);
+    console.log('Booking confirmation emails sent:', emailResult);
+  } catch (emailError) {
+    console.error('Error sending confirmation emails:', emailError);
+  }
+
+  return result;
+}
+
+// Cancel `booking` (session with trainer, and client populated) for `user` under
+// the session's cancellation policy. Late cancellations cost what the policy says;
+// studio admins may waive that, but only explicitly, and the waiver goes to the audit log.
+// Returns { lateCancellation, fee, promoted }, or null if the booking was already cancelled.
+async function cancel(booking, user, { reason, waivePenalty }) {
+  const assessment = await cancellationPolicyService.assessCancellation(booking, booking.session);
+  const staffWaived = user.role === 'admin' && waivePenalty === true &&
+    (assessment.forfeitCredits || assessment.fee > 0);
+
+  const cancelled = await bookingService.cancelBooking(booking, {
+    actor: user._id,
+    refundCredits: !assessment.forfeitCredits || staffWaived,
+    reason,
+    note: assessment.late ? 'Late cancellation' : 'Booking cancelled',
+    lateCancellation: assessment.late,
+    penaltyWaived: assessment.waived,
+    staffWaived,
+    fee: staffWaived ? 0 : assessment.fee
+  });
+  if (!cancelled) {
+    return null;
+  }
+
+  try {
+    await emailService.sendCancellationNotification(booking, booking.session, booking.client);
+  } catch (emailError) {
+    console.error('Error sending cancellation email:', emailError);
+  }
+
+  // Offer the freed seats to the waitlist
+  let promoted = [];
+  try {
+    promoted = await waitlistService.promoteWaitlist(booking.session._id);
+  } catch (waitlistError) {
+    console.error('Error promoting waitlist:', waitlistError);
+  }
+
+  return {
+    lateCancellation: assessment.late,
+    fee: staffWaived ? 0 : assessment.fee,
+    promoted: promoted.length
+  };
+}
+
+module.exports = {
+  UNVERIFIED_EMAIL,
+  book,
+  cancel
+};
@@ -0,0 +1,324 @@
+const mongoose = require('mongoose');
+const moment = require('moment');
+const capacityService = require('./capacityService');
+const packageService = require('./packageService');
+const pricingService = require('./pricingService');
+const paymentService = require('./paymentService');
+const auditService = require('./auditService');
+const cancellationPolicyService = require('./cancellationPolicyService');
+
+// Hours a single booking may stay unpaid before its seats are released.
+// 0 (the default) keeps unpaid bookings until the trainer settles them by hand.
+const PAYMENT_HOLD_HOURS = parseFloat(process.env.BOOKING_PAYMENT_HOLD_HOURS) || 0;
+
+// Invoice a single booking, due by the end of the payment hold (never after the session starts)
+async function invoiceBooking(booking, session) {
+  let dueAt = null;
+  if (PAYMENT_HOLD_HOURS > 0) {
+    const holdEnd = moment().add(PAYMENT_HOLD_HOURS, 'hours').toDate();
+    dueAt = new Date(Math.min(holdEnd.getTime(), session.startsAt.getTime()));
+  }
+
+  const invoice = await paymentService.createInvoice({
+    client: booking.client,
+    booking: booking._id,
+    dueAt,
+    items: [{
+      description: `${session.exerciseType === 'body-health' ? 'Body Health' : 'Regular Training'} session, ${moment.utc(session.date).format('MMM DD, YYYY')} at ${session.time}`,
+      quantity: booking.groupSize,
+      unitPrice: booking.price / booking.groupSize
+    }]
+  });
+
+  booking.invoice = invoice._id;
+  booking.paymentStatus = 'unpaid';
+  booking.paymentDueAt = dueAt || undefined;
+  return invoice;
+}
+
+// Create a confirmed booking: reserve the seats, draw package credits if
+// needed and save, undoing the earlier steps if a later one fails.
+// `actor` (empty for the waitlist) and `note` go to the audit log.
+// Returns { success: true, booking } or { success: false, error }.
+async function createBooking({ session, client, groupSize, isPackageBooking, actor, note }) {
+  const Booking = mongoose.model('Booking');
+
+  const booking = new Booking({
+    session: session._id,
+    client: client._id,
+    groupSize,
+    isPackageBooking: isPackageBooking || false
+  });
+
+  if (!booking.isPackageBooking) {
+    booking.price = pricingService.priceForGroup(session, groupSize);
+  }
+
+  if (!(groupSize >= 1 && groupSize <= session.maxCapacity)) {
+    return { success: false, error: 'Invalid group size' };
+  }
+
+  // Reserve the seats atomically before anything else is written
+  const reserved = await capacityService.reserveSpots(session._id, groupSize);
+  if (!reserved) {
+    return { success: false, error: 'Not enough spots available', full: true };
+  }
+
+  try {
+    // Package bookings draw one credit per seat
+    if (booking.isPackageBooking) {
+      const pkg = await packageService.consumeCredits(client._id, groupSize, booking._id);
+      if (!pkg) {
+        await capacityService.releaseSpots(session._id, groupSize);
+        return { success: false, error: 'No active package with enough credits for this booking' };
+      }
+      booking.package = pkg._id;
+      booking.creditsUsed = groupSize;
+      booking.sessionNumber = pkg.credits - pkg.remainingCredits;
+    } else if (booking.price > 0) {
+      await invoiceBooking(booking, session);
+    }
+
+    await booking.save();
+  } catch (error) {
+    // Roll back the seats, credits and invoice taken for this booking
+    await capacityService.releaseSpots(session._id, groupSize);
+    await packageService.refundCredits(booking, null, 'Booking could not be saved');
+    if (booking.invoice) {
+      await paymentService.voidInvoice(booking.invoice);
+    }
+    return { success: false, error: error.message };
+  }
+
+  await auditService.record({
+    actor,
+    action: 'booking.create',
+    entityType: 'booking',
+    entityId: booking._id,
+    client: client._id,
+    session: session._id,
+    changes: { groupSize: { to: groupSize }, isPackageBooking: { to: booking.isPackageBooking } },
+    note
+  });
+
+  return { success: true, booking };
+}
+
+// Invoice a penalty (late cancellation or no-show) for a booking. The invoice
+// isn't linked as the booking's own invoice, so it doesn't change paymentStatus.
+async function chargePenalty(booking, session, fee, label) {
+  return paymentService.createInvoice({
+    client: booking.client._id || booking.client,
+    items: [{
+      description: `${label}: session on ${moment.utc(session.date).format('MMM DD, YYYY')} at ${session.time}`,
+      quantity: 1,
+      unitPrice: fee
+    }]
+  });
+}
+
+// Cancel a booking and give back what it held: its seats, its open invoice
+// and, when refundCredits is set, the package credits it used. Late
+// cancellations are flagged and charged `fee`; penaltyWaived marks one of the
+// client's free late cancels, staffWaived a penalty a trainer let go.
+// The booking is kept with status 'cancelled', who cancelled it and why.
+// Returns the cancelled booking, or null if it was already cancelled.
+async function cancelBooking(booking, { actor, refundCredits, reason, note, lateCancellation, penaltyWaived, staffWaived, fee } = {}) {
+  const sessionId = booking.session._id || booking.session;
+
+  // Only the request that flips the status gives anything back
+  const cancelled = await mongoose.model('Booking').findOneAndUpdate(
+    { _id: booking._id, status: 'confirmed' },
+    {
+      $set: {
+        status: 'cancelled',
+        cancelledAt: new Date(),
+        cancelledBy: actor || null,
+        cancellationReason: reason || '',
+        lateCancellation: Boolean(lateCancellation),
+        penaltyWaived: Boolean(penaltyWaived)
+      }
+    },
+    { new: true }
+  );
+
+  if (!cancelled) {
+    return null;
+  }
+
+  if (booking.isPackageBooking && refundCredits) {
+    await packageService.refundCredits(booking, actor, note || reason || 'Booking cancelled');
+  }
+
+  await capacityService.releaseSpots(sessionId, booking.groupSize);
+
+  if (booking.invoice) {
+    await paymentService.voidInvoice(booking.invoice._id || booking.invoice);
+  }
+
+  if (fee > 0) {
+    const session = booking.session._id ? booking.session : await mongoose.model('Session').findById(sessionId);
+    const invoice = await chargePenalty(booking, session, fee, 'Late cancellation fee');
+    cancelled.penaltyInvoice = invoice._id;
+    await cancelled.save();
+  }
+
+  await auditService.record({
+    actor,
+    action: 'booking.cancel',
+    entityType: 'booking',
+    entityId: booking._id,
+    client: booking.client,
+    session: sessionId,
+    changes: { status: { from: 'confirmed', to: 'cancelled' } },
+    note: [
+      reason,
+      lateCancellation ? 'late cancellation' : '',
+      penaltyWaived ? 'free late cancellation used' : '',
+      staffWaived ? 'penalty waived by staff' : '',
+      booking.isPackageBooking && !refundCredits ? 'credits not refunded' : '',
+      fee > 0 ? `fee ${fee}` : ''
+    ].filter(Boolean).join('; ')
+  });
+
+  return cancelled;
+}
+
+// Record whether the client came to a session that has started. A no-show is
+// charged `fee` once; correcting it to attended drops the fee again while unpaid.
+// Returns the updated booking, or null if it isn't a confirmed booking.
+async function markAttendance(booking, attendance, { actor, fee } = {}) {
+  const Booking = mongoose.model('Booking');
+  const previous = await Booking.findOneAndUpdate(
+    { _id: booking._id, status: 'confirmed' },
+    { $set: { attendance, attendanceMarkedAt: new Date(), attendanceMarkedBy: actor || null } }
+  );
+
+  if (!previous) {
+    return null;
+  }
+
+  const updated = await Booking.findById(booking._id);
+  if (attendance === 'no-show' && fee > 0 && !previous.penaltyInvoice) {
+    const session = booking.session._id ? booking.session : await mongoose.model('Session').findById(booking.session);
+    const invoice = await chargePenalty(booking, session, fee, 'No-show fee');
+    updated.penaltyInvoice = invoice._id;
+    await updated.save();
+  } else if (attendance !== 'no-show' && previous.penaltyInvoice) {
+    // A fee that was already paid stays on record
+    if (await paymentService.voidInvoice(previous.penaltyInvoice)) {
+      updated.penaltyInvoice = undefined;
+      await updated.save();
+    }
+  }
+
+  if (previous.attendance !== attendance) {
+    await auditService.record({
+      actor,
+      action: 'booking.attendance',
+      entityType: 'booking',
+      entityId: booking._id,
+      client: previous.client,
+      session: previous.session,
+      changes: { attendance: { from: previous.attendance, to: attendance } },
+      note: updated.penaltyInvoice && !previous.penaltyInvoice ? `no-show fee ${fee}` : ''
+    });
+  }
+
+  return updated;
+}
+
+// Move a booking to another session in one step. Seats on the new session are
+// reserved before the old ones are released, so the client never loses their place.
+// Returns { success: true, booking } or { success: false, error, full }.
+async function moveBooking(booking, target, actor) {
+  const fromSessionId = booking.session._id || booking.session;
+
+  if (target._id.toString() === fromSessionId.toString()) {
+    return { success: false, error: 'The booking is already for this session' };
+  }
+  if (!target.isActive || target.startsAt <= new Date()) {
+    return { success: false, error: 'Session not available' };
+  }
+  if (booking.groupSize > target.maxCapacity) {
+    return { success: false, error: 'Your group is too large for this session' };
+  }
+  // Single bookings keep their price and invoice, so only like-for-like moves are allowed
+  if (!booking.isPackageBooking && pricingService.priceForGroup(target, booking.groupSize) !== booking.price) {
+    return { success: false, error: 'This session has a different price. Please cancel and book it instead.' };
+  }
+
+  const reserved = await capacityService.reserveSpots(target._id, booking.groupSize);
+  if (!reserved) {
+    return { success: false, error: 'Not enough spots available', full: true };
+  }
+
+  const cancellationDeadline = await cancellationPolicyService.cancellationDeadline(target);
+  const moved = await mongoose.model('Booking').findOneAndUpdate(
+    { _id: booking._id, session: fromSessionId, status: 'confirmed' },
+    {
+      $set: { session: target._id, cancellationDeadline, canCancel: new Date() < cancellationDeadline },
+      $inc: { calendarSequence: 1 }
+    },
+    { new: true }
+  );
+
+  if (!moved) {
+    // Cancelled or moved by another request in the meantime
+    await capacityService.releaseSpots(target._id, booking.groupSize);
+    return { success: false, error: 'Booking not found' };
+  }
+
+  await capacityService.releaseSpots(fromSessionId, booking.groupSize);
+  // Reminders sent for the old session shouldn't stop the new one's
+  await mongoose.model('NotificationLog').deleteMany({ booking: booking._id });
+
+  await auditService.record({
+    actor,
+    action: 'booking.move',
+    entityType: 'booking',
+    entityId: booking._id,
+    client: booking.client,
+    session: target._id,
+    changes: { session: { from: fromSessionId, to: target._id } }
+  });
+
+  return { success: true, booking: moved };
+}
+
+// Release bookings whose payment hold ran out. Returns the cancelled bookings
+// (with session, trainer and client populated) so callers can notify clients.
+async function expireUnpaidBookings() {
+  const expired = await mongoose.model('Booking').find({
+    status: 'confirmed',
+    paymentStatus: 'unpaid',
+    paymentDueAt: { $lte: new Date() }
+  }).populate([
+    { path: 'session', populate: { path: 'trainer' } },
+    'client'
+  ]);
+
+  const released = [];
+  for (const booking of expired) {
+    // Void first so a payment that lands at the same moment keeps the booking
+    const voided = await paymentService.voidInvoice(booking.invoice);
+    if (!voided) {
+      continue;
+    }
+    const cancelled = await cancelBooking(booking, { reason: 'Payment not received in time' });
+    if (cancelled) {
+      released.push(booking);
+    }
+  }
+
+  return released;
+}
+
+module.exports = {
+  PAYMENT_HOLD_HOURS,
+  createBooking,
+  cancelBooking,
+  markAttendance,
+  moveBooking,
+  expireUnpaidBookings
+};
@@ -0,0 +1,182 @@
+const moment = require('moment');
+
+const PRODUCT_ID = '-//Personal Trainer Booking//Calendar//EN';
+const DEFAULT_DURATION = 60;
+
+// Host part of event UIDs; must never change or calendar apps see new events
+function uidHost() {
+  try {
+    return new URL(process.env.APP_URL).hostname;
+  } catch (error) {
+    return 'personal-trainer-booking';
+  }
+}
+
+function bookingUid(booking) {
+  return `booking-${booking._id}@${uidHost()}`;
+}
+
+function sessionUid(session) {
+  return `session-${session._id}@${uidHost()}`;
+}
+
+// Escape TEXT values (RFC 5545 section 3.3.11)
+function escapeText(value) {
+  return String(value || '')
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n');
+}
+
+// Parameter values such as CN are quoted rather than escaped (section 3.2)
+function quoteParam(value) {
+  return `"${String(value || '').replace(/["\r\n]/g, '')}"`;
+}
+
+// Fold lines longer than 75 octets (RFC 5545 section 3.1)
+function foldLine(line) {
+  const bytes = Buffer.from(line, 'utf8');
+  if (bytes.length <= 75) {
+    return line;
+  }
+
+  const parts = [];
+  let current = '';
+  let currentBytes = 0;
+  for (const char of line) {
+    const size = Buffer.byteLength(char, 'utf8');
+    const limit = parts.length === 0 ? 75 : 74; // Continuation lines start with a space
+    if (currentBytes + size > limit) {
+      parts.push(current);
+      current = '';
+      currentBytes = 0;
+    }
+    current += char;
+    currentBytes += size;
+  }
+  parts.push(current);
+  return parts.join('\r\n ');
+}
+
+function formatDateTime(date) {
+  return moment(date).utc().format('YYYYMMDD[T]HHmmss[Z]');
+}
+
+function exerciseLabel(session) {
+  return session.exerciseType === 'body-health' ? 'Body Health' : 'Regular Training';
+}
+
+// Mail address part of EMAIL_FROM ("Studio <studio@example.com>" or a bare address)
+function organizerAddress() {
+  const from = process.env.EMAIL_FROM || '';
+  const match = from.match(/<([^>]+)>/);
+  return match ? match[1] : from;
+}
+
+function eventLines({ uid, sequence, session, summary, description, status, attendee }) {
+  const start = moment(session.startsAt);
+  const end = start.clone().add(session.duration || DEFAULT_DURATION, 'minutes');
+  const trainerName = session.trainer && session.trainer.name ? session.trainer.name : 'Your Trainer';
+
+  const lines = [
+    'BEGIN:VEVENT',
+    `UID:${uid}`,
+    `DTSTAMP:${formatDateTime(new Date())}`,
+    `SEQUENCE:${sequence || 0}`,
+    `DTSTART:${formatDateTime(start)}`,
+    `DTEND:${formatDateTime(end)}`,
+    `SUMMARY:${escapeText(summary)}`,
+    `DESCRIPTION:${escapeText(description)}`,
+    `STATUS:${status}`
+  ];
+
+  if (organizerAddress()) {
+    lines.push(`ORGANIZER;CN=${quoteParam(trainerName)}:mailto:${organizerAddress()}`);
+  }
+  if (attendee) {
+    lines.push(`ATTENDEE;CN=${quoteParam(attendee.name)};ROLE=REQ-PARTICIPANT:mailto:${attendee.email}`);
+  }
+
+  lines.push('END:VEVENT');
+  return lines;
+}
+
+function calendar(events, method, name) {
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    `PRODID:${PRODUCT_ID}`,
+    'CALSCALE:GREGORIAN'
+  ];
+  if (method) {
+    lines.push(`METHOD:${method}`);
+  }
+  if (name) {
+    lines.push(`X-WR-CALNAME:${escapeText(name)}`);
+  }
+  lines.push(...events.flat(), 'END:VCALENDAR');
+  return lines.map(foldLine).join('\r\n') + '\r\n';
+}
+
+function bookingEvent(booking, session, client, cancelled) {
+  const trainerName = session.trainer && session.trainer.name ? session.trainer.name : '';
+  return eventLines({
+    uid: bookingUid(booking),
+    sequence: (booking.calendarSequence || 0) + (cancelled ? 1 : 0),
+    session,
+    summary: `${exerciseLabel(session)} training${trainerName ? ` with ${trainerName}` : ''}`,
+    description: [
+      `Group size: ${booking.groupSize}`,
+      session.description
+    ].filter(Boolean).join('\n'),
+    status: cancelled ? 'CANCELLED' : 'CONFIRMED',
+    attendee: client
+  });
+}
+
+// Attachment for confirmation and update emails. Uses the booking's UID so a later
+// update or cancellation replaces the same event in the client's calendar.
+function bookingInvite(booking, session, client) {
+  return {
+    filename: 'invite.ics',
+    content: calendar([bookingEvent(booking, session, client, false)], 'REQUEST'),
+    contentType: 'text/calendar; charset=utf-8; method=REQUEST'
+  };
+}
+
+function bookingCancellation(booking, session, client) {
+  return {
+    filename: 'cancel.ics',
+    content: calendar([bookingEvent(booking, session, client, true)], 'CANCEL'),
+    contentType: 'text/calendar; charset=utf-8; method=CANCEL'
+  };
+}
+
+// Subscribable feed of a client's bookings (each booking populated with its session)
+function clientFeed(client, bookings) {
+  const events = bookings
+    .filter(booking => booking.session)
+    .map(booking => bookingEvent(booking, booking.session, null, false));
+  return calendar(events, 'PUBLISH', `Training - ${client.name}`);
+}
+
+// Subscribable feed of the sessions a trainer runs
+function trainerFeed(trainer, sessions) {
+  const events = sessions.map(session => eventLines({
+    uid: sessionUid(session),
+    sequence: session.calendarSequence || 0,
+    session,
+    summary: `${exerciseLabel(session)} (${session.currentBookings}/${session.maxCapacity} booked)`,
+    description: session.description,
+    status: 'CONFIRMED'
+  }));
+  return calendar(events, 'PUBLISH', `Sessions - ${trainer.name}`);
+}
+
+module.exports = {
+  bookingInvite,
+  bookingCancellation,
+  clientFeed,
+  trainerFeed
+};
@@ -0,0 +1,144 @@
+const mongoose = require('mongoose');
+const pricingService = require('./pricingService');
+const studioTime = require('./studioTime');
+
+// Used when no policy matches: the studio's original 24-hour rule, where late
+// cancellations keep their package credits used and nothing else is charged
+const FALLBACK_POLICY = {
+  cutoffHours: 24,
+  lateCancelFee: 0,
+  forfeitCredits: true,
+  freeLateCancelsPerMonth: 0,
+  noShowFee: 0
+};
+
+function CancellationPolicy() {
+  return mongoose.model('CancellationPolicy');
+}
+
+// Most specific active policy for an exercise type and trainer (same matching as price rules)
+async function findPolicy(exerciseType, trainerId) {
+  const policies = await CancellationPolicy().find({ isActive: true });
+  let best = null;
+  let bestScore = -1;
+
+  for (const policy of policies) {
+    const score = pricingService.ruleScore(policy, exerciseType, trainerId);
+    if (score > bestScore) {
+      best = policy;
+      bestScore = score;
+    }
+  }
+
+  return best || FALLBACK_POLICY;
+}
+
+async function policyForSession(session) {
+  const trainer = session.trainer && session.trainer._id ? session.trainer._id : session.trainer;
+  return findPolicy(session.exerciseType, trainer);
+}
+
+// Last moment a booking on `session` can be cancelled without penalty
+async function cancellationDeadline(session, policy) {
+  const cutoffHours = (policy || await policyForSession(session)).cutoffHours;
+  return new Date(session.startsAt.getTime() - cutoffHours * 60 * 60 * 1000);
+}
+
+// Penalty-free late cancellations the client has left this calendar month
+async function freeLateCancelsLeft(clientId, policy) {
+  if (!policy.freeLateCancelsPerMonth) {
+    return 0;
+  }
+  const used = await mongoose.model('Booking').countDocuments({
+    client: clientId,
+    lateCancellation: true,
+    penaltyWaived: true,
+    cancelledAt: { $gte: studioTime.zonedInstant(studioTime.wallClock().startOf('month'), '00:00') }
+  });
+  return Math.max(policy.freeLateCancelsPerMonth - used, 0);
+}
+
+function money(amount) {
+  return `$${Number(amount).toFixed(2).replace(/\.00$/, '')}`;
+}
+
+// The policy in words, for clients
+function describePolicy(policy) {
+  const parts = [`Free cancellation up to ${policy.cutoffHours} hours before the session.`];
+
+  const penalties = [];
+  if (policy.forfeitCredits) {
+    penalties.push('package credits are not refunded');
+  }
+  if (policy.lateCancelFee > 0) {
+    penalties.push(`unpaid single bookings are charged a ${money(policy.lateCancelFee)} fee`);
+  }
+  parts.push(penalties.length > 0
+    ? `After that, ${penalties.join(' and ')}.`
+    : 'Later cancellations are free as well.');
+
+  if (policy.freeLateCancelsPerMonth > 0 && penalties.length > 0) {
+    parts.push(`Your first ${policy.freeLateCancelsPerMonth} late cancellation${policy.freeLateCancelsPerMonth === 1 ? '' : 's'} each month ${policy.freeLateCancelsPerMonth === 1 ? 'is' : 'are'} free.`);
+  }
+  if (policy.noShowFee > 0) {
+    parts.push(`Missing a session without cancelling costs ${money(policy.noShowFee)}.`);
+  }
+
+  return parts.join(' ');
+}
+
+// What cancelling `booking` (with its session populated) right now would cost the client:
+// { late, waived, forfeitCredits, fee, freeLeft, message, policy }
+async function assessCancellation(booking, session) {
+  const policy = await policyForSession(session);
+  const late = new Date() > new Date(booking.cancellationDeadline);
+
+  // A paid single booking is kept as paid, so there is nothing more to charge
+  const penalty = booking.isPackageBooking
+    ? { forfeitCredits: policy.forfeitCredits, fee: 0 }
+    : { forfeitCredits: false, fee: booking.paymentStatus === 'paid' ? 0 : policy.lateCancelFee };
+  const hasPenalty = late && (penalty.forfeitCredits || penalty.fee > 0);
+
+  const freeLeft = hasPenalty ? await freeLateCancelsLeft(booking.client._id || booking.client, policy) : 0;
+  const waived = hasPenalty && freeLeft > 0;
+  const applied = hasPenalty && !waived;
+
+  let message;
+  if (!late) {
+    message = 'You can cancel this booking free of charge.';
+  } else if (!hasPenalty) {
+    message = booking.paymentStatus === 'paid'
+      ? 'This is a late cancellation. Your payment for this booking is not refunded.'
+      : 'This is a late cancellation, but no penalty applies.';
+  } else if (waived) {
+    message = `This is a late cancellation. It uses one of your free late cancellations this month (${freeLeft} left), so no penalty applies.`;
+  } else {
+    const consequences = [];
+    if (penalty.forfeitCredits) {
+      consequences.push(`the ${booking.creditsUsed} package credit${booking.creditsUsed === 1 ? '' : 's'} used will not be refunded`);
+    }
+    if (penalty.fee > 0) {
+      consequences.push(`a late cancellation fee of ${money(penalty.fee)} will be charged`);
+    }
+    message = `This is a late cancellation: ${consequences.join(' and ')}.`;
+  }
+
+  return {
+    late,
+    waived,
+    forfeitCredits: applied && penalty.forfeitCredits,
+    fee: applied ? penalty.fee : 0,
+    freeLeft,
+    message,
+    policy
+  };
+}
+
+module.exports = {
+  FALLBACK_POLICY,
+  findPolicy,
+  policyForSession,
+  cancellationDeadline,
+  describePolicy,
+  assessCancellation
+};
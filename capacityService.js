@@ -0,0 +1,61 @@
+const mongoose = require('mongoose');
+
+function Session() {
+  return mongoose.model('Session');
+}
+
+// Atomically claim seats on a session. The update only matches while the
+// seats still fit, so concurrent bookings can never push it over capacity.
+// Returns the updated session or null if there isn't enough room.
+async function reserveSpots(sessionId, seats) {
+  return Session().findOneAndUpdate(
+    {
+      _id: sessionId,
+      isActive: true,
+      $expr: { $lte: [{ $add: ['$currentBookings', seats] }, '$maxCapacity'] }
+    },
+    { $inc: { currentBookings: seats } },
+    { new: true }
+  );
+}
+
+// Give seats back after a cancellation or a failed booking
+async function releaseSpots(sessionId, seats) {
+  return Session().findOneAndUpdate(
+    { _id: sessionId, currentBookings: { $gte: seats } },
+    { $inc: { currentBookings: -seats } },
+    { new: true }
+  );
+}
+
+// Rebuild every session's counter from its confirmed bookings. Used on startup
+// because sessions created before the counter was maintained all read 0.
+async function recountAllSessions() {
+  const totals = await mongoose.model('Booking').aggregate([
+    { $match: { status: 'confirmed' } },
+    { $group: { _id: '$session', seats: { $sum: '$groupSize' } } }
+  ]);
+
+  const seatsBySession = new Map(totals.map(total => [total._id.toString(), total.seats]));
+  const sessions = await Session().find({}, 'currentBookings');
+
+  const updates = sessions
+    .filter(session => (seatsBySession.get(session._id.toString()) || 0) !== session.currentBookings)
+    .map(session => ({
+      updateOne: {
+        filter: { _id: session._id },
+        update: { $set: { currentBookings: seatsBySession.get(session._id.toString()) || 0 } }
+      }
+    }));
+
+  if (updates.length > 0) {
+    await Session().bulkWrite(updates);
+    console.log(`Recounted bookings for ${updates.length} sessions`);
+  }
+}
+
+module.exports = {
+  reserveSpots,
+  releaseSpots,
+  recountAllSessions
+};
@@ -0,0 +1,83 @@
+// CSV files for spreadsheets, the studio's accountant and bulk imports (RFC 4180:
+// comma separated, CRLF line endings, fields quoted when they need to be)
+
+// Text that a spreadsheet would run as a formula is prefixed with an apostrophe
+const FORMULA_START = /^[=+\-@\t\r]/;
+
+function formatField(value) {
+  if (value === undefined || value === null) {
+    return '';
+  }
+  if (value instanceof Date) {
+    return value.toISOString();
+  }
+  let text = String(value);
+  if (typeof value === 'string' && FORMULA_START.test(text)) {
+    text = `'${text}`;
+  }
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// CSV text for `rows` (objects), one column per { key, label } in `columns`
+function toCsv(columns, rows) {
+  const lines = [columns.map(column => formatField(column.label))];
+  for (const row of rows) {
+    lines.push(columns.map(column => formatField(row[column.key])));
+  }
+  return lines.map(fields => fields.join(',')).join('\r\n') + '\r\n';
+}
+
+// Rows of CSV text as arrays of fields. Accepts quoted fields with embedded
+// commas, quotes and line breaks, CRLF or LF line endings and a leading BOM;
+// blank lines are skipped.
+function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+  const input = text.replace(/^\uFEFF/, '');
+
+  const endRow = () => {
+    row.push(field);
+    if (row.length > 1 || row[0].trim() !== '') {
+      rows.push(row);
+    }
+    row = [];
+    field = '';
+  };
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+    if (quoted) {
+      if (char === '"' && input[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"' && field === '') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') {
+        i++;
+      }
+      endRow();
+    } else {
+      field += char;
+    }
+  }
+  if (field !== '' || row.length > 0) {
+    endRow();
+  }
+  return rows;
+}
+
+module.exports = {
+  toCsv,
+  parseCsv
+};
@@ -0,0 +1,187 @@
+const nodemailer = require('nodemailer');
+const mongoose = require('mongoose');
+const moment = require('moment');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// EMAIL_TRANSPORT=file writes each message to EMAIL_FILE_DIR as .eml + .json instead of using SMTP
+const TRANSPORT_MODE = process.env.EMAIL_TRANSPORT === 'file' ? 'file' : 'smtp';
+const FILE_DIR = process.env.EMAIL_FILE_DIR || path.join(os.tmpdir(), 'ptb-mail');
+const RATE_PER_MINUTE = parseInt(process.env.EMAIL_RATE_PER_MINUTE) || 30;
+const MAX_ATTEMPTS = parseInt(process.env.EMAIL_MAX_ATTEMPTS) || 5;
+const WORKER_INTERVAL_SECONDS = parseInt(process.env.EMAIL_WORKER_INTERVAL_SECONDS) || 10;
+// Failed sends wait 1, 2, 4, ... minutes; a send that never reported back is retried after the lease
+const RETRY_BASE_MINUTES = 1;
+const SEND_LEASE_MINUTES = 5;
+
+const transporter = TRANSPORT_MODE === 'file'
+  ? nodemailer.createTransport({ streamTransport: true, buffer: true, newline: 'unix' })
+  : nodemailer.createTransport({
+    host: process.env.EMAIL_HOST,
+    port: process.env.EMAIL_PORT,
+    secure: false,
+    auth: {
+      user: process.env.EMAIL_USER,
+      pass: process.env.EMAIL_PASS,
+    },
+  });
+
+if (TRANSPORT_MODE === 'smtp') {
+  transporter.verify(function (error, success) {
+    if (error) {
+      console.log('Email service error:', error);
+    } else {
+      console.log('Email service ready');
+    }
+  });
+} else {
+  console.log(`Email service writing messages to ${FILE_DIR}`);
+}
+
+let running = false;
+
+function OutboundEmail() {
+  return mongoose.model('OutboundEmail');
+}
+
+// Queue a message for the worker. Returns { success, id } straight away.
+async function enqueue(to, template, category) {
+  try {
+    const email = await OutboundEmail().create({
+      to,
+      subject: template.subject,
+      text: template.text,
+      html: template.html,
+      attachments: template.attachments || [],
+      category: category || ''
+    });
+    return { success: true, queued: true, id: email._id };
+  } catch (error) {
+    console.error('Error queueing email:', error);
+    return { success: false, error: error.message };
+  }
+}
+
+async function deliver(email) {
+  const mailOptions = {
+    from: process.env.EMAIL_FROM,
+    to: email.to,
+    subject: email.subject,
+    text: email.text,
+    html: email.html,
+    attachments: email.attachments.map(a => ({ filename: a.filename, content: a.content, contentType: a.contentType }))
+  };
+
+  const result = await transporter.sendMail(mailOptions);
+
+  if (TRANSPORT_MODE === 'file') {
+    await fs.promises.mkdir(FILE_DIR, { recursive: true });
+    const base = path.join(FILE_DIR, `${moment().format('YYYYMMDD-HHmmss')}-${email._id}`);
+    await fs.promises.writeFile(`${base}.eml`, result.message);
+    await fs.promises.writeFile(`${base}.json`, JSON.stringify({ ...mailOptions, id: email._id }, null, 2));
+    return `file:${base}.eml`;
+  }
+
+  return result.messageId;
+}
+
+// Claim the oldest message that is ready to go, so two workers never send the same one
+async function claimNext() {
+  const now = new Date();
+  return OutboundEmail().findOneAndUpdate(
+    { status: { $in: ['queued', 'retry', 'sending'] }, nextAttemptAt: { $lte: now } },
+    {
+      $set: {
+        status: 'sending',
+        lastAttemptAt: now,
+        nextAttemptAt: moment(now).add(SEND_LEASE_MINUTES, 'minutes').toDate()
+      },
+      $inc: { attempts: 1 }
+    },
+    { new: true, sort: { nextAttemptAt: 1 } }
+  );
+}
+
+// Send queued messages, staying under RATE_PER_MINUTE across all workers.
+// Messages that keep failing are moved to 'dead' after MAX_ATTEMPTS.
+async function processOutbox() {
+  if (running) {
+    return;
+  }
+  running = true;
+
+  try {
+    const sentLastMinute = await OutboundEmail().countDocuments({
+      lastAttemptAt: { $gte: moment().subtract(1, 'minute').toDate() }
+    });
+    let budget = RATE_PER_MINUTE - sentLastMinute;
+
+    while (budget > 0) {
+      const email = await claimNext();
+      if (!email) {
+        break;
+      }
+      budget--;
+
+      try {
+        email.messageId = await deliver(email);
+        email.status = 'sent';
+        email.sentAt = new Date();
+        email.lastError = '';
+      } catch (error) {
+        const retryMinutes = RETRY_BASE_MINUTES * Math.pow(2, email.attempts - 1);
+        email.status = email.attempts >= MAX_ATTEMPTS ? 'dead' : 'retry';
+        email.nextAttemptAt = moment().add(retryMinutes, 'minutes').toDate();
+        email.lastError = error.message;
+        console.error(`Error sending email to ${email.to} (attempt ${email.attempts}):`, error.message);
+      }
+
+      await email.save();
+    }
+  } catch (error) {
+    console.error('Error processing email outbox:', error);
+  } finally {
+    running = false;
+  }
+}
+
+function startWorker() {
+  setInterval(processOutbox, WORKER_INTERVAL_SECONDS * 1000);
+  processOutbox();
+  console.log(`Email outbox worker running - up to ${RATE_PER_MINUTE} emails per minute`);
+}
+
+// Put a dead-lettered or failing message back in the queue
+async function requeue(id) {
+  return OutboundEmail().findOneAndUpdate(
+    { _id: id, status: { $in: ['dead', 'retry'] } },
+    { $set: { status: 'queued', attempts: 0, nextAttemptAt: new Date(), lastError: '' } },
+    { new: true }
+  );
+}
+
+// Message counts per status plus the most recent messages, optionally filtered by status
+async function getStatus(status, limit = 50) {
+  const counts = await OutboundEmail().aggregate([
+    { $group: { _id: '$status', count: { $sum: 1 } } }
+  ]);
+  const messages = await OutboundEmail().find(status ? { status } : {}, '-html -text -attachments')
+    .sort({ createdAt: -1 })
+    .limit(limit);
+
+  const byStatus = {};
+  for (const row of counts) {
+    byStatus[row._id] = row.count;
+  }
+  return { counts: byStatus, messages };
+}
+
+module.exports = {
+  TRANSPORT_MODE,
+  enqueue,
+  processOutbox,
+  startWorker,
+  requeue,
+  getStatus
+};
@@ -1,190 +1,82 @@
-const nodemailer = require('nodemailer');
-const moment = require('moment');
-
-const transporter = nodemailer.createTransport({
-  host: process.env.EMAIL_HOST,
-  port: process.env.EMAIL_PORT,
-  secure: false,
-  auth: {
-    user: process.env.EMAIL_USER,
-    pass: process.env.EMAIL_PASS,
-  },
-});
-
-transporter.verify(function (error, success) {
-  if (error) {
-    console.log('Email service error:', error);
-  } else {
-    console.log('Email service ready');
-  }
-});
-
-const emailTemplates = {
-  bookingConfirmation: (booking, session, client) => ({
-    subject: 'Booking Confirmation - Your Training Session is Confirmed!',
-    html: `
-      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto; padding: 20px;">
-        <div style="background: #4CAF50; color: white; padding: 20px; text-align: center; border-radius: 8px 8px 0 0;">
-          <h1 style="margin: 0;">Booking Confirmed!</h1>
-        </div>
-        <div style="background: white; padding: 30px; border: 1px solid #ddd; border-radius: 0 0 8px 8px;">
-          <h2 style="color: #333;">Hi ${client.name}!</h2>
-          <p>Your training session has been successfully booked. Here are the details:</p>
-          
-          <div style="background: #f9f9f9; padding: 20px; border-radius: 8px; margin: 20px 0;">
-            <h3 style="color: #4CAF50; margin-top: 0;">Session Details</h3>
-            <p><strong>Date:</strong> ${moment(session.date).format('dddd, MMMM Do YYYY')}</p>
-            <p><strong>Time:</strong> ${session.time}</p>
-            <p><strong>Exercise Type:</strong> ${session.exerciseType === 'body-health' ? 'Body Health' : 'Regular Training'}</p>
-            <p><strong>Group Size:</strong> ${booking.groupSize} ${booking.groupSize === 1 ? 'person' : 'people'}</p>
-          </div>
-          
-          <p style="color: #666;">You'll receive a reminder email 2 hours before your session.</p>
-        </div>
-      </div>
-    `,
-    text: `Hi ${client.name}! Your training session has been confirmed for ${moment(session.date).format('MMMM Do YYYY')} at ${session.time}.`
-  }),
-
-  cancellationNotification: (booking, session, client) => ({
-    subject: 'Booking Cancelled - Training Session',
-    html: `
-      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto; padding: 20px;">
-        <div style="background: #dc3545; color: white; padding: 20px; text-align: center; border-radius: 8px 8px 0 0;">
-          <h1 style="margin: 0;">Booking Cancelled</h1>
-        </div>
-        <div style="background: white; padding: 30px; border: 1px solid #ddd; border-radius: 0 0 8px 8px;">
-          <h2 style="color: #333;">Hi ${client.name},</h2>
-          <p>Your training session has been cancelled.</p>
-          <p>Date: ${moment(session.date).format('dddd, MMMM Do YYYY')} at ${session.time}</p>
-        </div>
-      </div>
-    `,
-    text: `Hi ${client.name}, Your training session for ${moment(session.date).format('MMMM Do YYYY')} at ${session.time} has been cancelled.`
-  }),
-
-  sessionReminder: (booking, session, client) => ({
-    subject: 'Reminder: Your Training Session Starts in 2 Hours!',
-    html: `
-      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto; padding: 20px;">
-        <div style="background: #FF9800; color: white; padding: 20px; text-align: center; border-radius: 8px 8px 0 0;">
-          <h1 style="margin: 0;">Session Reminder</h1>
-        </div>
-        <div style="background: white; padding: 30px; border: 1px solid #ddd; border-radius: 0 0 8px 8px;">
-          <h2 style="color: #333;">Hi ${client.name}!</h2>
-          <p><strong>Your training session starts in 2 hours!</strong></p>
-          <p>Date: ${moment(session.date).format('dddd, MMMM Do YYYY')}</p>
-          <p>Time: ${session.time}</p>
-          <p>Exercise Type: ${session.exerciseType === 'body-health' ? 'Body Health' : 'Regular Training'}</p>
-        </div>
-      </div>
-    `,
-    text: `Hi ${client.name}! Your training session starts in 2 hours! Date: ${moment(session.date).format('MMMM Do YYYY')} Time: ${session.time}`
-  }),
-
-  trainerNotification: (booking, session, client) => ({
-    subject: 'New Booking: Client Booked Your Training Session',
-    html: `
-      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto; padding: 20px;">
-        <div style="background: #2196F3; color: white; padding: 20px; text-align: center; border-radius: 8px 8px 0 0;">
-          <h1 style="margin: 0;">New Booking Alert</h1>
-        </div>
-        <div style="background: white; padding: 30px; border: 1px solid #ddd; border-radius: 0 0 8px 8px;">
-          <h2 style="color: #333;">New Session Booking!</h2>
-          <p>Client: ${client.name} (${client.email})</p>
-          <p>Session: ${moment(session.date).format('MMMM Do YYYY')} at ${session.time}</p>
-          <p>Exercise Type: ${session.exerciseType === 'body-health' ? 'Body Health' : 'Regular Training'}</p>
-          <p>Group Size: ${booking.groupSize}</p>
-        </div>
-      </div>
-    `,
-    text: `New Booking! Client: ${client.name} (${client.email}) Session: ${moment(session.date).format('MMMM Do YYYY')} at ${session.time}`
-  }),
-
-  passwordReset: (user, resetToken) => ({
-    subject: 'Password Reset Request - Personal Trainer Booking',
-    html: `
-      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto; padding: 20px;">
-        <div style="background: #6c757d; color: white; padding: 20px; text-align: center; border-radius: 8px 8px 0 0;">
-          <h1 style="margin: 0;">Password Reset</h1>
-        </div>
-        <div style="background: white; padding: 30px; border: 1px solid #ddd; border-radius: 0 0 8px 8px;">
-          <h2 style="color: #333;">Hi ${user.name},</h2>
-          <p>Click the link below to reset your password:</p>
-          <p><a href="${process.env.APP_URL}/reset-password?token=${resetToken}">Reset Password</a></p>
-          <p>This link expires in 1 hour.</p>
-        </div>
-      </div>
-    `,
-    text: `Hi ${user.name}, Visit this link to reset your password: ${process.env.APP_URL}/reset-password?token=${resetToken}`
-  }),
-
-  customMessage: (recipient, subject, message) => ({
-    subject: subject,
-    html: `
-      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto; padding: 20px;">
-        <div style="background: #4CAF50; color: white; padding: 20px; text-align: center; border-radius: 8px 8px 0 0;">
-          <h1 style="margin: 0;">Message from Your Trainer</h1>
-        </div>
-        <div style="background: white; padding: 30px; border: 1px solid #ddd; border-radius: 0 0 8px 8px;">
-          <h2 style="color: #333;">Hi ${recipient.name}!</h2>
-          <div style="background: #f9f9f9; padding: 20px; border-radius: 8px; margin: 20px 0; white-space: pre-wrap;">${message}</div>
-          <p style="color: #666;">Best regards, Your Personal Trainer</p>
-        </div>
-      </div>
-    `,
-    text: `Hi ${recipient.name}!\n\n${message}\n\nBest regards, Your Personal Trainer`
-  })
-};
-
-async function sendEmail(to, template) {
+const emailOutbox = require('./emailOutbox');
+const emailTemplates = require('./emailTemplates');
+const calendarService = require('./calendarService');
+
+// Render template `key` in the recipient's language and queue it. Messages go
+// through the outbox so requests never wait on SMTP; the worker in
+// emailOutbox.js sends them with retries and rate limiting.
+async function sendEmail(recipient, key, args, attachments) {
   try {
-    const mailOptions = {
-      from: process.env.EMAIL_FROM,
-      to: to,
-      subject: template.subject,
-      text: template.text,
-      html: template.html,
-    };
-
-    const result = await transporter.sendMail(mailOptions);
-    console.log('Email sent successfully:', result.messageId);
-    return { success: true, messageId: result.messageId };
+    const template = await emailTemplates.render(key, recipient.locale, args);
+    if (attachments) {
+      template.attachments = attachments;
+    }
+    return await emailOutbox.enqueue(recipient.email, template, key);
   } catch (error) {
-    console.error('Error sending email:', error);
+    console.error(`Error rendering ${key} email:`, error);
     return { success: false, error: error.message };
   }
 }
 
 const emailService = {
   async sendBookingConfirmation(booking, session, client, trainer) {
-    const template = emailTemplates.bookingConfirmation(booking, session, client);
-    const clientResult = await sendEmail(client.email, template);
+    const clientResult = await sendEmail(client, 'bookingConfirmation', [booking, session, client], [
+      calendarService.bookingInvite(booking, session, client)
+    ]);
     
-    const trainerTemplate = emailTemplates.trainerNotification(booking, session, client);
-    const trainerResult = await sendEmail(trainer.email, trainerTemplate);
+    const trainerResult = await sendEmail(trainer, 'trainerNotification', [booking, session, client]);
     
     return { clientResult, trainerResult };
   },
 
   async sendCancellationNotification(booking, session, client) {
-    const template = emailTemplates.cancellationNotification(booking, session, client);
-    return await sendEmail(client.email, template);
+    return await sendEmail(client, 'cancellationNotification', [booking, session, client], [
+      calendarService.bookingCancellation(booking, session, client)
+    ]);
   },
 
-  async sendSessionReminder(booking, session, client) {
-    const template = emailTemplates.sessionReminder(booking, session, client);
-    return await sendEmail(client.email, template);
+  // The booking now points at a different time or trainer than `previous` (the
+  // session as it was); the attachment updates the event in the client's calendar
+  async sendSessionRescheduled(booking, session, client, previous) {
+    return await sendEmail(client, 'sessionRescheduled', [booking, session, client, previous], [
+      calendarService.bookingInvite(booking, session, client)
+    ]);
+  },
+
+  async sendSessionReminder(booking, session, client, hoursBefore = 2) {
+    return await sendEmail(client, 'sessionReminder', [booking, session, client, hoursBefore]);
   },
 
   async sendPasswordReset(user, resetToken) {
-    const template = emailTemplates.passwordReset(user, resetToken);
-    return await sendEmail(user.email, template);
+    return await sendEmail(user, 'passwordReset', [user, resetToken]);
+  },
+
+  async sendEmailVerification(user, token, expiryHours) {
+    return await sendEmail(user, 'emailVerification', [user, token, expiryHours]);
+  },
+
+  async sendWaitlistPromotion(booking, session, client, trainer) {
+    const clientResult = await sendEmail(client, 'waitlistPromotion', [booking, session, client], [
+      calendarService.bookingInvite(booking, session, client)
+    ]);
+    
+    const trainerResult = await sendEmail(trainer, 'trainerNotification', [booking, session, client]);
+    
+    return { clientResult, trainerResult };
+  },
+
+  async sendTrainerInvite(invite, invitedBy, expiryHours) {
+    return await sendEmail(invite, 'trainerInvite', [invite, invitedBy, expiryHours]);
   },
 
   async sendCustomMessage(recipient, subject, message) {
-    const template = emailTemplates.customMessage(recipient, subject, message);
-    return await sendEmail(recipient.email, template);
+    return await sendEmail(recipient, 'customMessage', [recipient, subject, message]);
+  },
+
+  // Queue a draft template rendered with sample data, so admins can check it in a real inbox
+  async sendTemplateTest(recipient, key, locale, source) {
+    const template = emailTemplates.renderSample(key, locale, source);
+    return await emailOutbox.enqueue(recipient.email, { ...template, subject: `[Test] ${template.subject}` }, key);
   },
 
   async sendBulkCustomMessage(recipients, subject, message) {
@@ -0,0 +1,383 @@
+const mongoose = require('mongoose');
+const moment = require('moment');
+const studioTime = require('./studioTime');
+
+// Languages templates can be written in; the first one is the default
+const SUPPORTED_LOCALES = (process.env.EMAIL_LOCALES || 'en').split(',').map(l => l.trim()).filter(Boolean);
+const DEFAULT_LOCALE = SUPPORTED_LOCALES[0];
+
+// {{ client.name }} style placeholders
+const PLACEHOLDER = /\{\{\s*([\w.]+)\s*\}\}/g;
+
+function escapeHtml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+function lookup(vars, path) {
+  const value = path.split('.').reduce((obj, key) => (obj == null ? undefined : obj[key]), vars);
+  return value == null ? '' : value;
+}
+
+// Fill placeholders; values are always HTML-escaped in html bodies
+function interpolate(source, vars, html) {
+  return source.replace(PLACEHOLDER, (match, path) => {
+    const value = lookup(vars, path);
+    return html ? escapeHtml(value) : String(value);
+  });
+}
+
+// Placeholder names a variables object provides, e.g. ['client.name', 'session.time']
+function variableNames(vars, prefix = '') {
+  return Object.keys(vars).flatMap(key => {
+    const value = vars[key];
+    return value && typeof value === 'object' && !(value instanceof Date)
+      ? variableNames(value, `${prefix}${key}.`)
+      : [`${prefix}${key}`];
+  });
+}
+
+// Session dates are calendar days stored as midnight UTC, so they are formatted in UTC.
+// moment only knows the locales that have been loaded; loading one also makes
+// it the global default, so the previous default is restored afterwards
+function formatDate(date, format, locale) {
+  if (locale && !moment.locales().includes(locale) && /^[a-z]{2}(-[a-z]{2})?$/.test(locale)) {
+    const current = moment.locale();
+    try {
+      require(`moment/locale/${locale}`);
+    } catch (error) {
+      // Unknown locale, dates stay in English
+    }
+    moment.locale(current);
+  }
+  return moment.utc(date).locale(locale || 'en').format(format);
+}
+
+function userVars(user) {
+  return { name: user.name, email: user.email };
+}
+
+function sessionVars(session, locale) {
+  return {
+    date: formatDate(session.date, 'dddd, MMMM Do YYYY', locale),
+    shortDate: formatDate(session.date, 'MMMM Do YYYY', locale),
+    time: session.time,
+    exerciseType: session.exerciseType === 'body-health' ? 'Body Health' : 'Regular Training',
+    trainer: session.trainer && session.trainer.name ? session.trainer.name : ''
+  };
+}
+
+// cancelBy is the booking's deadline under the cancellation policy it was made with, on the studio clock
+function bookingVars(booking, locale) {
+  return {
+    groupSize: booking.groupSize,
+    people: `${booking.groupSize} ${booking.groupSize === 1 ? 'person' : 'people'}`,
+    cancelBy: booking.cancellationDeadline
+      ? formatDate(studioTime.wallClock(booking.cancellationDeadline), 'dddd, MMMM Do YYYY HH:mm', locale)
+      : ''
+  };
+}
+
+// "2 hours", "24 hours", "30 minutes"
+function formatLeadTime(hours) {
+  return hours < 1
+    ? `${Math.round(hours * 60)} minutes`
+    : `${hours} ${hours === 1 ? 'hour' : 'hours'}`;
+}
+
+// Example data for previews and test sends
+const SAMPLE = {
+  client: { name: 'Alex Client', email: 'alex@example.com' },
+  trainer: { name: 'Sam Trainer', email: 'sam@example.com' },
+  session: { date: moment.utc().add(1, 'day').startOf('day').toDate(), time: '07:00', exerciseType: 'regular-training', trainer: { name: 'Sam Trainer' } },
+  booking: { groupSize: 2, cancellationDeadline: moment.utc().startOf('day').add(7, 'hours').toDate() }, // A day before the session
+  invite: { name: 'Jamie New', email: 'jamie@example.com', token: 'sample-token' }
+};
+
+function layout(color, title, body) {
+  return `
+      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto; padding: 20px;">
+        <div style="background: ${color}; color: white; padding: 20px; text-align: center; border-radius: 8px 8px 0 0;">
+          <h1 style="margin: 0;">${title}</h1>
+        </div>
+        <div style="background: white; padding: 30px; border: 1px solid #ddd; border-radius: 0 0 8px 8px;">${body}
+        </div>
+      </div>
+    `;
+}
+
+// Built-in (English) templates, used whenever no edited version exists.
+// variables() turns the arguments the email is sent with into placeholder values.
+const TEMPLATES = {
+  bookingConfirmation: {
+    description: 'Sent to a client when a booking is confirmed',
+    sample: () => [SAMPLE.booking, SAMPLE.session, SAMPLE.client],
+    variables: ([booking, session, client], locale) => ({
+      client: userVars(client),
+      session: sessionVars(session, locale),
+      booking: bookingVars(booking, locale)
+    }),
+    subject: 'Booking Confirmation - Your Training Session is Confirmed!',
+    html: layout('#4CAF50', 'Booking Confirmed!', `
+          <h2 style="color: #333;">Hi {{client.name}}!</h2>
+          <p>Your training session has been successfully booked. Here are the details:</p>
+
+          <div style="background: #f9f9f9; padding: 20px; border-radius: 8px; margin: 20px 0;">
+            <h3 style="color: #4CAF50; margin-top: 0;">Session Details</h3>
+            <p><strong>Date:</strong> {{session.date}}</p>
+            <p><strong>Time:</strong> {{session.time}}</p>
+            <p><strong>Exercise Type:</strong> {{session.exerciseType}}</p>
+            <p><strong>Group Size:</strong> {{booking.people}}</p>
+          </div>
+
+          <p style="color: #666;">You can cancel free of charge until {{booking.cancelBy}}.</p>
+          <p style="color: #666;">You'll receive a reminder email before your session.</p>`),
+    text: 'Hi {{client.name}}! Your training session has been confirmed for {{session.shortDate}} at {{session.time}}. You can cancel free of charge until {{booking.cancelBy}}.'
+  },
+
+  cancellationNotification: {
+    description: 'Sent to a client when a booking or session is cancelled',
+    sample: () => [SAMPLE.booking, SAMPLE.session, SAMPLE.client],
+    variables: ([booking, session, client], locale) => ({
+      client: userVars(client),
+      session: sessionVars(session, locale),
+      booking: bookingVars(booking, locale)
+    }),
+    subject: 'Booking Cancelled - Training Session',
+    html: layout('#dc3545', 'Booking Cancelled', `
+          <h2 style="color: #333;">Hi {{client.name}},</h2>
+          <p>Your training session has been cancelled.</p>
+          <p>Date: {{session.date}} at {{session.time}}</p>`),
+    text: 'Hi {{client.name}}, Your training session for {{session.shortDate}} at {{session.time}} has been cancelled.'
+  },
+
+  sessionRescheduled: {
+    description: 'Sent to a client when their booked session moves or changes trainer, or they move their booking',
+    sample: () => [SAMPLE.booking, SAMPLE.session, SAMPLE.client, { ...SAMPLE.session, time: '06:00' }],
+    variables: ([booking, session, client, previous], locale) => ({
+      client: userVars(client),
+      session: sessionVars(session, locale),
+      previous: sessionVars(previous, locale),
+      booking: bookingVars(booking, locale)
+    }),
+    subject: 'Session Rescheduled - Your Training Session Has Changed',
+    html: layout('#FF9800', 'Session Rescheduled', `
+          <h2 style="color: #333;">Hi {{client.name}},</h2>
+          <p>Your training session on {{previous.date}} at {{previous.time}} has changed. Your booking is still confirmed:</p>
+
+          <div style="background: #f9f9f9; padding: 20px; border-radius: 8px; margin: 20px 0;">
+            <h3 style="color: #FF9800; margin-top: 0;">Updated Session Details</h3>
+            <p><strong>Date:</strong> {{session.date}}</p>
+            <p><strong>Time:</strong> {{session.time}}</p>
+            <p><strong>Trainer:</strong> {{session.trainer}}</p>
+            <p><strong>Exercise Type:</strong> {{session.exerciseType}}</p>
+            <p><strong>Group Size:</strong> {{booking.people}}</p>
+          </div>
+
+          <p style="color: #666;">If the new time doesn't work for you, you can cancel from your bookings page.</p>`),
+    text: 'Hi {{client.name}}, your training session on {{previous.shortDate}} at {{previous.time}} has changed. It is now on {{session.shortDate}} at {{session.time}} with {{session.trainer}}.'
+  },
+
+  sessionReminder: {
+    description: 'Sent to a client before a booked session',
+    sample: () => [SAMPLE.booking, SAMPLE.session, SAMPLE.client, 2],
+    variables: ([booking, session, client, hoursBefore], locale) => ({
+      client: userVars(client),
+      session: sessionVars(session, locale),
+      booking: bookingVars(booking, locale),
+      leadTime: formatLeadTime(hoursBefore)
+    }),
+    subject: 'Reminder: Your Training Session Starts in {{leadTime}}!',
+    html: layout('#FF9800', 'Session Reminder', `
+          <h2 style="color: #333;">Hi {{client.name}}!</h2>
+          <p><strong>Your training session starts in {{leadTime}}!</strong></p>
+          <p>Date: {{session.date}}</p>
+          <p>Time: {{session.time}}</p>
+          <p>Exercise Type: {{session.exerciseType}}</p>`),
+    text: 'Hi {{client.name}}! Your training session starts in {{leadTime}}! Date: {{session.shortDate}} Time: {{session.time}}'
+  },
+
+  trainerNotification: {
+    description: 'Sent to the trainer when a client books one of their sessions',
+    sample: () => [SAMPLE.booking, SAMPLE.session, SAMPLE.client],
+    variables: ([booking, session, client], locale) => ({
+      client: userVars(client),
+      session: sessionVars(session, locale),
+      booking: bookingVars(booking, locale)
+    }),
+    subject: 'New Booking: Client Booked Your Training Session',
+    html: layout('#2196F3', 'New Booking Alert', `
+          <h2 style="color: #333;">New Session Booking!</h2>
+          <p>Client: {{client.name}} ({{client.email}})</p>
+          <p>Session: {{session.shortDate}} at {{session.time}}</p>
+          <p>Exercise Type: {{session.exerciseType}}</p>
+          <p>Group Size: {{booking.groupSize}}</p>`),
+    text: 'New Booking! Client: {{client.name}} ({{client.email}}) Session: {{session.shortDate}} at {{session.time}}'
+  },
+
+  passwordReset: {
+    description: 'Password reset link',
+    sample: () => [SAMPLE.client, 'sample-token'],
+    variables: ([user, resetToken]) => ({
+      user: userVars(user),
+      resetUrl: `${process.env.APP_URL}/reset-password?token=${resetToken}`
+    }),
+    subject: 'Password Reset Request - Personal Trainer Booking',
+    html: layout('#6c757d', 'Password Reset', `
+          <h2 style="color: #333;">Hi {{user.name}},</h2>
+          <p>Click the link below to reset your password:</p>
+          <p><a href="{{resetUrl}}">Reset Password</a></p>
+          <p>This link expires in 1 hour.</p>`),
+    text: 'Hi {{user.name}}, Visit this link to reset your password: {{resetUrl}}'
+  },
+
+  emailVerification: {
+    description: 'Link to confirm the email address of a new account or a changed address',
+    sample: () => [SAMPLE.client, 'sample-token', 48],
+    variables: ([user, token, expiryHours]) => ({
+      user: userVars(user),
+      verifyUrl: `${process.env.APP_URL}/verify-email?token=${token}`,
+      expiryHours
+    }),
+    subject: 'Please Confirm Your Email Address - Personal Trainer Booking',
+    html: layout('#2196F3', 'Confirm Your Email', `
+          <h2 style="color: #333;">Hi {{user.name}},</h2>
+          <p>Please confirm that {{user.email}} is your email address. You can book sessions once it is confirmed.</p>
+          <p><a href="{{verifyUrl}}">Confirm Email Address</a></p>
+          <p>This link expires in {{expiryHours}} hours.</p>`),
+    text: 'Hi {{user.name}}, Confirm your email address to start booking: {{verifyUrl}}'
+  },
+
+  waitlistPromotion: {
+    description: 'Sent to a client whose waitlist entry became a booking',
+    sample: () => [SAMPLE.booking, SAMPLE.session, SAMPLE.client],
+    variables: ([booking, session, client], locale) => ({
+      client: userVars(client),
+      session: sessionVars(session, locale),
+      booking: bookingVars(booking, locale)
+    }),
+    subject: 'Good News - A Spot Opened Up and You Are Booked!',
+    html: layout('#4CAF50', 'You\'re Off the Waitlist!', `
+          <h2 style="color: #333;">Hi {{client.name}}!</h2>
+          <p>A spot opened up in a session you were waiting for, and your booking is now confirmed:</p>
+
+          <div style="background: #f9f9f9; padding: 20px; border-radius: 8px; margin: 20px 0;">
+            <h3 style="color: #4CAF50; margin-top: 0;">Session Details</h3>
+            <p><strong>Date:</strong> {{session.date}}</p>
+            <p><strong>Time:</strong> {{session.time}}</p>
+            <p><strong>Exercise Type:</strong> {{session.exerciseType}}</p>
+            <p><strong>Group Size:</strong> {{booking.people}}</p>
+          </div>
+
+          <p style="color: #666;">If you can no longer attend, you can cancel free of charge until {{booking.cancelBy}}.</p>`),
+    text: 'Hi {{client.name}}! A spot opened up and you are now booked for {{session.shortDate}} at {{session.time}}. You can cancel free of charge until {{booking.cancelBy}}.'
+  },
+
+  trainerInvite: {
+    description: 'Invitation for a new trainer to set their password',
+    sample: () => [SAMPLE.invite, SAMPLE.trainer, 72],
+    variables: ([invite, invitedBy, expiryHours]) => ({
+      invite: { name: invite.name, email: invite.email },
+      invitedBy: userVars(invitedBy),
+      acceptUrl: `${process.env.APP_URL}/accept-invite?token=${invite.token}`,
+      expiryHours
+    }),
+    subject: 'You are invited to join as a Trainer - Personal Trainer Booking',
+    html: layout('#2196F3', 'Trainer Invitation', `
+          <h2 style="color: #333;">Hi {{invite.name}},</h2>
+          <p>{{invitedBy.name}} has invited you to join Personal Trainer Booking as a trainer.</p>
+          <p><a href="{{acceptUrl}}">Accept Invitation and Set Your Password</a></p>
+          <p>This link expires in {{expiryHours}} hours and can only be used once.</p>`),
+    text: 'Hi {{invite.name}}, {{invitedBy.name}} has invited you to join as a trainer. Set your password here: {{acceptUrl}}'
+  },
+
+  customMessage: {
+    description: 'Free-form message an admin sends to session members or clients',
+    sample: () => [SAMPLE.client, 'Studio update', 'The studio will be closed on Monday.\nSee you on Tuesday!'],
+    variables: ([recipient, subject, message]) => ({
+      recipient: userVars(recipient),
+      subject,
+      message
+    }),
+    subject: '{{subject}}',
+    html: layout('#4CAF50', 'Message from Your Trainer', `
+          <h2 style="color: #333;">Hi {{recipient.name}}!</h2>
+          <div style="background: #f9f9f9; padding: 20px; border-radius: 8px; margin: 20px 0; white-space: pre-wrap;">{{message}}</div>
+          <p style="color: #666;">Best regards, Your Personal Trainer</p>`),
+    text: 'Hi {{recipient.name}}!\n\n{{message}}\n\nBest regards, Your Personal Trainer'
+  }
+};
+
+function EmailTemplate() {
+  return mongoose.model('EmailTemplate');
+}
+
+// The edited template for a locale, then for the default locale, then the built-in
+async function findSource(key, locale) {
+  const locales = [locale, DEFAULT_LOCALE].filter((l, i, all) => l && all.indexOf(l) === i);
+  for (const candidate of locales) {
+    const edited = await EmailTemplate().findOne({ key, locale: candidate });
+    if (edited) {
+      return edited;
+    }
+  }
+  return TEMPLATES[key];
+}
+
+function renderSource(source, vars) {
+  return {
+    subject: interpolate(source.subject, vars, false),
+    html: interpolate(source.html, vars, true),
+    text: interpolate(source.text, vars, false)
+  };
+}
+
+// Render template `key` for the recipient's locale with the email's arguments
+async function render(key, locale, args) {
+  const definition = TEMPLATES[key];
+  const source = await findSource(key, locale);
+  return renderSource(source, definition.variables(args, locale || DEFAULT_LOCALE));
+}
+
+// Render a draft (unsaved) template with sample data, for previews and test sends
+function renderSample(key, locale, source) {
+  const definition = TEMPLATES[key];
+  return renderSource(source, definition.variables(definition.sample(), locale || DEFAULT_LOCALE));
+}
+
+// Placeholders in a draft that the template doesn't provide
+function unknownPlaceholders(key, source) {
+  const definition = TEMPLATES[key];
+  const known = variableNames(definition.variables(definition.sample(), DEFAULT_LOCALE));
+  const used = [source.subject, source.html, source.text]
+    .flatMap(part => Array.from(String(part || '').matchAll(PLACEHOLDER), match => match[1]));
+  return [...new Set(used.filter(name => !known.includes(name)))];
+}
+
+// Template list for the admin editor: built-in text, available placeholders and edited versions
+async function listTemplates() {
+  const edited = await EmailTemplate().find({}).populate('updatedBy', 'name');
+
+  return Object.entries(TEMPLATES).map(([key, definition]) => ({
+    key,
+    description: definition.description,
+    variables: variableNames(definition.variables(definition.sample(), DEFAULT_LOCALE)),
+    builtIn: { subject: definition.subject, html: definition.html, text: definition.text },
+    overrides: edited.filter(t => t.key === key)
+  }));
+}
+
+module.exports = {
+  SUPPORTED_LOCALES,
+  DEFAULT_LOCALE,
+  TEMPLATE_KEYS: Object.keys(TEMPLATES),
+  escapeHtml,
+  render,
+  renderSample,
+  unknownPlaceholders,
+  listTemplates
+};
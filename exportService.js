@@ -0,0 +1,188 @@
+const mongoose = require('mongoose');
+const moment = require('moment');
+const packageService = require('./packageService');
+const studioTime = require('./studioTime');
+
+// Clients, sessions and bookings as CSV-ready tables ({ columns, rows }) for a range of
+// studio calendar days ({ from, to }, both optional "YYYY-MM-DD", inclusive). Sessions
+// and bookings are picked by the session's date, clients by the day they joined.
+// Client and session columns use the headings the importer reads, so an export can
+// be edited in a spreadsheet and imported elsewhere.
+
+function User() {
+  return mongoose.model('User');
+}
+
+function Session() {
+  return mongoose.model('Session');
+}
+
+// Query on a session date for the range, or undefined for all time
+function sessionDates({ from, to }) {
+  if (!from && !to) {
+    return undefined;
+  }
+  const query = {};
+  if (from) {
+    query.$gte = studioTime.toSessionDate(from);
+  }
+  if (to) {
+    query.$lt = moment.utc(studioTime.toDay(to)).add(1, 'day').toDate();
+  }
+  return query;
+}
+
+// Query on a timestamp for the instants of the range's days on the studio clock
+function instants({ from, to }) {
+  if (!from && !to) {
+    return undefined;
+  }
+  const query = {};
+  if (from) {
+    query.$gte = studioTime.zonedInstant(from, '00:00');
+  }
+  if (to) {
+    query.$lt = studioTime.zonedInstant(moment.utc(studioTime.toDay(to)).add(1, 'day').toDate(), '00:00');
+  }
+  return query;
+}
+
+function day(instant) {
+  return instant ? studioTime.wallClock(instant).format('YYYY-MM-DD') : '';
+}
+
+function dateTime(instant) {
+  return instant ? studioTime.wallClock(instant).format('YYYY-MM-DD HH:mm') : '';
+}
+
+async function exportClients(range) {
+  const query = { role: 'client' };
+  const joined = instants(range);
+  if (joined) {
+    query.createdAt = joined;
+  }
+
+  const clients = await User().find(query, 'name email phone emailVerified createdAt').sort({ name: 1 });
+  const balances = await packageService.getBalances(clients.map(client => client._id));
+  return {
+    columns: [
+      { key: 'name', label: 'Name' },
+      { key: 'email', label: 'Email' },
+      { key: 'phone', label: 'Phone' },
+      { key: 'credits', label: 'Credits' },
+      { key: 'creditsExpire', label: 'Credits Expire' },
+      { key: 'emailVerified', label: 'Email Verified' },
+      { key: 'joined', label: 'Joined' }
+    ],
+    rows: clients.map(client => {
+      const balance = balances[client._id.toString()] || { remainingCredits: 0, expiresAt: null };
+      return {
+        name: client.name,
+        email: client.email,
+        phone: client.phone || '',
+        credits: balance.remainingCredits,
+        creditsExpire: day(balance.expiresAt),
+        emailVerified: client.emailVerified ? 'yes' : 'no',
+        joined: day(client.createdAt)
+      };
+    })
+  };
+}
+
+async function exportSessions(range) {
+  const dates = sessionDates(range);
+  const sessions = await Session().find(dates ? { date: dates } : {}).populate('trainer', 'name email').sort({ startsAt: 1 });
+  return {
+    columns: [
+      { key: 'date', label: 'Date' },
+      { key: 'time', label: 'Time' },
+      { key: 'duration', label: 'Duration' },
+      { key: 'exerciseType', label: 'Exercise Type' },
+      { key: 'trainer', label: 'Trainer' },
+      { key: 'trainerEmail', label: 'Trainer Email' },
+      { key: 'capacity', label: 'Capacity' },
+      { key: 'seatsBooked', label: 'Seats Booked' },
+      { key: 'price', label: 'Price' },
+      { key: 'status', label: 'Status' },
+      { key: 'description', label: 'Description' }
+    ],
+    rows: sessions.map(session => ({
+      date: studioTime.toDay(session.date),
+      time: session.time,
+      duration: session.duration,
+      exerciseType: session.exerciseType,
+      trainer: session.trainer ? session.trainer.name : '',
+      trainerEmail: session.trainer ? session.trainer.email : '',
+      capacity: session.maxCapacity,
+      seatsBooked: session.currentBookings,
+      price: session.price,
+      status: session.status,
+      description: session.description
+    }))
+  };
+}
+
+async function exportBookings(range) {
+  const dates = sessionDates(range);
+  const sessions = await Session().find(dates ? { date: dates } : {}, '_id');
+  const bookings = await mongoose.model('Booking').find({ session: { $in: sessions.map(session => session._id) } })
+    .populate([{ path: 'session', populate: { path: 'trainer', select: 'name' } }, { path: 'client', select: 'name email' }]);
+  bookings.sort((a, b) => a.session.startsAt - b.session.startsAt || a.createdAt - b.createdAt);
+
+  return {
+    columns: [
+      { key: 'date', label: 'Date' },
+      { key: 'time', label: 'Time' },
+      { key: 'exerciseType', label: 'Exercise Type' },
+      { key: 'trainer', label: 'Trainer' },
+      { key: 'client', label: 'Client' },
+      { key: 'clientEmail', label: 'Client Email' },
+      { key: 'groupSize', label: 'Group Size' },
+      { key: 'status', label: 'Status' },
+      { key: 'paidWith', label: 'Paid With' },
+      { key: 'creditsUsed', label: 'Credits Used' },
+      { key: 'price', label: 'Price' },
+      { key: 'paymentStatus', label: 'Payment Status' },
+      { key: 'attendance', label: 'Attendance' },
+      { key: 'lateCancellation', label: 'Late Cancellation' },
+      { key: 'bookedAt', label: 'Booked At' },
+      { key: 'cancelledAt', label: 'Cancelled At' },
+      { key: 'cancellationReason', label: 'Cancellation Reason' }
+    ],
+    rows: bookings.map(booking => ({
+      date: studioTime.toDay(booking.session.date),
+      time: booking.session.time,
+      exerciseType: booking.session.exerciseType,
+      trainer: booking.session.trainer ? booking.session.trainer.name : '',
+      client: booking.client ? booking.client.name : '',
+      clientEmail: booking.client ? booking.client.email : '',
+      groupSize: booking.groupSize,
+      status: booking.status,
+      paidWith: booking.isPackageBooking ? 'package' : 'single',
+      creditsUsed: booking.creditsUsed,
+      price: booking.isPackageBooking ? 0 : booking.price,
+      paymentStatus: booking.paymentStatus,
+      attendance: booking.attendance || '',
+      lateCancellation: booking.lateCancellation ? 'yes' : '',
+      bookedAt: dateTime(booking.createdAt),
+      cancelledAt: dateTime(booking.cancelledAt),
+      cancellationReason: booking.cancellationReason
+    }))
+  };
+}
+
+const EXPORTS = {
+  clients: exportClients,
+  sessions: exportSessions,
+  bookings: exportBookings
+};
+
+// { columns, rows } of one export ('clients', 'sessions' or 'bookings')
+async function buildExport(kind, range) {
+  return EXPORTS[kind](range);
+}
+
+module.exports = {
+  EXPORT_KINDS: Object.keys(EXPORTS),
+  buildExport
+};
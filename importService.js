@@ -0,0 +1,313 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const csv = require('./csv');
+const validation = require('./validation');
+const packageService = require('./packageService');
+const pricingService = require('./pricingService');
+const availabilityService = require('./availabilityService');
+const auditService = require('./auditService');
+const studioTime = require('./studioTime');
+
+// Bulk import of clients and sessions from CSV files. Every row is checked first and
+// a dry run stops there, reporting what the import would do. A real import creates the
+// rows that pass and skips the rest, so a corrected file can be imported again
+// without creating anything twice.
+
+const MAX_ROWS = 2000;
+const STAFF_ROLES = ['admin', 'trainer'];
+
+// Headings accepted for each field, compared ignoring case, spaces and punctuation.
+// The first heading found wins, so "Trainer Email" is preferred over "Trainer".
+const CLIENT_COLUMNS = {
+  name: ['name', 'fullname', 'client'],
+  email: ['email', 'emailaddress'],
+  phone: ['phone', 'phonenumber', 'mobile'],
+  credits: ['credits', 'packagecredits', 'remainingcredits']
+};
+
+const CLIENT_RULES = {
+  name: { type: 'string', required: true, maxLength: 100 },
+  email: { type: 'email', required: true },
+  phone: { type: 'string', maxLength: 30 },
+  credits: { type: 'integer', min: 0, max: 500 }
+};
+
+const SESSION_COLUMNS = {
+  date: ['date'],
+  time: ['time', 'starttime'],
+  duration: ['duration', 'durationminutes', 'minutes'],
+  exerciseType: ['exercisetype', 'type'],
+  maxCapacity: ['capacity', 'maxcapacity'],
+  trainerEmail: ['traineremail', 'trainer'],
+  description: ['description']
+};
+
+const SESSION_RULES = {
+  date: { type: 'date', required: true },
+  time: { type: 'time', required: true },
+  duration: { type: 'integer', min: 15, max: 240 },
+  exerciseType: { type: 'string', enum: ['body-health', 'regular-training'], required: true },
+  maxCapacity: { type: 'integer', min: 1, max: 4, required: true },
+  trainerEmail: { type: 'email', required: true },
+  description: { type: 'string', maxLength: 1000 }
+};
+
+function User() {
+  return mongoose.model('User');
+}
+
+function Session() {
+  return mongoose.model('Session');
+}
+
+function invalidFile(problem) {
+  return new validation.ApiError(400, `The file ${problem}`, { code: 'validation_failed', fields: { file: problem } });
+}
+
+function headingKey(heading) {
+  return heading.toLowerCase().replace(/[^a-z0-9]/g, '');
+}
+
+// A cell as typed, without surrounding spaces or the apostrophe exports put in front of "+44..."
+function cellValue(cell) {
+  return (cell || '').trim().replace(/^'(?=[=+\-@])/, '');
+}
+
+// The file's data rows as { row, fields }, where row is the spreadsheet row number
+// (the heading row is 1) and fields holds the non-empty cells by field name
+function readRows(text, columns, required) {
+  const [headings, ...lines] = csv.parseCsv(text);
+  if (!headings) {
+    throw invalidFile('is empty');
+  }
+
+  const keys = headings.map(headingKey);
+  const positions = {};
+  for (const [field, aliases] of Object.entries(columns)) {
+    const alias = aliases.find(name => keys.includes(name));
+    if (alias) {
+      positions[field] = keys.indexOf(alias);
+    }
+  }
+
+  const missing = required.filter(field => positions[field] === undefined);
+  if (missing.length > 0) {
+    const names = missing.map(field => field.replace(/[A-Z]/g, letter => ` ${letter.toLowerCase()}`));
+    throw invalidFile(`has no ${names.join(', ')} column${missing.length === 1 ? '' : 's'}`);
+  }
+  // Spreadsheets save rows they once had as a line of commas
+  const records = lines
+    .map((cells, index) => ({ cells, row: index + 2 }))
+    .filter(({ cells }) => cells.some(cell => cell.trim() !== ''));
+  if (records.length === 0) {
+    throw invalidFile('has no rows to import');
+  }
+  if (records.length > MAX_ROWS) {
+    throw invalidFile(`has more than ${MAX_ROWS} rows; split it into smaller files`);
+  }
+
+  return records.map(({ cells, row }) => {
+    const fields = {};
+    for (const [field, position] of Object.entries(positions)) {
+      const value = cellValue(cells[position]);
+      if (value !== '') {
+        fields[field] = value;
+      }
+    }
+    return { row, fields };
+  });
+}
+
+function summarize(dryRun, rows) {
+  const counts = { ready: 0, created: 0, duplicate: 0, error: 0 };
+  for (const row of rows) {
+    counts[row.status]++;
+  }
+  return { dryRun, counts, rows };
+}
+
+async function createClient({ name, email, phone, credits }, product, actor) {
+  // Imported clients choose their own password through "Forgot password"
+  const client = await User().create({
+    name,
+    email,
+    phone,
+    password: crypto.randomBytes(24).toString('hex'),
+    role: 'client'
+  });
+  await auditService.record({
+    actor,
+    action: 'user.create',
+    entityType: 'user',
+    entityId: client._id,
+    client: client._id,
+    changes: { role: { to: 'client' } },
+    note: 'Imported from CSV'
+  });
+
+  // Credits carried over from the old system are already paid for
+  if (credits > 0) {
+    await packageService.purchasePackage(client._id, {
+      name: 'Imported credits',
+      credits,
+      validityDays: product.validityDays,
+      price: 0
+    }, actor);
+  }
+  return client;
+}
+
+// Import clients (name, email, phone, credits) from CSV text.
+// Returns { dryRun, counts: { ready, created, duplicate, error }, rows }, one row
+// per data row: { row, status, name, email, errors?, duplicateOf? }.
+async function importClients(text, { dryRun, actor }) {
+  const checked = readRows(text, CLIENT_COLUMNS, ['name', 'email'])
+    .map(({ row, fields }) => ({ row, fields, ...validation.checkRecord(fields, CLIENT_RULES) }));
+
+  const emails = checked.map(({ values }) => values.email).filter(Boolean);
+  const existing = await User().find({ email: { $in: emails } }, 'email').collation({ locale: 'en', strength: 2 });
+  const taken = new Set(existing.map(user => user.email.toLowerCase()));
+  const product = await pricingService.getDefaultProduct();
+
+  const seen = new Map();
+  const rows = [];
+  for (const { row, fields, values, problems } of checked) {
+    const result = { row, name: fields.name || '', email: fields.email || '' };
+    if (Object.keys(problems).length > 0) {
+      rows.push({ ...result, status: 'error', errors: problems });
+      continue;
+    }
+
+    const key = values.email.toLowerCase();
+    if (taken.has(key) || seen.has(key)) {
+      const duplicateOf = taken.has(key) ? 'An account with this email already exists' : `Same email as row ${seen.get(key)}`;
+      rows.push({ ...result, status: 'duplicate', duplicateOf });
+      continue;
+    }
+    seen.set(key, row);
+
+    if (dryRun) {
+      rows.push({ ...result, status: 'ready' });
+      continue;
+    }
+    try {
+      const client = await createClient(values, product, actor);
+      rows.push({ ...result, status: 'created', id: client._id });
+    } catch (error) {
+      if (error.code !== 11000) {
+        throw error;
+      }
+      rows.push({ ...result, status: 'duplicate', duplicateOf: 'An account with this email already exists' });
+    }
+  }
+
+  return summarize(dryRun, rows);
+}
+
+// Spreadsheets drop the leading zero of "09:00" and write types as "Body Health"
+function normalizeSessionFields(fields) {
+  const normalized = { ...fields };
+  if (/^\d:\d{2}$/.test(normalized.time || '')) {
+    normalized.time = `0${normalized.time}`;
+  }
+  if (normalized.exerciseType) {
+    normalized.exerciseType = normalized.exerciseType.toLowerCase().replace(/\s+/g, '-');
+  }
+  return normalized;
+}
+
+// Import sessions (date, time, duration, exerciseType, capacity, trainerEmail,
+// description) from CSV text. A session in a slot the trainer already has, or that an
+// earlier row has, is a duplicate; other clashes, time off and sessions that would
+// already have started are row errors.
+// Returns { dryRun, counts, rows } like importClients, each row with { date, time, trainer }.
+async function importSessions(text, { dryRun, actor }) {
+  const checked = readRows(text, SESSION_COLUMNS, ['date', 'time', 'exerciseType', 'maxCapacity', 'trainerEmail'])
+    .map(({ row, fields }) => ({ row, fields, ...validation.checkRecord(normalizeSessionFields(fields), SESSION_RULES) }));
+
+  const emails = checked.map(({ values }) => values.trainerEmail).filter(Boolean);
+  const staff = await User().find({ email: { $in: emails }, role: { $in: STAFF_ROLES } }).collation({ locale: 'en', strength: 2 });
+  const trainers = new Map(staff.map(trainer => [trainer.email.toLowerCase(), trainer]));
+
+  const now = new Date();
+  const seen = new Map();
+  const planned = [];
+  const rows = [];
+  for (const { row, fields, values, problems } of checked) {
+    const trainer = values.trainerEmail ? trainers.get(values.trainerEmail.toLowerCase()) : null;
+    if (values.trainerEmail && !trainer) {
+      problems.trainerEmail = 'is not a trainer at the studio';
+    }
+    if (values.date && values.time && studioTime.zonedInstant(values.date, values.time) <= now) {
+      problems.date = 'is in the past';
+    }
+    const result = { row, date: fields.date || '', time: values.time || fields.time || '', trainer: trainer ? trainer.name : fields.trainerEmail || '' };
+    if (Object.keys(problems).length > 0) {
+      rows.push({ ...result, status: 'error', errors: problems });
+      continue;
+    }
+
+    const duration = values.duration || availabilityService.DEFAULT_DURATION;
+    const key = `${trainer._id}|${values.date}|${values.time}`;
+    const existing = await Session().exists({
+      trainer: trainer._id,
+      date: studioTime.toSessionDate(values.date),
+      time: values.time,
+      status: { $ne: 'cancelled' }
+    });
+    if (existing || seen.has(key)) {
+      const duplicateOf = existing ? `${trainer.name} already has this session` : `Same session as row ${seen.get(key)}`;
+      rows.push({ ...result, status: 'duplicate', duplicateOf });
+      continue;
+    }
+
+    // Clashes with sessions already in the studio, and with earlier rows of this file
+    const start = studioTime.zonedInstant(values.date, values.time).getTime();
+    const end = start + duration * 60 * 1000;
+    const overlap = planned.find(other => other.trainer === trainer._id.toString() && start < other.end && other.start < end);
+    const slot = overlap
+      ? { ok: false, reason: `overlaps the session in row ${overlap.row}` }
+      : await availabilityService.checkSessionSlot({ trainerId: trainer._id, date: values.date, time: values.time, duration });
+    if (!slot.ok) {
+      rows.push({ ...result, status: 'error', errors: { time: slot.reason } });
+      continue;
+    }
+    seen.set(key, row);
+    planned.push({ trainer: trainer._id.toString(), row, start, end });
+
+    if (dryRun) {
+      rows.push({ ...result, status: 'ready' });
+      continue;
+    }
+    const pricing = await pricingService.resolveSessionPricing({ exerciseType: values.exerciseType, trainerId: trainer._id });
+    const session = await Session().create({
+      date: studioTime.toSessionDate(values.date),
+      time: values.time,
+      duration,
+      exerciseType: values.exerciseType,
+      maxCapacity: values.maxCapacity,
+      trainer: trainer._id,
+      description: values.description || '',
+      ...pricing,
+      createdBy: actor
+    });
+    await auditService.record({
+      actor,
+      action: 'session.create',
+      entityType: 'session',
+      entityId: session._id,
+      session: session._id,
+      changes: auditService.diff({}, session, auditService.SESSION_FIELDS),
+      note: 'Imported from CSV'
+    });
+    rows.push({ ...result, status: 'created', id: session._id });
+  }
+
+  return summarize(dryRun, rows);
+}
+
+module.exports = {
+  MAX_ROWS,
+  importClients,
+  importSessions
+};
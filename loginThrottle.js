@@ -0,0 +1,72 @@
+// Tracks failed logins per email and per IP address and locks them out
+// after too many failures inside the window.
+
+const WINDOW_MS = (parseInt(process.env.LOGIN_WINDOW_MINUTES) || 15) * 60 * 1000;
+const LOCKOUT_MS = (parseInt(process.env.LOGIN_LOCKOUT_MINUTES) || 15) * 60 * 1000;
+const MAX_FAILURES_PER_EMAIL = parseInt(process.env.LOGIN_MAX_FAILURES_PER_EMAIL) || 5;
+const MAX_FAILURES_PER_IP = parseInt(process.env.LOGIN_MAX_FAILURES_PER_IP) || 20;
+
+// key -> { failures: [timestamps], lockedUntil }
+const attempts = new Map();
+
+function keysFor(email, ip) {
+  return [
+    { key: `email:${String(email || '').toLowerCase()}`, max: MAX_FAILURES_PER_EMAIL },
+    { key: `ip:${ip}`, max: MAX_FAILURES_PER_IP }
+  ];
+}
+
+// Returns the remaining lockout in ms, or 0 if login may be attempted
+function getLockout(email, ip) {
+  const now = Date.now();
+  let remaining = 0;
+
+  for (const { key } of keysFor(email, ip)) {
+    const entry = attempts.get(key);
+    if (entry && entry.lockedUntil > now) {
+      remaining = Math.max(remaining, entry.lockedUntil - now);
+    }
+  }
+
+  return remaining;
+}
+
+function recordFailure(email, ip) {
+  const now = Date.now();
+
+  for (const { key, max } of keysFor(email, ip)) {
+    const entry = attempts.get(key) || { failures: [], lockedUntil: 0 };
+    entry.failures = entry.failures.filter(time => now - time < WINDOW_MS);
+    entry.failures.push(now);
+
+    if (entry.failures.length >= max) {
+      entry.lockedUntil = now + LOCKOUT_MS;
+      entry.failures = [];
+    }
+
+    attempts.set(key, entry);
+  }
+}
+
+// A successful login clears the email counter; the IP counter keeps
+// running so one valid account can't be used to reset a guessing spree
+function recordSuccess(email) {
+  attempts.delete(`email:${String(email || '').toLowerCase()}`);
+}
+
+// Drop stale entries so the map doesn't grow forever
+setInterval(() => {
+  const now = Date.now();
+  for (const [key, entry] of attempts) {
+    const lastFailure = entry.failures[entry.failures.length - 1] || 0;
+    if (entry.lockedUntil <= now && now - lastFailure > WINDOW_MS) {
+      attempts.delete(key);
+    }
+  }
+}, WINDOW_MS).unref();
+
+module.exports = {
+  getLockout,
+  recordFailure,
+  recordSuccess
+};
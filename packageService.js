@@ -0,0 +1,222 @@
+const mongoose = require('mongoose');
+const moment = require('moment');
+const auditService = require('./auditService');
+
+// Validity given to legacy counters that never had an expiry
+const LEGACY_VALIDITY_DAYS = 90;
+// Name of the package a legacy counter is moved into
+const LEGACY_PACKAGE_NAME = 'Legacy package';
+
+function Package() {
+  return mongoose.model('Package');
+}
+
+function PackageLedger() {
+  return mongoose.model('PackageLedger');
+}
+
+async function writeLedger(pkg, type, credits, { booking, actor, note } = {}) {
+  return PackageLedger().create({
+    package: pkg._id,
+    client: pkg.client,
+    booking: booking || undefined,
+    type,
+    credits,
+    balanceAfter: pkg.remainingCredits,
+    actor: actor || undefined,
+    note: note || ''
+  });
+}
+
+// Sell a package product from the pricing catalog to a client, optionally
+// against the invoice it was billed on
+async function purchasePackage(clientId, product, actor, invoiceId) {
+  const { credits, validityDays } = product;
+  const pricePaid = product.price;
+
+  const pkg = await Package().create({
+    client: clientId,
+    product: product._id || undefined,
+    name: product.name || `${credits}-Session Package`,
+    credits,
+    remainingCredits: credits,
+    pricePaid,
+    expiresAt: moment().add(validityDays, 'days').toDate(),
+    invoice: invoiceId || undefined,
+    createdBy: actor || undefined
+  });
+
+  await writeLedger(pkg, 'purchase', credits, { actor, note: `${credits} credits, valid ${validityDays} days` });
+  await auditService.record({
+    actor,
+    action: 'package.add',
+    entityType: 'package',
+    entityId: pkg._id,
+    client: clientId,
+    changes: auditService.diff({}, pkg, ['name', 'credits', 'pricePaid', 'expiresAt'])
+  });
+  return pkg;
+}
+
+// Atomically take credits from the client's soonest-expiring package that
+// still has enough of them. Returns the updated package or null.
+async function consumeCredits(clientId, credits, bookingId) {
+  const pkg = await Package().findOneAndUpdate(
+    {
+      client: clientId,
+      remainingCredits: { $gte: credits },
+      expiresAt: { $gt: new Date() }
+    },
+    { $inc: { remainingCredits: -credits } },
+    { new: true, sort: { expiresAt: 1 } }
+  );
+
+  if (!pkg) {
+    return null;
+  }
+
+  await writeLedger(pkg, 'consume', -credits, { booking: bookingId });
+  return pkg;
+}
+
+// Give back the credits a booking used
+async function refundCredits(booking, actor, note) {
+  if (!booking.package || !booking.creditsUsed) {
+    return null;
+  }
+
+  const pkg = await Package().findByIdAndUpdate(
+    booking.package._id || booking.package,
+    { $inc: { remainingCredits: booking.creditsUsed } },
+    { new: true }
+  );
+
+  if (!pkg) {
+    return null;
+  }
+
+  await writeLedger(pkg, 'refund', booking.creditsUsed, { booking: booking._id, actor, note });
+  return pkg;
+}
+
+// Zero out every package the client holds
+async function resetPackages(clientId, actor) {
+  const packages = await Package().find({ client: clientId, remainingCredits: { $gt: 0 } });
+
+  for (const pkg of packages) {
+    const removed = pkg.remainingCredits;
+    pkg.remainingCredits = 0;
+    await pkg.save();
+    await writeLedger(pkg, 'reset', -removed, { actor, note: 'Package reset by admin' });
+    await auditService.record({
+      actor,
+      action: 'package.reset',
+      entityType: 'package',
+      entityId: pkg._id,
+      client: clientId,
+      changes: { remainingCredits: { from: removed, to: 0 } }
+    });
+  }
+
+  return packages.length;
+}
+
+// Usable credits and the nearest expiry across a client's active packages
+async function getBalance(clientId) {
+  const packages = await Package().find({
+    client: clientId,
+    remainingCredits: { $gt: 0 },
+    expiresAt: { $gt: new Date() }
+  }).sort({ expiresAt: 1 });
+
+  return {
+    remainingCredits: packages.reduce((sum, p) => sum + p.remainingCredits, 0),
+    expiresAt: packages.length > 0 ? packages[0].expiresAt : null,
+    packages
+  };
+}
+
+// Balances for many clients at once, keyed by client id
+async function getBalances(clientIds) {
+  const rows = await Package().aggregate([
+    {
+      $match: {
+        client: { $in: clientIds.map(id => new mongoose.Types.ObjectId(id)) },
+        remainingCredits: { $gt: 0 },
+        expiresAt: { $gt: new Date() }
+      }
+    },
+    {
+      $group: {
+        _id: '$client',
+        remainingCredits: { $sum: '$remainingCredits' },
+        expiresAt: { $min: '$expiresAt' }
+      }
+    }
+  ]);
+
+  const balances = {};
+  for (const row of rows) {
+    balances[row._id.toString()] = { remainingCredits: row.remainingCredits, expiresAt: row.expiresAt };
+  }
+  return balances;
+}
+
+// One-time move of the old User.activeSessions/packageExpiry counters into packages.
+// The old counter went up by 8 for each package added and by 1 for each package
+// booking (down by 1 when one was cancelled), so it was never a balance: what is
+// left is the counter minus twice the client's confirmed legacy package bookings.
+// Each client's counter is removed right after their package is created, and
+// clients who already have a migrated package are skipped, so a run that stopped
+// halfway can simply be repeated.
+async function migrateLegacyCounters() {
+  const users = mongoose.model('User').collection;
+  const legacy = await users.find({ activeSessions: { $gt: 0 } }).toArray();
+  let migrated = 0;
+
+  for (const user of legacy) {
+    const alreadyMigrated = await Package().exists({ client: user._id, name: LEGACY_PACKAGE_NAME });
+    if (!alreadyMigrated) {
+      const booked = await mongoose.model('Booking').aggregate([
+        { $match: { client: user._id, isPackageBooking: true, package: { $exists: false }, status: 'confirmed' } },
+        { $group: { _id: null, bookings: { $sum: 1 } } }
+      ]);
+      const remaining = user.activeSessions - 2 * (booked.length > 0 ? booked[0].bookings : 0);
+
+      if (remaining > 0) {
+        const pkg = await Package().create({
+          client: user._id,
+          name: LEGACY_PACKAGE_NAME,
+          credits: remaining,
+          remainingCredits: remaining,
+          pricePaid: 0,
+          expiresAt: user.packageExpiry || moment().add(LEGACY_VALIDITY_DAYS, 'days').toDate()
+        });
+        await writeLedger(pkg, 'purchase', remaining, { note: 'Migrated from legacy package counter' });
+        migrated++;
+      }
+    }
+
+    await users.updateOne({ _id: user._id }, { $unset: { activeSessions: '', packageExpiry: '' } });
+  }
+
+  // Counters that were already at zero carry nothing over
+  await users.updateMany(
+    { $or: [{ activeSessions: { $exists: true } }, { packageExpiry: { $exists: true } }] },
+    { $unset: { activeSessions: '', packageExpiry: '' } }
+  );
+
+  if (migrated > 0) {
+    console.log(`Migrated ${migrated} legacy package counters`);
+  }
+}
+
+module.exports = {
+  purchasePackage,
+  consumeCredits,
+  refundCredits,
+  resetPackages,
+  getBalance,
+  getBalances,
+  migrateLegacyCounters
+};
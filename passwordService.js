@@ -0,0 +1,58 @@
+const crypto = require('crypto');
+const { promisify } = require('util');
+
+const scrypt = promisify(crypto.scrypt);
+
+// Stored format: scrypt$<salt hex>$<derived key hex>
+const HASH_PREFIX = 'scrypt$';
+const SALT_BYTES = 16;
+const KEY_LENGTH = 64;
+
+function isHashed(stored) {
+  return typeof stored === 'string' && stored.startsWith(HASH_PREFIX);
+}
+
+async function hashPassword(password) {
+  const salt = crypto.randomBytes(SALT_BYTES).toString('hex');
+  const derivedKey = await scrypt(password, salt, KEY_LENGTH);
+  return `${HASH_PREFIX}${salt}$${derivedKey.toString('hex')}`;
+}
+
+async function verifyPassword(password, stored) {
+  if (typeof password !== 'string' || typeof stored !== 'string') {
+    return false;
+  }
+
+  // Legacy accounts still hold the plaintext password
+  if (!isHashed(stored)) {
+    const given = Buffer.from(password);
+    const expected = Buffer.from(stored);
+    return given.length === expected.length && crypto.timingSafeEqual(given, expected);
+  }
+
+  const [, salt, keyHex] = stored.split('$');
+  if (!salt || !keyHex) {
+    return false;
+  }
+
+  const expected = Buffer.from(keyHex, 'hex');
+  const derivedKey = await scrypt(password, salt, expected.length);
+  return crypto.timingSafeEqual(derivedKey, expected);
+}
+
+// Hash of a random password nobody knows, prepared once at startup
+const dummyHash = hashPassword(crypto.randomBytes(SALT_BYTES).toString('hex'));
+
+// Runs the same scrypt work as a real check when no account matches the
+// email, so unknown emails are not rejected measurably faster. Always false.
+async function verifyUnknownUser(password) {
+  await verifyPassword(typeof password === 'string' ? password : '', await dummyHash);
+  return false;
+}
+
+module.exports = {
+  isHashed,
+  hashPassword,
+  verifyPassword,
+  verifyUnknownUser
+};
@@ -0,0 +1,184 @@
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+const moment = require('moment');
+
+// Payment providers. Each one has charge(invoice, options) which resolves to
+// { status: 'succeeded' | 'pending' | 'failed', reference, error }.
+// Register a real card provider with registerProvider() and select it with PAYMENT_PROVIDER.
+const providers = {
+  // Offline stand-in for a card processor. Always succeeds unless
+  // PAYMENT_LOCAL_FAIL=true, so the payment flow can be tried without network access.
+  local: {
+    online: true,
+    async charge(invoice) {
+      if (process.env.PAYMENT_LOCAL_FAIL === 'true') {
+        return { status: 'failed', error: 'Local test provider is set to decline payments' };
+      }
+      return { status: 'succeeded', reference: `local_${crypto.randomBytes(8).toString('hex')}` };
+    }
+  },
+
+  // Trainer records money received in person or by bank transfer
+  manual: {
+    online: false,
+    async charge(invoice, { method, reference }) {
+      if (!['cash', 'bank-transfer'].includes(method)) {
+        return { status: 'failed', error: 'Payment method must be cash or bank-transfer' };
+      }
+      return { status: 'succeeded', reference: reference || method };
+    }
+  }
+};
+
+function registerProvider(name, provider) {
+  providers[name] = provider;
+}
+
+function onlineProviderName() {
+  return process.env.PAYMENT_PROVIDER || 'local';
+}
+
+// Next number from a named counter, e.g. INV-000042
+async function nextInvoiceNumber() {
+  const counter = await mongoose.model('Counter').findOneAndUpdate(
+    { _id: 'invoice' },
+    { $inc: { seq: 1 } },
+    { new: true, upsert: true }
+  );
+  return `INV-${String(counter.seq).padStart(6, '0')}`;
+}
+
+async function createInvoice({ client, items, booking, pkg, dueAt }) {
+  const total = items.reduce((sum, item) => sum + item.quantity * item.unitPrice, 0);
+
+  return mongoose.model('Invoice').create({
+    number: await nextInvoiceNumber(),
+    client,
+    items: items.map(item => ({ ...item, total: item.quantity * item.unitPrice })),
+    total,
+    booking: booking || undefined,
+    package: pkg || undefined,
+    dueAt: dueAt || undefined
+  });
+}
+
+// Keep the booking's payment status in line with its invoice
+async function syncBooking(invoice) {
+  if (!invoice.booking) {
+    return;
+  }
+  const paymentStatus = invoice.status === 'paid' ? 'paid' : invoice.status === 'void' ? 'void' : 'unpaid';
+  await mongoose.model('Booking').updateOne({ _id: invoice.booking }, { $set: { paymentStatus } });
+}
+
+// How long a payment may hold an invoice while the provider charges it
+const PROCESSING_LEASE_MINUTES = 10;
+
+// Charge an open invoice through a provider. The invoice is claimed before the
+// provider is called, so two payments arriving together can't both be charged.
+// Returns { success: true, invoice, payment } or { success: false, error }.
+async function payInvoice(invoiceId, providerName, options = {}) {
+  const Invoice = mongoose.model('Invoice');
+  const provider = providers[providerName];
+  if (!provider) {
+    return { success: false, error: `Unknown payment provider: ${providerName}` };
+  }
+
+  const now = new Date();
+  const invoice = await Invoice.findOneAndUpdate(
+    {
+      _id: invoiceId,
+      $or: [{ status: 'open' }, { status: 'processing', processingUntil: { $lte: now } }]
+    },
+    { $set: { status: 'processing', processingUntil: moment(now).add(PROCESSING_LEASE_MINUTES, 'minutes').toDate() } },
+    { new: true }
+  );
+  if (!invoice) {
+    const current = await Invoice.findById(invoiceId);
+    if (!current) {
+      return { success: false, error: 'Invoice not found' };
+    }
+    return {
+      success: false,
+      error: current.status === 'processing' ? 'A payment for this invoice is already in progress' : `Invoice is already ${current.status}`
+    };
+  }
+
+  // Only the payment holding this claim may settle or release the invoice
+  const claim = { _id: invoice._id, status: 'processing', processingUntil: invoice.processingUntil };
+  const release = () => Invoice.updateOne(claim, { $set: { status: 'open' }, $unset: { processingUntil: 1 } });
+
+  let result;
+  try {
+    result = await provider.charge(invoice, options);
+  } catch (error) {
+    await release();
+    throw error;
+  }
+
+  const payment = await mongoose.model('Payment').create({
+    invoice: invoice._id,
+    client: invoice.client,
+    provider: providerName,
+    method: options.method || 'card',
+    amount: invoice.total,
+    status: result.status,
+    reference: result.reference || '',
+    error: result.error || '',
+    recordedBy: options.actor || undefined
+  });
+
+  if (result.status !== 'succeeded') {
+    await release();
+    return { success: false, error: result.error || 'Payment is pending', payment };
+  }
+
+  const paid = await Invoice.findOneAndUpdate(
+    claim,
+    { $set: { status: 'paid', paidAt: new Date() }, $unset: { processingUntil: 1 } },
+    { new: true }
+  );
+  if (!paid) {
+    // The claim lapsed while the provider was charging
+    console.error(`Payment ${payment._id} succeeded after its claim on invoice ${invoice.number} lapsed`);
+    return { success: false, error: 'Payment took too long to confirm. Please contact the studio.', payment };
+  }
+
+  await syncBooking(paid);
+  return { success: true, invoice: paid, payment };
+}
+
+async function voidInvoice(invoiceId) {
+  const invoice = await mongoose.model('Invoice').findOneAndUpdate(
+    { _id: invoiceId, status: 'open' },
+    { $set: { status: 'void' } },
+    { new: true }
+  );
+  if (invoice) {
+    await syncBooking(invoice);
+  }
+  return invoice;
+}
+
+// Unpaid invoice totals per client, largest first. Invoices with a payment
+// in progress still count until it goes through.
+async function getOutstandingBalances() {
+  const rows = await mongoose.model('Invoice').aggregate([
+    { $match: { status: { $in: ['open', 'processing'] } } },
+    { $group: { _id: '$client', outstanding: { $sum: '$total' }, invoices: { $sum: 1 }, oldestDue: { $min: '$createdAt' } } },
+    { $lookup: { from: 'users', localField: '_id', foreignField: '_id', as: 'client' } },
+    { $unwind: '$client' },
+    { $project: { _id: 0, client: { _id: 1, name: 1, email: 1, phone: 1 }, outstanding: 1, invoices: 1, oldestDue: 1 } },
+    { $sort: { outstanding: -1 } }
+  ]);
+  return rows;
+}
+
+module.exports = {
+  registerProvider,
+  onlineProviderName,
+  createInvoice,
+  payInvoice,
+  voidInvoice,
+  getOutstandingBalances
+};
@@ -0,0 +1,86 @@
+const mongoose = require('mongoose');
+
+// Used when the catalog is empty (fresh install before an admin sets prices)
+const FALLBACK_PRICE = 50;
+const FALLBACK_PRODUCT = { name: '8-Session Package', credits: 8, validityDays: 90, price: 200 };
+
+function PriceRule() {
+  return mongoose.model('PriceRule');
+}
+
+function PackageProduct() {
+  return mongoose.model('PackageProduct');
+}
+
+// How well a rule matches: trainer + type beats trainer beats type beats the default rule
+function ruleScore(rule, exerciseType, trainerId) {
+  if (rule.trainer && rule.trainer.toString() !== String(trainerId)) {
+    return -1;
+  }
+  if (rule.exerciseType && rule.exerciseType !== exerciseType) {
+    return -1;
+  }
+  return (rule.trainer ? 2 : 0) + (rule.exerciseType ? 1 : 0);
+}
+
+async function findPriceRule(exerciseType, trainerId) {
+  const rules = await PriceRule().find({ isActive: true });
+  let best = null;
+  let bestScore = -1;
+
+  for (const rule of rules) {
+    const score = ruleScore(rule, exerciseType, trainerId);
+    if (score > bestScore) {
+      best = rule;
+      bestScore = score;
+    }
+  }
+
+  return best;
+}
+
+// The product offered as "the" package, shown next to each session
+async function getDefaultProduct() {
+  const product = await PackageProduct().findOne({ isActive: true, isDefault: true }) ||
+    await PackageProduct().findOne({ isActive: true }).sort({ credits: 1 });
+  return product || FALLBACK_PRODUCT;
+}
+
+// Prices to snapshot onto a new session so later catalog changes don't rewrite history
+async function resolveSessionPricing({ exerciseType, trainerId }) {
+  const rule = await findPriceRule(exerciseType, trainerId);
+  const product = await getDefaultProduct();
+
+  return {
+    price: rule ? rule.price : FALLBACK_PRICE,
+    groupPrices: rule ? rule.groupPrices.map(g => ({ groupSize: g.groupSize, pricePerPerson: g.pricePerPerson })) : [],
+    packagePrice: product.price,
+    packageDuration: product.validityDays
+  };
+}
+
+// Total price of a single-session booking for a group, from the session's snapshot
+function priceForGroup(session, groupSize) {
+  const groupPrice = (session.groupPrices || []).find(g => g.groupSize === groupSize);
+  const perPerson = groupPrice ? groupPrice.pricePerPerson : session.price;
+  return perPerson * groupSize;
+}
+
+// Seed the catalog with the prices the studio used before it existed
+async function seedDefaults() {
+  if (!(await PriceRule().exists({}))) {
+    await PriceRule().create({ price: FALLBACK_PRICE });
+  }
+  if (!(await PackageProduct().exists({}))) {
+    await PackageProduct().create({ ...FALLBACK_PRODUCT, isDefault: true });
+  }
+}
+
+module.exports = {
+  ruleScore,
+  findPriceRule,
+  getDefaultProduct,
+  resolveSessionPricing,
+  priceForGroup,
+  seedDefaults
+};
@@ -4,79 +4,184 @@ const mongoose = require('mongoose');
 const emailService = require('./emailService');
 const moment = require('moment');
 
-// Import models (assuming they're available globally or you'll need to pass them in)
-let Session, Booking, User;
-
-function initializeScheduler(sessionModel, bookingModel, userModel) {
-  Session = sessionModel;
-  Booking = bookingModel;
-  User = userModel;
-
-  // Schedule reminder emails to run every 15 minutes
-  // This checks for sessions starting in 2 hours
-  cron.schedule('*/15 * * * *', async () => {
-    console.log('Running reminder email check...');
+// Hours before a session to remind clients, e.g. REMINDER_OFFSETS_HOURS=24,2
+const REMINDER_OFFSETS = (process.env.REMINDER_OFFSETS_HOURS || '24,2')
+  .split(',')
+  .map(hours => parseFloat(hours))
+  .filter(hours => hours > 0)
+  .sort((a, b) => b - a);
+const MAX_ATTEMPTS = parseInt(process.env.REMINDER_MAX_ATTEMPTS) || 5;
+// Failed sends wait 5, 10, 20, ... minutes before the next attempt
+const RETRY_BASE_MINUTES = 5;
+// A send that never reported back (e.g. the process died) may be retried after this
+const SEND_LEASE_MINUTES = 10;
+
+let running = false;
+
+function Session() {
+  return mongoose.model('Session');
+}
+
+function Booking() {
+  return mongoose.model('Booking');
+}
+
+function NotificationLog() {
+  return mongoose.model('NotificationLog');
+}
+
+function reminderType(hours) {
+  return `reminder-${hours}h`;
+}
+
+function initializeScheduler() {
+  // Check every 5 minutes for reminders that have fallen due
+  cron.schedule('*/5 * * * *', async () => {
     await sendSessionReminders();
   });
 
-  console.log('Reminder scheduler initialized - checking every 15 minutes');
+  // Catch up on reminders that fell due while the server was down
+  sendSessionReminders();
+
+  console.log(`Reminder scheduler initialized - reminding ${REMINDER_OFFSETS.join('h, ')}h before sessions`);
+}
+
+// Create the log entry for a reminder if it doesn't exist yet. The unique
+// booking + type index makes this safe to call from overlapping runs.
+async function ensureLog(booking, type, fields) {
+  try {
+    await NotificationLog().updateOne(
+      { booking: booking._id, type },
+      { $setOnInsert: { client: booking.client._id, attempts: 0, nextAttemptAt: new Date(), ...fields } },
+      { upsert: true }
+    );
+  } catch (error) {
+    // Another run inserted it first
+    if (error.code !== 11000) {
+      throw error;
+    }
+  }
+}
+
+async function skipReminder(booking, type, note) {
+  await ensureLog(booking, type, { status: 'skipped', note });
+  // A reminder still waiting for a retry is superseded as well
+  await NotificationLog().updateOne(
+    { booking: booking._id, type, status: { $in: ['pending', 'retry'] } },
+    { $set: { status: 'skipped', note } }
+  );
+}
+
+// Claim and send one reminder. Only the run that claims the log entry sends,
+// so a reminder goes out once no matter how often the check runs.
+async function deliverReminder(booking, session, hours) {
+  const type = reminderType(hours);
+  await ensureLog(booking, type, { status: 'pending' });
+
+  const now = new Date();
+  const log = await NotificationLog().findOneAndUpdate(
+    {
+      booking: booking._id,
+      type,
+      status: { $in: ['pending', 'retry', 'sending'] },
+      nextAttemptAt: { $lte: now }
+    },
+    {
+      $set: { status: 'sending', nextAttemptAt: moment(now).add(SEND_LEASE_MINUTES, 'minutes').toDate() },
+      $inc: { attempts: 1 }
+    },
+    { new: true }
+  );
+
+  if (!log) {
+    return; // Already sent, given up on, or waiting for its next retry
+  }
+
+  let result;
+  try {
+    result = await emailService.sendSessionReminder(booking, session, booking.client, hours);
+  } catch (error) {
+    result = { success: false, error: error.message };
+  }
+
+  // The email outbox takes over delivery retries from here
+  if (result.success) {
+    log.status = 'sent';
+    log.sentAt = new Date();
+    log.lastError = '';
+    console.log(`Reminder ${type} sent to ${booking.client.email}`);
+  } else {
+    const retryMinutes = RETRY_BASE_MINUTES * Math.pow(2, log.attempts - 1);
+    log.status = log.attempts >= MAX_ATTEMPTS ? 'failed' : 'retry';
+    log.nextAttemptAt = moment().add(retryMinutes, 'minutes').toDate();
+    log.lastError = result.error || 'Unknown error';
+    console.error(`Failed to send ${type} to ${booking.client.email} (attempt ${log.attempts}):`, log.lastError);
+  }
+
+  await log.save();
 }
 
 async function sendSessionReminders() {
+  if (running) {
+    return;
+  }
+  running = true;
+
   try {
-    // Calculate the time 2 hours from now
-    const twoHoursFromNow = moment().add(2, 'hours');
-    const startWindow = twoHoursFromNow.clone().subtract(7, 'minutes'); // 7-minute window to catch sessions
-    const endWindow = twoHoursFromNow.clone().add(8, 'minutes');
-
-    console.log(`Checking for sessions between ${startWindow.format()} and ${endWindow.format()}`);
-
-    // Find sessions starting in approximately 2 hours
-    const upcomingSessions = await Session.find({
-      date: {
-        $gte: startWindow.startOf('day').toDate(),
-        $lte: endWindow.endOf('day').toDate()
-      },
+    const now = moment();
+    const latest = now.clone().add(REMINDER_OFFSETS[0], 'hours');
+
+    // Sessions that haven't started yet and are inside the earliest reminder window
+    const upcomingSessions = await Session().find({
+      startsAt: { $gt: now.toDate(), $lte: latest.toDate() },
       isActive: true
     });
 
     for (const session of upcomingSessions) {
-      // Create session datetime
-      const [hours, minutes] = session.time.split(':');
-      const sessionDateTime = moment(session.date)
-        .hours(parseInt(hours))
-        .minutes(parseInt(minutes))
-        .seconds(0);
-
-      // Check if this session is in our 2-hour window
-      if (sessionDateTime.isBetween(startWindow, endWindow)) {
-        console.log(`Found session at ${sessionDateTime.format()} - sending reminders`);
-
-        // Find all confirmed bookings for this session
-        const bookings = await Booking.find({
-          session: session._id,
-          status: 'confirmed'
-        }).populate('client');
-
-        // Send reminder to each client
-        for (const booking of bookings) {
-          // Check if we've already sent a reminder for this booking
-          // You might want to add a 'reminderSent' field to the booking schema to track this
-          try {
-            const result = await emailService.sendSessionReminder(booking, session, booking.client);
-            console.log(`Reminder sent to ${booking.client.email}:`, result);
+      const start = moment(session.startsAt);
+
+      // Offsets whose send time has passed; only the nearest one is sent, so a
+      // late booking or a catch-up after downtime gets one reminder, not several
+      const due = REMINDER_OFFSETS.filter(hours => !start.clone().subtract(hours, 'hours').isAfter(now));
+      if (due.length === 0) {
+        continue;
+      }
+      const nearest = due[due.length - 1];
 
-            // Optional: Mark that reminder was sent to avoid duplicates
-            // booking.reminderSent = true;
-            // await booking.save();
+      const bookings = await Booking().find({
+        session: session._id,
+        status: 'confirmed'
+      }).populate('client');
+
+      for (const booking of bookings) {
+        if (!booking.client) {
+          continue;
+        }
+
+        for (const hours of due) {
+          const type = reminderType(hours);
+          const sendAt = start.clone().subtract(hours, 'hours');
+
+          try {
+            if (booking.client.reminderOptOut) {
+              await skipReminder(booking, type, 'Client opted out of reminders');
+            } else if (hours !== nearest) {
+              await skipReminder(booking, type, `Superseded by ${reminderType(nearest)}`);
+            } else if (sendAt.isBefore(booking.createdAt)) {
+              await skipReminder(booking, type, 'Booked after the reminder time');
+            } else {
+              await deliverReminder(booking, session, hours);
+            }
           } catch (error) {
-            console.error(`Failed to send reminder to ${booking.client.email}:`, error);
+            console.error(`Error processing ${type} for booking ${booking._id}:`, error);
           }
         }
       }
     }
   } catch (error) {
     console.error('Error in sendSessionReminders:', error);
+  } finally {
+    running = false;
   }
 }
 
@@ -87,6 +192,7 @@ async function sendRemindersNow() {
 }
 
 module.exports = {
+  REMINDER_OFFSETS,
   initializeScheduler,
   sendRemindersNow
-};
\ No newline at end of file
+};
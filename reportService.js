@@ -0,0 +1,359 @@
+const mongoose = require('mongoose');
+const moment = require('moment');
+const studioTime = require('./studioTime');
+
+// Business reports for a range of studio calendar days ({ from, to }, both
+// "YYYY-MM-DD" and inclusive). Every report is a table - { columns, rows } and,
+// where adding up makes sense, a totals row - so the admin dashboard can chart
+// it and /api/reports/<name>.csv can hand it to the accountant unchanged.
+
+const WEEKDAYS = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+
+function Session() {
+  return mongoose.model('Session');
+}
+
+function Booking() {
+  return mongoose.model('Booking');
+}
+
+// Query on Session.date for the days of the range
+function sessionDates({ from, to }) {
+  return {
+    $gte: studioTime.toSessionDate(from),
+    $lt: moment.utc(studioTime.toDay(to)).add(1, 'day').toDate()
+  };
+}
+
+// Query on a timestamp for the instants the range's days cover on the studio clock
+function instants({ from, to }) {
+  return {
+    $gte: studioTime.zonedInstant(from, '00:00'),
+    $lt: studioTime.zonedInstant(moment.utc(studioTime.toDay(to)).add(1, 'day').toDate(), '00:00')
+  };
+}
+
+// "YYYY-MM" of every month the range touches
+function months({ from, to }) {
+  const list = [];
+  const last = moment.utc(studioTime.toDay(to)).format('YYYY-MM');
+  for (const month = moment.utc(studioTime.toDay(from)).startOf('month'); month.format('YYYY-MM') <= last; month.add(1, 'month')) {
+    list.push(month.format('YYYY-MM'));
+  }
+  return list;
+}
+
+function scheduledSessions(range) {
+  return { status: { $ne: 'cancelled' }, date: sessionDates(range) };
+}
+
+// Percentage of seats booked, to one decimal
+function fillRate(seatsBooked, capacity) {
+  return capacity > 0 ? Math.round(seatsBooked / capacity * 1000) / 10 : 0;
+}
+
+function money(amount) {
+  return Math.round(amount * 100) / 100;
+}
+
+// Sessions, booked seats and capacity of the range's sessions, grouped by `key`
+async function utilizationBy(range, key) {
+  const groups = await Session().aggregate([
+    { $match: scheduledSessions(range) },
+    {
+      $group: {
+        _id: key,
+        sessions: { $sum: 1 },
+        seatsBooked: { $sum: '$currentBookings' },
+        capacity: { $sum: '$maxCapacity' }
+      }
+    },
+    { $sort: { _id: 1 } }
+  ]);
+  return groups.map(group => ({ ...group, fillRate: fillRate(group.seatsBooked, group.capacity) }));
+}
+
+const UTILIZATION_COLUMNS = [
+  { key: 'sessions', label: 'Sessions' },
+  { key: 'seatsBooked', label: 'Seats Booked' },
+  { key: 'capacity', label: 'Capacity' },
+  { key: 'fillRate', label: 'Fill Rate (%)' }
+];
+
+async function sessionReport(range) {
+  const sessions = await Session().find(scheduledSessions(range)).populate('trainer', 'name').sort({ startsAt: 1 });
+  return {
+    rows: sessions.map(session => ({
+      date: studioTime.toDay(session.date),
+      time: session.time,
+      exerciseType: session.exerciseType,
+      trainer: session.trainer ? session.trainer.name : '',
+      seatsBooked: session.currentBookings,
+      capacity: session.maxCapacity,
+      fillRate: fillRate(session.currentBookings, session.maxCapacity)
+    }))
+  };
+}
+
+async function timeSlotReport(range) {
+  const groups = await utilizationBy(range, '$time');
+  return { rows: groups.map(({ _id, ...totals }) => ({ time: _id, ...totals })) };
+}
+
+async function exerciseTypeReport(range) {
+  const groups = await utilizationBy(range, '$exerciseType');
+  return { rows: groups.map(({ _id, ...totals }) => ({ exerciseType: _id, ...totals })) };
+}
+
+// Weekdays in calendar order, so the busiest stand out in a chart
+async function busiestDayReport(range) {
+  const groups = await utilizationBy(range, { $dayOfWeek: '$date' }); // Session dates are midnight UTC
+  const byDay = new Map(groups.map(group => [group._id, group]));
+  return {
+    rows: WEEKDAYS.map((weekday, index) => {
+      const { sessions = 0, seatsBooked = 0, capacity = 0, fillRate: rate = 0 } = byDay.get(index + 1) || {};
+      return { weekday, sessions, seatsBooked, capacity, fillRate: rate };
+    })
+  };
+}
+
+// Money received in the range (successful payments, by the studio-clock month they
+// were taken), split by what was paid for. Fees are late-cancellation and no-show invoices.
+async function revenueReport(range) {
+  const groups = await mongoose.model('Payment').aggregate([
+    { $match: { status: 'succeeded', createdAt: instants(range) } },
+    { $lookup: { from: 'invoices', localField: 'invoice', foreignField: '_id', as: 'invoice' } },
+    { $unwind: '$invoice' },
+    {
+      $group: {
+        _id: {
+          month: { $dateToString: { format: '%Y-%m', date: '$createdAt', timezone: studioTime.STUDIO_TIMEZONE } },
+          kind: {
+            $cond: [
+              { $ifNull: ['$invoice.booking', false] },
+              'singleSessions',
+              { $cond: [{ $ifNull: ['$invoice.package', false] }, 'packages', 'fees'] }
+            ]
+          }
+        },
+        amount: { $sum: '$amount' },
+        payments: { $sum: 1 }
+      }
+    }
+  ]);
+
+  const blank = () => ({ singleSessions: 0, packages: 0, fees: 0, total: 0, payments: 0 });
+  const byMonth = new Map(months(range).map(month => [month, { month, ...blank() }]));
+  const totals = { month: 'Total', ...blank() };
+  for (const { _id, amount, payments } of groups) {
+    const row = byMonth.get(_id.month);
+    for (const target of row ? [row, totals] : [totals]) {
+      target[_id.kind] = money(target[_id.kind] + amount);
+      target.total = money(target.total + amount);
+      target.payments += payments;
+    }
+  }
+  return { rows: [...byMonth.values()], totals };
+}
+
+// Hours taught and attendees per trainer, most hours first
+async function trainerReport(range) {
+  const sessionGroups = await Session().aggregate([
+    { $match: scheduledSessions(range) },
+    {
+      $group: {
+        _id: '$trainer',
+        sessions: { $sum: 1 },
+        minutes: { $sum: '$duration' },
+        seatsBooked: { $sum: '$currentBookings' },
+        capacity: { $sum: '$maxCapacity' },
+        sessionIds: { $push: '$_id' }
+      }
+    }
+  ]);
+
+  const bookingGroups = await Booking().aggregate([
+    { $match: { status: 'confirmed', session: { $in: sessionGroups.flatMap(group => group.sessionIds) } } },
+    { $lookup: { from: 'sessions', localField: 'session', foreignField: '_id', as: 'session' } },
+    { $unwind: '$session' },
+    {
+      $group: {
+        _id: '$session.trainer',
+        clients: { $addToSet: '$client' },
+        attended: { $sum: { $cond: [{ $eq: ['$attendance', 'attended'] }, '$groupSize', 0] } },
+        noShows: { $sum: { $cond: [{ $eq: ['$attendance', 'no-show'] }, '$groupSize', 0] } }
+      }
+    }
+  ]);
+
+  const trainers = await mongoose.model('User').find({ _id: { $in: sessionGroups.map(group => group._id) } }, 'name');
+  const names = new Map(trainers.map(trainer => [trainer._id.toString(), trainer.name]));
+  const attendance = new Map(bookingGroups.map(group => [group._id.toString(), group]));
+
+  const rows = sessionGroups.map(group => {
+    const booked = attendance.get(group._id.toString()) || { clients: [], attended: 0, noShows: 0 };
+    return {
+      trainer: names.get(group._id.toString()) || 'Former trainer',
+      sessions: group.sessions,
+      hours: money(group.minutes / 60),
+      attendees: group.seatsBooked,
+      clients: booked.clients.length,
+      attended: booked.attended,
+      noShows: booked.noShows,
+      fillRate: fillRate(group.seatsBooked, group.capacity)
+    };
+  }).sort((a, b) => b.hours - a.hours || a.trainer.localeCompare(b.trainer));
+
+  const totals = rows.reduce((sum, row) => {
+    for (const key of ['sessions', 'hours', 'attendees', 'attended', 'noShows']) {
+      sum[key] = money(sum[key] + row[key]);
+    }
+    return sum;
+  }, { trainer: 'Total', sessions: 0, hours: 0, attendees: 0, attended: 0, noShows: 0 });
+  return { rows, totals };
+}
+
+// Clients who booked a session in each month of the range, compared with the month
+// before: new clients booked for the first time ever, returning ones also booked the
+// month before, churned ones booked the month before but not this month
+async function retentionReport(range) {
+  const monthList = months(range);
+  const activity = await Booking().aggregate([
+    { $match: { status: 'confirmed' } },
+    { $lookup: { from: 'sessions', localField: 'session', foreignField: '_id', as: 'session' } },
+    { $unwind: '$session' },
+    { $match: { 'session.date': { $lt: sessionDates(range).$lt } } },
+    {
+      $group: {
+        _id: '$client',
+        firstMonth: { $min: { $dateToString: { format: '%Y-%m', date: '$session.date' } } },
+        months: { $addToSet: { $dateToString: { format: '%Y-%m', date: '$session.date' } } }
+      }
+    }
+  ]);
+
+  const activeIn = month => new Set(activity.filter(client => client.months.includes(month)).map(client => client._id.toString()));
+
+  return {
+    rows: monthList.map(month => {
+      const previous = activeIn(moment.utc(month, 'YYYY-MM').subtract(1, 'month').format('YYYY-MM'));
+      const active = activeIn(month);
+      const returning = [...active].filter(client => previous.has(client)).length;
+      return {
+        month,
+        activeClients: active.size,
+        newClients: activity.filter(client => client.firstMonth === month).length,
+        returningClients: returning,
+        churnedClients: previous.size - returning,
+        retentionRate: previous.size > 0 ? Math.round(returning / previous.size * 1000) / 10 : null
+      };
+    })
+  };
+}
+
+const REPORTS = {
+  sessions: {
+    title: 'Fill rate per session',
+    columns: [
+      { key: 'date', label: 'Date' },
+      { key: 'time', label: 'Time' },
+      { key: 'exerciseType', label: 'Exercise Type' },
+      { key: 'trainer', label: 'Trainer' },
+      ...UTILIZATION_COLUMNS.slice(1)
+    ],
+    build: sessionReport
+  },
+  'time-slots': {
+    title: 'Fill rate per time slot',
+    columns: [{ key: 'time', label: 'Time' }, ...UTILIZATION_COLUMNS],
+    build: timeSlotReport
+  },
+  'exercise-types': {
+    title: 'Fill rate per exercise type',
+    columns: [{ key: 'exerciseType', label: 'Exercise Type' }, ...UTILIZATION_COLUMNS],
+    build: exerciseTypeReport
+  },
+  revenue: {
+    title: 'Revenue',
+    columns: [
+      { key: 'month', label: 'Month' },
+      { key: 'singleSessions', label: 'Single Sessions' },
+      { key: 'packages', label: 'Packages' },
+      { key: 'fees', label: 'Cancellation & No-show Fees' },
+      { key: 'total', label: 'Total' },
+      { key: 'payments', label: 'Payments' }
+    ],
+    build: revenueReport
+  },
+  trainers: {
+    title: 'Trainer performance',
+    columns: [
+      { key: 'trainer', label: 'Trainer' },
+      { key: 'sessions', label: 'Sessions' },
+      { key: 'hours', label: 'Hours' },
+      { key: 'attendees', label: 'Attendees' },
+      { key: 'clients', label: 'Different Clients' },
+      { key: 'attended', label: 'Attended' },
+      { key: 'noShows', label: 'No-shows' },
+      { key: 'fillRate', label: 'Fill Rate (%)' }
+    ],
+    build: trainerReport
+  },
+  retention: {
+    title: 'Client retention',
+    columns: [
+      { key: 'month', label: 'Month' },
+      { key: 'activeClients', label: 'Active Clients' },
+      { key: 'newClients', label: 'New Clients' },
+      { key: 'returningClients', label: 'Returning Clients' },
+      { key: 'churnedClients', label: 'Churned Clients' },
+      { key: 'retentionRate', label: 'Retention Rate (%)' }
+    ],
+    build: retentionReport
+  },
+  'busiest-days': {
+    title: 'Busiest days',
+    columns: [{ key: 'weekday', label: 'Weekday' }, ...UTILIZATION_COLUMNS],
+    build: busiestDayReport
+  }
+};
+
+// One report: { name, title, columns, rows, totals? }
+async function buildReport(name, range) {
+  const { title, columns, build } = REPORTS[name];
+  return { name, title, columns, ...(await build(range)) };
+}
+
+// Every report by name, and the range's headline numbers
+async function buildAll(range) {
+  const reports = {};
+  for (const name of Object.keys(REPORTS)) {
+    reports[name] = await buildReport(name, range);
+  }
+
+  const utilization = reports['exercise-types'].rows;
+  const seatsBooked = utilization.reduce((sum, row) => sum + row.seatsBooked, 0);
+  const capacity = utilization.reduce((sum, row) => sum + row.capacity, 0);
+  return {
+    summary: {
+      sessions: utilization.reduce((sum, row) => sum + row.sessions, 0),
+      seatsBooked,
+      fillRate: fillRate(seatsBooked, capacity),
+      revenue: reports.revenue.totals.total,
+      trainerHours: reports.trainers.totals.hours
+    },
+    reports
+  };
+}
+
+// Rows of a report as CSV-ready rows, its totals row last
+function csvRows(report) {
+  return report.totals ? [...report.rows, report.totals] : report.rows;
+}
+
+module.exports = {
+  REPORT_NAMES: Object.keys(REPORTS),
+  buildReport,
+  buildAll,
+  csvRows
+};
@@ -4,13 +4,40 @@ require('dotenv').config();
 const express = require('express');
 const mongoose = require('mongoose');
 const bodyParser = require('body-parser');
+const expressSession = require('express-session');
+const MongoStore = require('connect-mongo');
 const moment = require('moment');
 const path = require('path');
 const crypto = require('crypto');
 
 // Import email service and reminder scheduler
 const emailService = require('./emailService');
+const emailOutbox = require('./emailOutbox');
+const emailTemplates = require('./emailTemplates');
+const calendarService = require('./calendarService');
 const reminderScheduler = require('./reminderScheduler');
+const passwordService = require('./passwordService');
+const loginThrottle = require('./loginThrottle');
+const packageService = require('./packageService');
+const capacityService = require('./capacityService');
+const bookingService = require('./bookingService');
+const waitlistService = require('./waitlistService');
+const availabilityService = require('./availabilityService');
+const pricingService = require('./pricingService');
+const paymentService = require('./paymentService');
+const auditService = require('./auditService');
+const cancellationPolicyService = require('./cancellationPolicyService');
+const studioTime = require('./studioTime');
+const validation = require('./validation');
+const bookingActions = require('./bookingActions');
+const apiTokenService = require('./apiTokenService');
+const apiV1 = require('./apiV1');
+const trainingHistoryService = require('./trainingHistoryService');
+const reportService = require('./reportService');
+const csv = require('./csv');
+const importService = require('./importService');
+const exportService = require('./exportService');
+const { validate, sendError } = validation;
 
 const app = express();
 const PORT = process.env.PORT || 3000;
@@ -25,54 +52,166 @@ if (!MONGODB_URI) {
 
 mongoose.connect(MONGODB_URI);
 
-// User Schema (updated with package tracking)
+// Fresh installs have no admin and registration only creates clients,
+// so promote the account named in BOOTSTRAP_ADMIN_EMAIL if there is no admin yet
+mongoose.connection.once('open', async () => {
+  const bootstrapEmail = process.env.BOOTSTRAP_ADMIN_EMAIL;
+  if (!bootstrapEmail) {
+    return;
+  }
+  try {
+    const adminExists = await User.exists({ role: 'admin' });
+    if (!adminExists) {
+      const promoted = await User.findOneAndUpdate({ email: bootstrapEmail }, { $set: { role: 'admin' } });
+      if (promoted) {
+        console.log(`Promoted ${bootstrapEmail} to admin`);
+      }
+    }
+  } catch (error) {
+    console.error('Error bootstrapping admin account:', error);
+  }
+});
+
+// Login session settings
+const SESSION_MAX_AGE_HOURS = parseInt(process.env.SESSION_MAX_AGE_HOURS) || 24;
+const INVITE_EXPIRY_HOURS = parseInt(process.env.INVITE_EXPIRY_HOURS) || 72;
+const EMAIL_VERIFICATION_HOURS = parseInt(process.env.EMAIL_VERIFICATION_HOURS) || 48;
+const MIN_PASSWORD_LENGTH = 6;
+const SESSION_SECRET = process.env.SESSION_SECRET || crypto.randomBytes(32).toString('hex');
+
+if (!process.env.SESSION_SECRET) {
+  console.warn('SESSION_SECRET is not set - using a random secret, users will be logged out on restart');
+}
+
+// User Schema
 const UserSchema = new mongoose.Schema({
   name: { type: String, required: true },
   email: { type: String, required: true, unique: true },
   password: { type: String, required: true },
-  role: { type: String, enum: ['admin', 'client'], default: 'client' },
+  // Studio admins run the studio (and may train); trainers only see and manage their own sessions
+  role: { type: String, enum: ['admin', 'trainer', 'client'], default: 'client' },
   phone: { type: String },
   resetPasswordToken: { type: String },
   resetPasswordExpires: { type: Date },
-  // Package tracking for 8-session packages
-  activeSessions: { type: Number, default: 0 },
-  packageExpiry: { type: Date },
+  passwordChangedAt: { type: Date }, // Login sessions started before this are logged out
+  // Self-registered clients confirm their address before booking; accounts from before
+  // verification existed, and invited or staff-created ones, count as verified
+  emailVerified: { type: Boolean, default: true },
+  emailVerificationToken: { type: String, index: { sparse: true } },
+  emailVerificationExpires: { type: Date },
+  reminderOptOut: { type: Boolean, default: false }, // Client doesn't want session reminder emails
+  locale: { type: String, default: emailTemplates.DEFAULT_LOCALE }, // Language of the emails the user receives
+  calendarToken: { type: String, index: { unique: true, sparse: true } }, // Secret part of the user's ICS feed URL
+  // Trainer availability: weekly working hours and days off
+  workingHours: [{
+    dayOfWeek: { type: Number, min: 0, max: 6, required: true }, // 0 = Sunday
+    start: { type: String, required: true }, // "HH:MM"
+    end: { type: String, required: true }
+  }],
+  timeOff: [{
+    start: { type: Date, required: true }, // First day off
+    end: { type: Date, required: true }, // Last day off (inclusive)
+    reason: { type: String, default: '' }
+  }],
   createdAt: { type: Date, default: Date.now }
 });
 
+// Hash the password whenever it is set or changed (register, reset, login upgrade)
+UserSchema.pre('save', async function(next) {
+  if (!this.isModified('password') || passwordService.isHashed(this.password)) {
+    return next();
+  }
+  try {
+    this.password = await passwordService.hashPassword(this.password);
+    next();
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Never send password hashes or reset tokens to the browser
+UserSchema.set('toJSON', {
+  transform: (doc, ret) => {
+    delete ret.password;
+    delete ret.resetPasswordToken;
+    delete ret.resetPasswordExpires;
+    delete ret.emailVerificationToken;
+    delete ret.emailVerificationExpires;
+    return ret;
+  }
+});
+
 // Session Schema (updated with trainer reference to User)
 const SessionSchema = new mongoose.Schema({
-  date: { type: Date, required: true },
-  time: { type: String, required: true },
+  date: { type: Date, required: true }, // Calendar day, stored as midnight UTC
+  time: { type: String, required: true, match: [/^([01]\d|2[0-3]):[0-5]\d$/, 'Time must be HH:MM'] }, // Studio wall-clock time
+  startsAt: { type: Date, index: true }, // The instant date + time happen in STUDIO_TIMEZONE, kept in sync on save
+  duration: { type: Number, min: 15, max: 240, default: 60 }, // Minutes
   exerciseType: { type: String, enum: ['body-health', 'regular-training'], required: true },
   maxCapacity: { type: Number, min: 1, max: 4, required: true },
-  currentBookings: { type: Number, default: 0 },
+  currentBookings: { type: Number, default: 0 }, // Seats taken, kept in sync atomically by capacityService
   isActive: { type: Boolean, default: true },
+  // Cancelled sessions are kept (inactive) so their bookings and history stay readable
+  status: { type: String, enum: ['scheduled', 'cancelled'], default: 'scheduled' },
+  cancelledAt: { type: Date },
+  cancelledBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  cancellationReason: { type: String, default: '' },
   createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
-  // Trainer is a reference to User with role 'admin' (trainer)
+  // Trainer is a reference to User with role 'trainer' or 'admin'
   trainer: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
   description: { type: String, default: '' },
-  price: { type: Number, required: true }, // Price for single session
-  packagePrice: { type: Number, required: true }, // Price for 8-session package
-  packageDuration: { type: Number, default: 90 }, // Days to use 8 sessions (default 90 days)
+  series: { type: mongoose.Schema.Types.ObjectId, ref: 'SessionSeries' }, // Set when created as part of a recurring series
+  calendarSequence: { type: Number, default: 0 }, // iCalendar SEQUENCE of the trainer feed event, bumped on every edit
+  // Prices are snapshotted from the pricing catalog when the session is created
+  price: { type: Number, required: true }, // Price per person for single session
+  groupPrices: [{ groupSize: Number, pricePerPerson: Number }], // Per-person price overrides by group size
+  packagePrice: { type: Number, required: true }, // Price of the default package product
+  packageDuration: { type: Number, default: 90 }, // Days to use the default package
   createdAt: { type: Date, default: Date.now }
 });
 
+SessionSchema.pre('validate', function(next) {
+  if (this.isModified('date') && this.date) {
+    this.date = studioTime.toSessionDate(this.date);
+  }
+  if (this.date && this.time && /^\d{2}:\d{2}$/.test(this.time)) {
+    this.startsAt = studioTime.sessionStart(this);
+  }
+  next();
+});
+
 // Booking Schema (updated with cancellation policy and package tracking)
 const BookingSchema = new mongoose.Schema({
   session: { type: mongoose.Schema.Types.ObjectId, ref: 'Session', required: true },
   client: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
   groupSize: { type: Number, min: 1, max: 4, required: true },
   status: { type: String, enum: ['confirmed', 'cancelled'], default: 'confirmed' },
+  cancelledAt: { type: Date },
+  cancelledBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' }, // Empty when the system cancelled it
+  cancellationReason: { type: String, default: '' },
   notes: { type: String, default: '' },
+  price: { type: Number, default: 0 }, // Total for single bookings, from the session's price snapshot
   reminderSent: { type: Boolean, default: false },
   // New fields for cancellation policy
   canCancel: { type: Boolean, default: true },
-  cancellationDeadline: { type: Date },
+  cancellationDeadline: { type: Date }, // From the cancellation policy in force when booked
+  lateCancellation: { type: Boolean, default: false }, // Cancelled after the deadline
+  penaltyWaived: { type: Boolean, default: false }, // Late, but one of the client's free late cancels
+  penaltyInvoice: { type: mongoose.Schema.Types.ObjectId, ref: 'Invoice' }, // Late-cancel or no-show fee
+  // Attendance, marked by the trainer once the session has started
+  attendance: { type: String, enum: ['attended', 'no-show', null], default: null },
+  attendanceMarkedAt: { type: Date },
+  attendanceMarkedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
   // Package tracking
   isPackageBooking: { type: Boolean, default: false },
-  packageId: { type: String }, // Reference to track 8-session packages
-  sessionNumber: { type: Number }, // Which session in the package (1-8)
+  package: { type: mongoose.Schema.Types.ObjectId, ref: 'Package' }, // Package the credits were drawn from
+  creditsUsed: { type: Number, default: 0 }, // One credit per seat of groupSize
+  sessionNumber: { type: Number }, // Which credit of the package this booking used
+  // Payment tracking (single bookings are invoiced, package bookings are already paid for)
+  paymentStatus: { type: String, enum: ['not-required', 'unpaid', 'paid', 'void'], default: 'not-required' },
+  invoice: { type: mongoose.Schema.Types.ObjectId, ref: 'Invoice' },
+  paymentDueAt: { type: Date }, // Unpaid bookings are released after this, when a payment hold is configured
+  calendarSequence: { type: Number, default: 0 }, // iCalendar SEQUENCE, bumped whenever the event changes
   createdAt: { type: Date, default: Date.now }
 });
 
@@ -83,13 +222,7 @@ BookingSchema.pre('save', async function(next) {
       // Load the session to get the date and time
       const session = await mongoose.model('Session').findById(this.session);
       if (session) {
-        // Parse the session date and time
-        const sessionDate = new Date(session.date);
-        const [hours, minutes] = session.time.split(':');
-        sessionDate.setHours(parseInt(hours), parseInt(minutes), 0, 0);
-        
-        // Calculate cancellation deadline (24 hours before session)
-        const cancellationDeadline = new Date(sessionDate.getTime() - (24 * 60 * 60 * 1000));
+        const cancellationDeadline = await cancellationPolicyService.cancellationDeadline(session);
         this.cancellationDeadline = cancellationDeadline;
         this.canCancel = new Date() < cancellationDeadline;
       }
@@ -100,12 +233,327 @@ BookingSchema.pre('save', async function(next) {
   next();
 });
 
+// Package Schema (prepaid session credits bought by a client)
+const PackageSchema = new mongoose.Schema({
+  client: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  product: { type: mongoose.Schema.Types.ObjectId, ref: 'PackageProduct' },
+  name: { type: String, default: '' },
+  credits: { type: Number, min: 1, required: true }, // Credits purchased
+  remainingCredits: { type: Number, min: 0, required: true },
+  pricePaid: { type: Number, min: 0, required: true },
+  expiresAt: { type: Date, required: true },
+  invoice: { type: mongoose.Schema.Types.ObjectId, ref: 'Invoice' },
+  createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  createdAt: { type: Date, default: Date.now }
+});
+
+// Price Rule Schema (single-session price per exercise type and/or trainer; empty fields match anything)
+const PriceRuleSchema = new mongoose.Schema({
+  exerciseType: { type: String, enum: ['body-health', 'regular-training', null], default: null },
+  trainer: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null },
+  price: { type: Number, min: 0, required: true }, // Per person
+  groupPrices: [{
+    groupSize: { type: Number, min: 1, max: 4, required: true },
+    pricePerPerson: { type: Number, min: 0, required: true }
+  }],
+  isActive: { type: Boolean, default: true },
+  createdAt: { type: Date, default: Date.now }
+});
+
+// Cancellation Policy Schema (per exercise type and/or trainer; empty fields match anything)
+const CancellationPolicySchema = new mongoose.Schema({
+  exerciseType: { type: String, enum: ['body-health', 'regular-training', null], default: null },
+  trainer: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null },
+  cutoffHours: { type: Number, min: 0, max: 168, required: true }, // Free cancellation until this long before the start
+  lateCancelFee: { type: Number, min: 0, default: 0 }, // Charged for unpaid single bookings cancelled late
+  forfeitCredits: { type: Boolean, default: true }, // Package bookings cancelled late keep their credits used
+  freeLateCancelsPerMonth: { type: Number, min: 0, default: 0 }, // Late cancels per client and month without penalty
+  noShowFee: { type: Number, min: 0, default: 0 },
+  isActive: { type: Boolean, default: true },
+  createdAt: { type: Date, default: Date.now }
+});
+
+// Package Product Schema (packages the studio sells, e.g. 4/8/16 credits)
+const PackageProductSchema = new mongoose.Schema({
+  name: { type: String, required: true },
+  credits: { type: Number, min: 1, required: true },
+  validityDays: { type: Number, min: 1, required: true },
+  price: { type: Number, min: 0, required: true },
+  isDefault: { type: Boolean, default: false }, // Shown next to sessions as "the" package
+  isActive: { type: Boolean, default: true },
+  createdAt: { type: Date, default: Date.now }
+});
+
+// Package ledger (every credit purchased, consumed, refunded or reset)
+const PackageLedgerSchema = new mongoose.Schema({
+  package: { type: mongoose.Schema.Types.ObjectId, ref: 'Package', required: true },
+  client: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  booking: { type: mongoose.Schema.Types.ObjectId, ref: 'Booking' },
+  type: { type: String, enum: ['purchase', 'consume', 'refund', 'reset'], required: true },
+  credits: { type: Number, required: true }, // Positive adds credits, negative removes them
+  balanceAfter: { type: Number, required: true },
+  actor: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  note: { type: String, default: '' },
+  createdAt: { type: Date, default: Date.now }
+});
+
+// Session Series Schema (weekly recurring slots, e.g. every Mon/Wed at 07:00 for 12 weeks)
+const SessionSeriesSchema = new mongoose.Schema({
+  daysOfWeek: [{ type: Number, min: 0, max: 6 }], // 0 = Sunday
+  time: { type: String, required: true },
+  duration: { type: Number, min: 15, max: 240, default: 60 }, // Minutes
+  startDate: { type: Date, required: true },
+  weeks: { type: Number, min: 1, max: 52, required: true },
+  exerciseType: { type: String, enum: ['body-health', 'regular-training'], required: true },
+  maxCapacity: { type: Number, min: 1, max: 4, required: true },
+  trainer: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  description: { type: String, default: '' },
+  createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  createdAt: { type: Date, default: Date.now }
+});
+
+// Waitlist Schema (parties waiting for seats on a full session, served oldest first)
+const WaitlistEntrySchema = new mongoose.Schema({
+  session: { type: mongoose.Schema.Types.ObjectId, ref: 'Session', required: true },
+  client: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  groupSize: { type: Number, min: 1, max: 4, required: true },
+  isPackageBooking: { type: Boolean, default: false },
+  status: { type: String, enum: ['waiting', 'promoted', 'left'], default: 'waiting' },
+  booking: { type: mongoose.Schema.Types.ObjectId, ref: 'Booking' }, // Set once promoted
+  promotedAt: { type: Date },
+  createdAt: { type: Date, default: Date.now }
+});
+
+// Invite Schema (single-use, expiring trainer or studio admin invitations sent by an admin)
+const InviteSchema = new mongoose.Schema({
+  email: { type: String, required: true },
+  name: { type: String, required: true },
+  role: { type: String, enum: ['admin', 'trainer'], default: 'trainer' },
+  token: { type: String, required: true, unique: true },
+  expires: { type: Date, required: true },
+  invitedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  acceptedAt: { type: Date },
+  createdAt: { type: Date, default: Date.now }
+});
+
+// Invoice Schema (numbered sequentially, one per single booking or package sale)
+const InvoiceSchema = new mongoose.Schema({
+  number: { type: String, required: true, unique: true },
+  client: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  items: [{
+    description: { type: String, required: true },
+    quantity: { type: Number, min: 1, default: 1 },
+    unitPrice: { type: Number, min: 0, required: true },
+    total: { type: Number, min: 0, required: true }
+  }],
+  total: { type: Number, min: 0, required: true },
+  // 'processing' while a payment is being charged, so a second payment can't start meanwhile
+  status: { type: String, enum: ['open', 'processing', 'paid', 'void'], default: 'open' },
+  processingUntil: { type: Date }, // Claim on a 'processing' invoice lapses after this (e.g. the process died mid-charge)
+  booking: { type: mongoose.Schema.Types.ObjectId, ref: 'Booking' },
+  package: { type: mongoose.Schema.Types.ObjectId, ref: 'Package' },
+  dueAt: { type: Date },
+  paidAt: { type: Date },
+  createdAt: { type: Date, default: Date.now }
+});
+
+// Payment Schema (every charge attempt against an invoice, successful or not)
+const PaymentSchema = new mongoose.Schema({
+  invoice: { type: mongoose.Schema.Types.ObjectId, ref: 'Invoice', required: true },
+  client: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  provider: { type: String, required: true }, // e.g. 'local', 'manual'
+  method: { type: String, default: 'card' }, // 'card', 'cash' or 'bank-transfer'
+  amount: { type: Number, min: 0, required: true },
+  status: { type: String, enum: ['succeeded', 'pending', 'failed'], required: true },
+  reference: { type: String, default: '' }, // Provider transaction id or receipt note
+  error: { type: String, default: '' },
+  recordedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' }, // Trainer who recorded a manual payment
+  createdAt: { type: Date, default: Date.now }
+});
+
+// Counter Schema (named sequences, e.g. invoice numbers)
+const CounterSchema = new mongoose.Schema({
+  _id: { type: String, required: true },
+  seq: { type: Number, default: 0 }
+});
+
+// Notification Log Schema (one entry per booking and reminder type, so each reminder is sent at most once)
+const NotificationLogSchema = new mongoose.Schema({
+  booking: { type: mongoose.Schema.Types.ObjectId, ref: 'Booking', required: true },
+  client: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  type: { type: String, required: true }, // e.g. 'reminder-24h', 'reminder-2h'
+  status: { type: String, enum: ['pending', 'sending', 'retry', 'sent', 'failed', 'skipped'], default: 'pending' },
+  attempts: { type: Number, default: 0 },
+  nextAttemptAt: { type: Date },
+  lastError: { type: String, default: '' },
+  note: { type: String, default: '' }, // Why a reminder was skipped
+  sentAt: { type: Date },
+  createdAt: { type: Date, default: Date.now }
+});
+NotificationLogSchema.index({ booking: 1, type: 1 }, { unique: true });
+
+// Outbound Email Schema (outbox the email worker sends from; 'dead' messages gave up after repeated failures)
+const OutboundEmailSchema = new mongoose.Schema({
+  to: { type: String, required: true },
+  subject: { type: String, required: true },
+  text: { type: String, default: '' },
+  html: { type: String, default: '' },
+  attachments: [{
+    filename: { type: String, required: true },
+    content: { type: String, required: true },
+    contentType: { type: String, default: 'application/octet-stream' }
+  }],
+  category: { type: String, default: '' }, // Template name, e.g. 'bookingConfirmation'
+  status: { type: String, enum: ['queued', 'sending', 'retry', 'sent', 'dead'], default: 'queued' },
+  attempts: { type: Number, default: 0 },
+  nextAttemptAt: { type: Date, default: Date.now },
+  lastAttemptAt: { type: Date },
+  lastError: { type: String, default: '' },
+  messageId: { type: String, default: '' },
+  sentAt: { type: Date },
+  createdAt: { type: Date, default: Date.now }
+});
+OutboundEmailSchema.index({ status: 1, nextAttemptAt: 1 });
+
+// Email Template Schema (admin-edited version of a built-in email for one language)
+const EmailTemplateSchema = new mongoose.Schema({
+  key: { type: String, enum: emailTemplates.TEMPLATE_KEYS, required: true }, // e.g. 'bookingConfirmation'
+  locale: { type: String, required: true },
+  subject: { type: String, required: true },
+  html: { type: String, required: true },
+  text: { type: String, required: true },
+  updatedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  updatedAt: { type: Date, default: Date.now }
+});
+EmailTemplateSchema.index({ key: 1, locale: 1 }, { unique: true });
+
+// Kinds of record the audit log covers
+const AUDIT_ENTITY_TYPES = ['user', 'session', 'booking', 'package', 'price-rule', 'cancellation-policy', 'package-product', 'invoice'];
+
+// Audit Log Schema (append-only record of who changed what on users, sessions, bookings and packages)
+const AuditLogSchema = new mongoose.Schema({
+  actor: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null }, // null for background jobs
+  action: { type: String, required: true }, // e.g. 'booking.cancel', 'session.update'
+  entityType: { type: String, enum: AUDIT_ENTITY_TYPES, required: true },
+  entityId: { type: mongoose.Schema.Types.ObjectId, required: true },
+  client: { type: mongoose.Schema.Types.ObjectId, ref: 'User' }, // Client the change concerns, if any
+  session: { type: mongoose.Schema.Types.ObjectId, ref: 'Session' }, // Session the change concerns, if any
+  changes: { type: mongoose.Schema.Types.Mixed, default: {} }, // { field: { from, to } }
+  note: { type: String, default: '' },
+  createdAt: { type: Date, default: Date.now }
+});
+AuditLogSchema.index({ client: 1, createdAt: -1 });
+AuditLogSchema.index({ session: 1, createdAt: -1 });
+AuditLogSchema.index({ createdAt: -1 });
+
+// Entries are never edited or removed once written
+AuditLogSchema.pre('save', function(next) {
+  next(this.isNew ? undefined : new Error('Audit log entries cannot be changed'));
+});
+AuditLogSchema.pre(
+  ['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'deleteOne', 'deleteMany', 'findOneAndDelete', 'findOneAndRemove'],
+  function(next) {
+    next(new Error('Audit log entries cannot be changed'));
+  }
+);
+
+// API Token Schema (bearer tokens for /api/v1; only a hash of the token is stored)
+const ApiTokenSchema = new mongoose.Schema({
+  user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true, index: true },
+  name: { type: String, default: '' }, // e.g. the device or integration using it
+  kind: { type: String, enum: ['login', 'personal'], required: true },
+  tokenHash: { type: String, required: true, unique: true },
+  prefix: { type: String, required: true }, // First characters of the token, to tell tokens apart
+  expiresAt: { type: Date }, // Empty for personal tokens that don't expire
+  lastUsedAt: { type: Date },
+  revokedAt: { type: Date },
+  createdAt: { type: Date, default: Date.now }
+});
+
+ApiTokenSchema.set('toJSON', {
+  transform: (doc, ret) => {
+    delete ret.tokenHash;
+    return ret;
+  }
+});
+
 const User = mongoose.model('User', UserSchema);
 const Session = mongoose.model('Session', SessionSchema);
 const Booking = mongoose.model('Booking', BookingSchema);
+const Invite = mongoose.model('Invite', InviteSchema);
+const Package = mongoose.model('Package', PackageSchema);
+const WaitlistEntry = mongoose.model('WaitlistEntry', WaitlistEntrySchema);
+const SessionSeries = mongoose.model('SessionSeries', SessionSeriesSchema);
+const PriceRule = mongoose.model('PriceRule', PriceRuleSchema);
+const PackageProduct = mongoose.model('PackageProduct', PackageProductSchema);
+const CancellationPolicy = mongoose.model('CancellationPolicy', CancellationPolicySchema);
+mongoose.model('PackageLedger', PackageLedgerSchema);
+const Invoice = mongoose.model('Invoice', InvoiceSchema);
+mongoose.model('Payment', PaymentSchema);
+mongoose.model('Counter', CounterSchema);
+mongoose.model('NotificationLog', NotificationLogSchema);
+mongoose.model('OutboundEmail', OutboundEmailSchema);
+const EmailTemplate = mongoose.model('EmailTemplate', EmailTemplateSchema);
+mongoose.model('ApiToken', ApiTokenSchema);
+mongoose.model('AuditLog', AuditLogSchema);
+
+// Settles once the startup migrations have run (tests wait for it before writing data)
+const ready = new Promise(resolve => {
+  mongoose.connection.once('open', () => {
+    Promise.all([
+      packageService.migrateLegacyCounters().catch(error => {
+        console.error('Error migrating legacy package counters:', error);
+      }),
+      capacityService.recountAllSessions().catch(error => {
+        console.error('Error recounting session bookings:', error);
+      }),
+      pricingService.seedDefaults().catch(error => {
+        console.error('Error seeding pricing catalog:', error);
+      }),
+      migrateSessionStarts().catch(error => {
+        console.error('Error migrating session start times:', error);
+      })
+    ]).then(resolve);
+  });
+});
+
+// Release seats held by single bookings that were not paid in time
+async function releaseUnpaidBookings() {
+  const expired = await bookingService.expireUnpaidBookings();
+  const sessionIds = new Set();
+  
+  for (const booking of expired) {
+    sessionIds.add(booking.session._id.toString());
+    try {
+      await emailService.sendCancellationNotification(booking, booking.session, booking.client);
+    } catch (emailError) {
+      console.error('Error sending cancellation email:', emailError);
+    }
+  }
+  
+  for (const sessionId of sessionIds) {
+    await waitlistService.promoteWaitlist(sessionId);
+  }
+  
+  if (expired.length > 0) {
+    console.log(`Released ${expired.length} unpaid bookings`);
+  }
+}
 
-// Initialize reminder scheduler
-reminderScheduler.initializeScheduler(Session, Booking, User);
+// Background jobs: the reminder scheduler, the email outbox worker and the payment
+// hold. They only run in the server process; tests call the jobs directly.
+function startBackgroundJobs() {
+  reminderScheduler.initializeScheduler();
+  emailOutbox.startWorker();
+  
+  if (bookingService.PAYMENT_HOLD_HOURS > 0) {
+    setInterval(() => {
+      releaseUnpaidBookings().catch(error => {
+        console.error('Error releasing unpaid bookings:', error);
+      });
+    }, 5 * 60 * 1000);
+  }
+}
 
 // Middleware
 app.use(bodyParser.urlencoded({ extended: true }));
@@ -114,49 +562,297 @@ app.use(express.static('public'));
 app.set('view engine', 'ejs');
 app.set('views', path.join(__dirname, 'views'));
 
-// Simple session middleware (store user in memory for MVP)
-let currentUser = null;
+// Per-browser login sessions. The cookie only carries the signed session id,
+// the session data lives in MongoDB (or in memory when SESSION_STORE=memory, e.g. for tests)
+app.use(expressSession({
+  name: 'ptb.sid',
+  secret: SESSION_SECRET,
+  resave: false,
+  saveUninitialized: false,
+  rolling: true,
+  store: process.env.SESSION_STORE === 'memory'
+    ? new expressSession.MemoryStore()
+    : MongoStore.create({
+        mongoUrl: MONGODB_URI,
+        collectionName: 'loginSessions',
+        ttl: SESSION_MAX_AGE_HOURS * 60 * 60
+      }),
+  cookie: {
+    httpOnly: true,
+    sameSite: 'lax',
+    secure: process.env.SESSION_COOKIE_SECURE === 'true',
+    maxAge: SESSION_MAX_AGE_HOURS * 60 * 60 * 1000
+  }
+}));
+
+if (process.env.SESSION_COOKIE_SECURE === 'true') {
+  app.set('trust proxy', 1);
+}
 
-// Middleware to check authentication
-function requireAuth(req, res, next) {
-  if (!currentUser) {
-    return res.redirect('/login');
+// Load the logged-in user for this request from the session
+app.use(async (req, res, next) => {
+  if (!req.session.userId) {
+    return next();
+  }
+
+  try {
+    const user = await User.findById(req.session.userId);
+    if (!user) {
+      // Account was removed while the session was still alive
+      delete req.session.userId;
+    } else if (user.passwordChangedAt && !(req.session.loggedInAt >= user.passwordChangedAt.getTime())) {
+      // The password changed since this session logged in
+      delete req.session.userId;
+    } else {
+      req.user = user;
+    }
+    next();
+  } catch (error) {
+    next(error);
+  }
+});
+
+// API responses carry a machine-readable code next to every error message,
+// and ids in the path that can't be ObjectIds are 404s before any query runs
+app.use('/api', validation.errorCodes);
+app.param('id', validation.objectIdParam);
+app.param('entryId', validation.objectIdParam);
+
+// Versioned, token-authenticated API for the mobile app and partners
+app.use('/api/v1', apiV1.createRouter());
+
+// Start a fresh session for the given user (new id prevents session fixation)
+function logIn(req, user) {
+  return new Promise((resolve, reject) => {
+    req.session.regenerate((error) => {
+      if (error) {
+        return reject(error);
+      }
+      req.session.userId = user._id.toString();
+      req.session.loggedInAt = Date.now();
+      req.session.save((saveError) => (saveError ? reject(saveError) : resolve()));
+    });
+  });
+}
+
+// Set a new password and end every other login: sessions that logged in
+// before now stop working and API tokens are revoked, except the token
+// making this request. Pass `req` to keep its browser session logged in.
+async function changePassword(user, password, req) {
+  user.password = password;
+  user.passwordChangedAt = new Date();
+  await user.save();
+  await apiTokenService.revokeAllTokens(user._id, req && req.apiToken ? req.apiToken._id : null);
+  if (req && req.session.userId) {
+    await logIn(req, user);
   }
-  next();
 }
 
-function requireAdmin(req, res, next) {
-  if (!currentUser || currentUser.role !== 'admin') {
-    return res.redirect('/login');
+// Middleware to check authentication. Pages redirect to the login form,
+// API calls get a JSON error they can show.
+function isApiRequest(req) {
+  return req.originalUrl.startsWith('/api/');
+}
+
+function requireAuth(req, res, next) {
+  if (!req.user) {
+    return isApiRequest(req)
+      ? sendError(res, new validation.ApiError(401, 'Please log in'))
+      : res.redirect('/login');
   }
   next();
 }
 
+function requireRoles(roles, forbidden) {
+  return (req, res, next) => {
+    if (!req.user || !roles.includes(req.user.role)) {
+      if (isApiRequest(req)) {
+        return sendError(res, req.user
+          ? new validation.ApiError(403, forbidden)
+          : new validation.ApiError(401, 'Please log in'));
+      }
+      return res.redirect(req.user ? homePath(req.user) : '/login');
+    }
+    next();
+  };
+}
+
+// Users who can run sessions: trainers, and studio admins, who may train as well
+const STAFF_ROLES = ['admin', 'trainer'];
+
+// Studio-wide control: scheduling, clients, packages, pricing, emails to everyone
+const requireAdmin = requireRoles(['admin'], 'Only studio admins can do this');
+// Trainer tools; routes behind this check canManageSession for trainers
+const requireTrainer = requireRoles(STAFF_ROLES, 'Only trainers can do this');
+
+// Where each role lands after logging in
+function homePath(user) {
+  return { admin: '/admin', trainer: '/trainer' }[user.role] || '/';
+}
+
+// Admins manage every session, trainers only the ones they run
+function canManageSession(user, session) {
+  return user.role === 'admin' || (session.trainer._id || session.trainer).toString() === user._id.toString();
+}
+
+// Request field rules shared by several routes (see validation.validate)
+const EXERCISE_TYPE = { type: 'string', enum: ['body-health', 'regular-training'] };
+const DURATION = { type: 'integer', min: 15, max: 240 };
+const CAPACITY = { type: 'integer', min: 1, max: 4 };
+const DESCRIPTION = { type: 'string', maxLength: 1000 };
+const REASON = { type: 'string', maxLength: 500 };
+const MONEY = { type: 'number', min: 0 };
+const SERIES_SCOPE = { type: 'string', enum: ['this', 'following', 'all'], required: true };
+const PAYMENT_METHOD = { type: 'string', enum: ['cash', 'bank-transfer'] };
+const EMAIL_RECIPIENTS = { type: 'array', required: true, minItems: 1, maxItems: 500, items: { type: 'objectId' } };
+
 // TRAINER ROUTES (simplified - just get trainers from users)
-// API: Get all trainers (users with role 'admin')
-app.get('/api/trainers', requireAdmin, async (req, res) => {
+// API: Get all trainers (users with role 'trainer' or 'admin')
+// Pass ?from=YYYY-MM-DD&to=YYYY-MM-DD to include each trainer's free slots
+app.get('/api/trainers', requireAdmin, validate({
+  query: { from: { type: 'date' }, to: { type: 'date' } }
+}), async (req, res) => {
   try {
-    const trainers = await User.find({ role: 'admin' }, 'name email phone');
-    res.json(trainers);
+    const { from, to } = req.query;
+    const trainers = await User.find({ role: { $in: STAFF_ROLES } }, 'name email phone role workingHours timeOff');
+    
+    if (!from || !to) {
+      return res.json(trainers);
+    }
+    
+    const trainersWithSlots = await Promise.all(
+      trainers.map(async (trainer) => ({
+        ...trainer.toJSON(),
+        freeSlots: await availabilityService.getFreeSlots(trainer, from, to)
+      }))
+    );
+    
+    res.json(trainersWithSlots);
   } catch (error) {
-    res.status(500).json({ error: error.message });
+    sendError(res, error);
   }
 });
 
-// CALENDAR API ROUTES (updated to include trainer info)
-app.get('/api/calendar/:year/:month', requireAdmin, async (req, res) => {
+// The trainer named by :id, if the user may change their availability:
+// trainers their own, admins anyone's
+async function editableTrainer(req) {
+  if (req.user.role !== 'admin' && req.params.id !== req.user._id.toString()) {
+    throw new validation.ApiError(403, 'Trainers can only change their own availability');
+  }
+  const trainer = await User.findOne({ _id: req.params.id, role: { $in: STAFF_ROLES } });
+  if (!trainer) {
+    throw new validation.ApiError(404, 'Trainer not found');
+  }
+  return trainer;
+}
+
+// API: Set a trainer's weekly working hours
+app.put('/api/trainer/:id/availability', requireTrainer, validate({
+  body: {
+    workingHours: {
+      type: 'array',
+      required: true,
+      maxItems: 21,
+      items: {
+        type: 'object',
+        fields: {
+          dayOfWeek: { type: 'integer', min: 0, max: 6, required: true },
+          start: { type: 'time', required: true },
+          end: { type: 'time', required: true }
+        }
+      }
+    }
+  }
+}), async (req, res) => {
+  try {
+    const { workingHours } = req.body;
+    
+    const invalid = workingHours.find(entry => entry.start >= entry.end);
+    if (invalid) {
+      return res.status(400).json({ error: 'Each working-hours entry needs a start before its end' });
+    }
+    
+    const trainer = await editableTrainer(req);
+    
+    const previous = trainer.toObject().workingHours;
+    trainer.workingHours = workingHours;
+    await trainer.save();
+    await auditUser(req.user._id, 'user.working-hours', trainer, {
+      workingHours: { from: previous, to: trainer.toObject().workingHours }
+    });
+    
+    res.json({ success: true, trainer });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// API: Add time off for a trainer
+app.post('/api/trainer/:id/time-off', requireTrainer, validate({
+  body: {
+    startDate: { type: 'date', required: true },
+    endDate: { type: 'date' },
+    reason: REASON
+  }
+}), async (req, res) => {
+  try {
+    const { startDate, endDate, reason } = req.body;
+    
+    const start = studioTime.toSessionDate(startDate);
+    const end = studioTime.toSessionDate(endDate || startDate);
+    if (end < start) {
+      return res.status(400).json({ error: 'End date must not be before start date' });
+    }
+    
+    const trainer = await editableTrainer(req);
+    
+    trainer.timeOff.push({ start, end, reason: reason || '' });
+    await trainer.save();
+    await auditUser(req.user._id, 'user.time-off', trainer, { timeOff: { to: { start, end } } }, reason);
+    
+    // Existing sessions are left alone, but report the ones that now clash
+    const clashingSessions = await Session.find({
+      trainer: trainer._id,
+      date: { $gte: start, $lte: end },
+      isActive: true
+    }).sort({ date: 1, time: 1 });
+    
+    res.json({ success: true, trainer, clashingSessions });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// API: Remove a time-off entry
+app.delete('/api/trainer/:id/time-off/:entryId', requireTrainer, async (req, res) => {
   try {
-    const year = parseInt(req.params.year);
-    const month = parseInt(req.params.month) - 1;
+    const trainer = await editableTrainer(req);
+    
+    const entry = trainer.timeOff.id(req.params.entryId);
+    trainer.timeOff.pull(req.params.entryId);
+    await trainer.save();
+    if (entry) {
+      await auditUser(req.user._id, 'user.time-off', trainer, { timeOff: { from: { start: entry.start, end: entry.end } } }, 'Removed');
+    }
     
-    const startDate = new Date(year, month, 1);
-    const endDate = new Date(year, month + 1, 0);
+    res.json({ success: true, trainer });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// CALENDAR API ROUTES (updated to include trainer info)
+app.get('/api/calendar/:year/:month', requireAdmin, validate({
+  params: {
+    year: { type: 'integer', min: 2000, max: 2100, required: true },
+    month: { type: 'integer', min: 1, max: 12, required: true }
+  }
+}), async (req, res) => {
+  try {
+    const { year, month } = req.params;
     
     const sessions = await Session.find({
-      date: {
-        $gte: startDate,
-        $lte: endDate
-      },
+      date: studioTime.monthRange(year, month),
       isActive: true
     }).populate(['createdBy', 'trainer']);
     
@@ -176,22 +872,17 @@ app.get('/api/calendar/:year/:month', requireAdmin, async (req, res) => {
     
     res.json(sessionsWithBookings);
   } catch (error) {
-    res.status(500).json({ error: error.message });
+    sendError(res, error);
   }
 });
 
 // API: Get detailed sessions for a specific date (updated with trainer info)
-app.get('/api/sessions/date/:date', requireAdmin, async (req, res) => {
+app.get('/api/sessions/date/:date', requireAdmin, validate({
+  params: { date: { type: 'date', required: true } }
+}), async (req, res) => {
   try {
-    const date = new Date(req.params.date);
-    const nextDay = new Date(date);
-    nextDay.setDate(date.getDate() + 1);
-    
     const sessions = await Session.find({
-      date: {
-        $gte: date,
-        $lt: nextDay
-      },
+      date: studioTime.dayRange(req.params.date),
       isActive: true
     }).populate(['createdBy', 'trainer']).sort({ time: 1 });
     
@@ -215,36 +906,58 @@ app.get('/api/sessions/date/:date', requireAdmin, async (req, res) => {
     
     res.json(sessionsWithDetails);
   } catch (error) {
-    res.status(500).json({ error: error.message });
+    sendError(res, error);
   }
 });
 
 // API: Get session details with all bookings (updated with trainer info)
-app.get('/api/session/:id/details', requireAdmin, async (req, res) => {
+app.get('/api/session/:id/details', requireTrainer, async (req, res) => {
   try {
     const session = await Session.findById(req.params.id).populate(['createdBy', 'trainer']);
     if (!session) {
       return res.status(404).json({ error: 'Session not found' });
     }
     
+    if (!canManageSession(req.user, session)) {
+      return res.status(403).json({ error: 'Not authorized' });
+    }
+    
     const bookings = await Booking.find({ 
       session: session._id, 
       status: 'confirmed' 
-    }).populate('client', 'name email phone');
+    }).populate([{ path: 'client', select: 'name email phone' }, 'package']);
+    
+    const waitlist = await WaitlistEntry.find({ session: session._id, status: 'waiting' })
+      .populate('client', 'name email phone')
+      .sort({ createdAt: 1 });
     
     const totalBooked = bookings.reduce((sum, booking) => sum + booking.groupSize, 0);
     
     res.json({
       ...session.toObject(),
       bookings: bookings,
+      waitlist: waitlist,
       currentBookings: totalBooked,
       spotsLeft: session.maxCapacity - totalBooked
     });
   } catch (error) {
-    res.status(500).json({ error: error.message });
+    sendError(res, error);
   }
 });
 
+// Audit entry for a change to a user account; entries are filed under the user as client
+function auditUser(actor, action, user, changes, note) {
+  return auditService.record({
+    actor,
+    action,
+    entityType: 'user',
+    entityId: user._id,
+    client: user._id,
+    changes,
+    note
+  });
+}
+
 // PASSWORD RESET ROUTES
 app.get('/forgot-password', (req, res) => {
   res.render('forgot-password');
@@ -320,10 +1033,10 @@ app.post('/reset-password', async (req, res) => {
       });
     }
     
-    if (password.length < 6) {
+    if (password.length < MIN_PASSWORD_LENGTH) {
       return res.render('reset-password', { 
         token, 
-        error: 'Password must be at least 6 characters long.' 
+        error: `Password must be at least ${MIN_PASSWORD_LENGTH} characters long.` 
       });
     }
     
@@ -338,10 +1051,12 @@ app.post('/reset-password', async (req, res) => {
       });
     }
     
-    user.password = password;
     user.resetPasswordToken = undefined;
     user.resetPasswordExpires = undefined;
-    await user.save();
+    // The reset link reached them, so the address is theirs
+    user.emailVerified = true;
+    await changePassword(user, password);
+    await auditUser(user._id, 'user.password-reset', user, {});
     
     res.render('reset-password', { 
       success: 'Password has been reset successfully. You can now log in with your new password.' 
@@ -354,122 +1069,539 @@ app.post('/reset-password', async (req, res) => {
   }
 });
 
-// EMAIL FUNCTIONALITY ROUTES
-app.post('/api/send-session-email', requireAdmin, async (req, res) => {
+// EMAIL VERIFICATION ROUTES
+// Give `user` a new verification link and email it to their current address
+async function sendVerificationEmail(user) {
+  user.emailVerified = false;
+  user.emailVerificationToken = crypto.randomBytes(32).toString('hex');
+  user.emailVerificationExpires = Date.now() + EMAIL_VERIFICATION_HOURS * 3600000;
+  await user.save();
+  return emailService.sendEmailVerification(user, user.emailVerificationToken, EMAIL_VERIFICATION_HOURS);
+}
+
+app.get('/verify-email', async (req, res) => {
   try {
-    const { sessionId, subject, message, recipients } = req.body;
+    const user = req.query.token && await User.findOne({
+      emailVerificationToken: req.query.token,
+      emailVerificationExpires: { $gt: Date.now() }
+    });
     
-    if (!sessionId || !subject || !message || !recipients || recipients.length === 0) {
-      return res.status(400).json({ error: 'Missing required fields' });
+    if (!user) {
+      return res.render('verify-email', { error: 'This link is invalid or has expired. Log in to get a new one.' });
     }
     
-    const session = await Session.findById(sessionId);
-    if (!session) {
-      return res.status(404).json({ error: 'Session not found' });
-    }
+    user.emailVerified = true;
+    user.emailVerificationToken = undefined;
+    user.emailVerificationExpires = undefined;
+    await user.save();
+    await auditUser(user._id, 'user.email-verified', user, {}, user.email);
     
-    const recipientUsers = await User.find({ _id: { $in: recipients } });
-    const results = await emailService.sendBulkCustomMessage(recipientUsers, subject, message);
+    // Waitlist places passed over while the address was unconfirmed can be filled now
+    const waitingOn = await WaitlistEntry.find({ client: user._id, status: 'waiting' }).distinct('session');
+    for (const sessionId of waitingOn) {
+      try {
+        await waitlistService.promoteWaitlist(sessionId);
+      } catch (waitlistError) {
+        console.error('Error promoting waitlist:', waitlistError);
+      }
+    }
     
-    res.json({ success: true, results });
+    res.render('verify-email', { success: `Thanks! ${user.email} is confirmed, so you can book sessions now.` });
   } catch (error) {
-    res.status(500).json({ error: error.message });
+    res.render('verify-email', { error: 'Error confirming your email address. Please try again.' });
   }
 });
 
-app.post('/api/send-custom-email', requireAdmin, async (req, res) => {
+// API: Send the logged-in user a new verification link
+app.post('/api/me/verification-email', requireAuth, async (req, res) => {
   try {
-    const { recipients, subject, message } = req.body;
-    
-    if (!recipients || !subject || !message || recipients.length === 0) {
-      return res.status(400).json({ error: 'Missing required fields' });
+    if (req.user.emailVerified) {
+      return res.status(400).json({ error: 'Your email address is already confirmed' });
     }
     
-    const recipientUsers = await User.find({ _id: { $in: recipients } });
-    const results = await emailService.sendBulkCustomMessage(recipientUsers, subject, message);
+    const result = await sendVerificationEmail(req.user);
+    if (!result.success) {
+      return res.status(500).json({ error: 'The email could not be sent: ' + result.error });
+    }
     
-    res.json({ success: true, results });
-  } catch (error) {
-    res.status(500).json({ error: error.message });
-  }
-});
-
-app.post('/api/test-reminders', requireAdmin, async (req, res) => {
-  try {
-    await reminderScheduler.sendRemindersNow();
-    res.json({ success: true, message: 'Reminder check triggered' });
+    res.json({ success: true });
   } catch (error) {
-    res.status(500).json({ error: error.message });
+    sendError(res, error);
   }
 });
 
-// LOGIN/REGISTER ROUTES
-app.get('/login', (req, res) => {
-  res.render('login');
-});
-
-app.post('/login', async (req, res) => {
-  try {
-    const { email, password } = req.body;
-    const user = await User.findOne({ email, password });
-    
-    if (user) {
-      currentUser = user;
-      if (user.role === 'admin') {
-        res.redirect('/admin');
-      } else {
-        res.redirect('/');
-      }
-    } else {
-      res.render('login', { error: 'Invalid email or password' });
-    }
-  } catch (error) {
-    res.render('login', { error: 'Login error' });
+// TRAINER INVITE ROUTES
+// API: Invite a new trainer by email
+app.post('/api/invites', requireAdmin, validate({
+  body: {
+    name: { type: 'string', maxLength: 100, required: true },
+    email: { type: 'email', required: true },
+    role: { type: 'string', enum: STAFF_ROLES }
   }
-});
-
-app.post('/register', async (req, res) => {
+}), async (req, res) => {
   try {
-    const { name, email, password, phone, role } = req.body;
+    const { name, email, role } = req.body;
     
     const existingUser = await User.findOne({ email });
     if (existingUser) {
-      return res.render('login', { error: 'Email already exists' });
+      return res.status(400).json({ error: 'A user with this email already exists - promote them instead' });
     }
     
-    const user = new User({ name, email, password, phone, role: role || 'client' });
+    // Only the newest invite for an address stays valid
+    await Invite.deleteMany({ email, acceptedAt: { $exists: false } });
+    
+    const invite = new Invite({
+      email,
+      name,
+      role: role || 'trainer',
+      token: crypto.randomBytes(32).toString('hex'),
+      expires: Date.now() + INVITE_EXPIRY_HOURS * 3600000,
+      invitedBy: req.user._id
+    });
+    await invite.save();
+    
+    const result = await emailService.sendTrainerInvite(invite, req.user, INVITE_EXPIRY_HOURS);
+    if (!result.success) {
+      return res.status(500).json({ error: 'Invite created but the email could not be sent: ' + result.error });
+    }
+    
+    res.json({ success: true, invite: { _id: invite._id, email: invite.email, role: invite.role, expires: invite.expires } });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+app.get('/accept-invite', async (req, res) => {
+  try {
+    const { token } = req.query;
+    
+    if (!token) {
+      return res.render('accept-invite', { error: 'Invalid or missing invite token.' });
+    }
+    
+    const invite = await Invite.findOne({
+      token,
+      expires: { $gt: Date.now() },
+      acceptedAt: { $exists: false }
+    });
+    
+    if (!invite) {
+      return res.render('accept-invite', { error: 'This invite is invalid, has expired, or was already used.' });
+    }
+    
+    res.render('accept-invite', { token, invite });
+  } catch (error) {
+    res.render('accept-invite', { error: 'Error validating invite.' });
+  }
+});
+
+app.post('/accept-invite', async (req, res) => {
+  try {
+    const { token, phone, password, confirmPassword } = req.body;
+    
+    const invite = await Invite.findOne({
+      token,
+      expires: { $gt: Date.now() },
+      acceptedAt: { $exists: false }
+    });
+    
+    if (!invite) {
+      return res.render('accept-invite', { error: 'This invite is invalid, has expired, or was already used.' });
+    }
+    
+    if (!password || password !== confirmPassword) {
+      return res.render('accept-invite', { token, invite, error: 'Passwords do not match.' });
+    }
+    
+    if (password.length < MIN_PASSWORD_LENGTH) {
+      return res.render('accept-invite', { token, invite, error: `Password must be at least ${MIN_PASSWORD_LENGTH} characters long.` });
+    }
+    
+    const existingUser = await User.findOne({ email: invite.email });
+    if (existingUser) {
+      return res.render('accept-invite', { error: 'An account with this email already exists.' });
+    }
+    
+    // Claim the invite before creating the account so it can only be used once
+    const claimed = await Invite.findOneAndUpdate(
+      { _id: invite._id, acceptedAt: { $exists: false } },
+      { $set: { acceptedAt: new Date() } }
+    );
+    if (!claimed) {
+      return res.render('accept-invite', { error: 'This invite was already used.' });
+    }
+    
+    const user = new User({
+      name: invite.name,
+      email: invite.email,
+      phone,
+      password,
+      role: invite.role
+    });
+    await user.save();
+    await auditUser(user._id, 'user.create', user, { role: { to: user.role } }, 'Accepted trainer invite');
+    
+    await logIn(req, user);
+    res.redirect(homePath(user));
+  } catch (error) {
+    res.render('accept-invite', { error: 'Error creating your account. Please try again.' });
+  }
+});
+
+// API: Change a user's role (client, trainer or studio admin)
+app.put('/api/user/:id/role', requireAdmin, validate({
+  body: { role: { type: 'string', enum: ['admin', 'trainer', 'client'], required: true } }
+}), async (req, res) => {
+  try {
+    const { role } = req.body;
+    
+    if (req.params.id === req.user._id.toString()) {
+      return res.status(400).json({ error: 'You cannot change your own role' });
+    }
+    
+    const user = await User.findById(req.params.id);
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+    
+    const previousRole = user.role;
+    user.role = role;
     await user.save();
+    await auditUser(req.user._id, 'user.role', user, auditService.diff({ role: previousRole }, user, ['role']));
+    
+    res.json({ success: true, user });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// EMAIL FUNCTIONALITY ROUTES
+app.post('/api/send-session-email', requireTrainer, validate({
+  body: {
+    sessionId: { type: 'objectId', required: true },
+    subject: { type: 'string', maxLength: 200, required: true },
+    message: { type: 'string', maxLength: 10000, required: true },
+    recipients: EMAIL_RECIPIENTS
+  }
+}), async (req, res) => {
+  try {
+    const { sessionId, subject, message, recipients } = req.body;
+    
+    const session = await Session.findById(sessionId);
+    if (!session) {
+      return res.status(404).json({ error: 'Session not found' });
+    }
+    
+    if (!canManageSession(req.user, session)) {
+      return res.status(403).json({ error: 'Not authorized' });
+    }
+    
+    const recipientFilter = { _id: { $in: recipients } };
+    if (req.user.role !== 'admin') {
+      // Trainers can only write to the clients booked on their session
+      recipientFilter.$and = [{ _id: { $in: await Booking.distinct('client', { session: session._id, status: 'confirmed' }) } }];
+    }
+    const recipientUsers = await User.find(recipientFilter);
+    const results = await emailService.sendBulkCustomMessage(recipientUsers, subject, message);
+    
+    res.json({ success: true, results });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+app.post('/api/send-custom-email', requireAdmin, validate({
+  body: {
+    subject: { type: 'string', maxLength: 200, required: true },
+    message: { type: 'string', maxLength: 10000, required: true },
+    recipients: EMAIL_RECIPIENTS
+  }
+}), async (req, res) => {
+  try {
+    const { recipients, subject, message } = req.body;
+    
+    const recipientUsers = await User.find({ _id: { $in: recipients } });
+    const results = await emailService.sendBulkCustomMessage(recipientUsers, subject, message);
+    
+    res.json({ success: true, results });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+app.post('/api/test-reminders', requireAdmin, async (req, res) => {
+  try {
+    await reminderScheduler.sendRemindersNow();
+    res.json({ success: true, message: 'Reminder check triggered' });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// API: Email delivery status (outbox counts and recent messages)
+app.get('/api/email/outbox', requireAdmin, validate({
+  query: { status: { type: 'string', enum: ['queued', 'sending', 'retry', 'sent', 'dead'] } }
+}), async (req, res) => {
+  try {
+    const status = await emailOutbox.getStatus(req.query.status);
+    res.json({ transport: emailOutbox.TRANSPORT_MODE, ...status });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// API: Retry a dead-lettered email
+app.post('/api/email/outbox/:id/retry', requireAdmin, async (req, res) => {
+  try {
+    const email = await emailOutbox.requeue(req.params.id);
+    if (!email) {
+      return res.status(400).json({ error: 'Only failed emails can be retried' });
+    }
+    
+    res.json({ success: true });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// Subject, html and text of a template draft from the request body
+const TEMPLATE_DRAFT = {
+  subject: { type: 'string', maxLength: 500 },
+  html: { type: 'string', maxLength: 100000 },
+  text: { type: 'string', maxLength: 100000 }
+};
+
+function templateDraft(body) {
+  return {
+    subject: body.subject || '',
+    html: body.html || '',
+    text: body.text || ''
+  };
+}
+
+function checkTemplateRequest(req, res) {
+  const { key, locale } = req.params;
+  if (!emailTemplates.TEMPLATE_KEYS.includes(key)) {
+    res.status(404).json({ error: 'Unknown email template' });
+    return false;
+  }
+  if (locale && !emailTemplates.SUPPORTED_LOCALES.includes(locale)) {
+    res.status(400).json({ error: 'Unsupported language' });
+    return false;
+  }
+  return true;
+}
+
+// API: Email templates with their built-in text, placeholders and edited versions
+app.get('/api/email-templates', requireAdmin, async (req, res) => {
+  try {
+    const templates = await emailTemplates.listTemplates();
+    res.json({ locales: emailTemplates.SUPPORTED_LOCALES, templates });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// API: Save an edited template for one language
+app.put('/api/email-templates/:key/:locale', requireAdmin, validate({ body: TEMPLATE_DRAFT }), async (req, res) => {
+  try {
+    if (!checkTemplateRequest(req, res)) {
+      return;
+    }
+    
+    const draft = templateDraft(req.body);
+    if (!draft.subject || !draft.html || !draft.text) {
+      return res.status(400).json({ error: 'Subject, HTML and text are required' });
+    }
     
-    currentUser = user;
-    if (user.role === 'admin') {
-      res.redirect('/admin');
+    const unknown = emailTemplates.unknownPlaceholders(req.params.key, draft);
+    if (unknown.length > 0) {
+      return res.status(400).json({ error: `Unknown placeholders: ${unknown.join(', ')}` });
+    }
+    
+    const template = await EmailTemplate.findOneAndUpdate(
+      { key: req.params.key, locale: req.params.locale },
+      { ...draft, updatedBy: req.user._id, updatedAt: new Date() },
+      { new: true, upsert: true, runValidators: true }
+    );
+    
+    res.json({ success: true, template });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// API: Drop an edited template so the built-in one is used again
+app.delete('/api/email-templates/:key/:locale', requireAdmin, async (req, res) => {
+  try {
+    if (!checkTemplateRequest(req, res)) {
+      return;
+    }
+    
+    await EmailTemplate.deleteOne({ key: req.params.key, locale: req.params.locale });
+    res.json({ success: true });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// API: Render a draft template with sample data
+app.post('/api/email-templates/:key/:locale/preview', requireAdmin, validate({ body: TEMPLATE_DRAFT }), async (req, res) => {
+  try {
+    if (!checkTemplateRequest(req, res)) {
+      return;
+    }
+    
+    const draft = templateDraft(req.body);
+    const unknown = emailTemplates.unknownPlaceholders(req.params.key, draft);
+    
+    res.json({
+      success: true,
+      preview: emailTemplates.renderSample(req.params.key, req.params.locale, draft),
+      unknownPlaceholders: unknown
+    });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// API: Send a draft template with sample data to the logged-in admin
+app.post('/api/email-templates/:key/:locale/test-send', requireAdmin, validate({ body: TEMPLATE_DRAFT }), async (req, res) => {
+  try {
+    if (!checkTemplateRequest(req, res)) {
+      return;
+    }
+    
+    const result = await emailService.sendTemplateTest(req.user, req.params.key, req.params.locale, templateDraft(req.body));
+    if (!result.success) {
+      return res.status(400).json({ error: result.error });
+    }
+    
+    res.json({ success: true, sentTo: req.user.email });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// LOGIN/REGISTER ROUTES
+app.get('/login', (req, res) => {
+  res.render('login');
+});
+
+app.post('/login', async (req, res) => {
+  try {
+    const { email, password } = req.body;
+    
+    const lockout = loginThrottle.getLockout(email, req.ip);
+    if (lockout > 0) {
+      const minutes = Math.ceil(lockout / 60000);
+      return res.status(429).render('login', {
+        error: `Too many failed login attempts. Please try again in ${minutes} minute${minutes === 1 ? '' : 's'}.`
+      });
+    }
+    
+    const user = await User.findOne({ email });
+    const passwordOk = user
+      ? await passwordService.verifyPassword(password, user.password)
+      : await passwordService.verifyUnknownUser(password);
+    
+    if (user && passwordOk) {
+      loginThrottle.recordSuccess(email);
+      
+      // Upgrade accounts that still have a plaintext password
+      if (!passwordService.isHashed(user.password)) {
+        user.password = password;
+        await user.save();
+      }
+      
+      await logIn(req, user);
+      res.redirect(homePath(user));
     } else {
-      res.redirect('/');
+      loginThrottle.recordFailure(email, req.ip);
+      res.render('login', { error: 'Invalid email or password' });
+    }
+  } catch (error) {
+    res.render('login', { error: 'Login error' });
+  }
+});
+
+app.post('/register', async (req, res) => {
+  try {
+    // Public registration always creates clients; trainers join through an invite
+    const { name, email, password, phone } = req.body;
+    
+    const existingUser = await User.findOne({ email });
+    if (existingUser) {
+      return res.render('login', { error: 'Email already exists' });
+    }
+    
+    if (!password || password.length < MIN_PASSWORD_LENGTH) {
+      return res.render('login', { error: `Password must be at least ${MIN_PASSWORD_LENGTH} characters long` });
+    }
+    
+    const user = new User({ name, email, password, phone, role: 'client' });
+    await user.save();
+    await auditUser(user._id, 'user.create', user, { role: { to: 'client' } }, 'Registered');
+    
+    const result = await sendVerificationEmail(user);
+    if (!result.success) {
+      console.error('Error sending verification email:', result.error);
     }
+    
+    await logIn(req, user);
+    res.redirect('/');
   } catch (error) {
     res.render('login', { error: 'Registration error' });
   }
 });
 
 app.get('/logout', (req, res) => {
-  currentUser = null;
-  res.redirect('/login');
+  // Only ends the caller's own session
+  req.session.destroy((error) => {
+    if (error) {
+      console.error('Error ending session:', error);
+    }
+    res.clearCookie('ptb.sid');
+    res.redirect('/login');
+  });
 });
 
 // HOME PAGE (updated to show trainer and pricing info)
 app.get('/', requireAuth, async (req, res) => {
   try {
-    if (currentUser.role === 'admin') {
-      return res.redirect('/admin');
+    if (req.user.role !== 'client') {
+      return res.redirect(homePath(req.user));
     }
     
     const sessions = await Session.find({ isActive: true }).populate(['createdBy', 'trainer']);
-    const bookings = await Booking.find({ client: currentUser._id, status: 'confirmed' }).populate({
+    const bookings = await Booking.find({ client: req.user._id, status: 'confirmed' }).populate([
+      { path: 'session', populate: { path: 'trainer' } },
+      'package'
+    ]);
+    const packageBalance = await packageService.getBalance(req.user._id);
+    const waitlistEntries = await WaitlistEntry.find({ client: req.user._id, status: 'waiting' }).populate({
       path: 'session',
       populate: { path: 'trainer' }
     });
     
-    res.render('index', { sessions, bookings, moment, user: currentUser });
+    // Cancellation policy of each booking, in words
+    const cancellationPolicies = {};
+    for (const booking of bookings) {
+      const policy = await cancellationPolicyService.policyForSession(booking.session);
+      cancellationPolicies[booking._id] = cancellationPolicyService.describePolicy(policy);
+    }
+    
+    res.render('index', {
+      sessions,
+      bookings,
+      packageBalance,
+      waitlistEntries,
+      cancellationPolicies,
+      locales: emailTemplates.SUPPORTED_LOCALES,
+      moment,
+      studioTime,
+      user: req.user
+    });
   } catch (error) {
     console.error('Error loading home page:', error);
     res.render('login', { error: 'Error loading page' });
@@ -479,16 +1611,19 @@ app.get('/', requireAuth, async (req, res) => {
 // ADMIN DASHBOARD (updated to get trainers from users)
 app.get('/admin', requireAdmin, async (req, res) => {
   try {
-    const sessions = await Session.find({}).populate(['createdBy', 'trainer']).sort({ date: 1, time: 1 });
+    const sessions = await Session.find({ status: { $ne: 'cancelled' } }).populate(['createdBy', 'trainer']).sort({ date: 1, time: 1 });
     const bookings = await Booking.find({ status: 'confirmed' }).populate([
       { path: 'session', populate: { path: 'trainer' } },
-      'client'
+      'client',
+      'package'
     ]).sort({ createdAt: -1 });
-    const trainers = await User.find({ role: 'admin' }, 'name email phone'); // Get users with admin role
+    const trainers = await User.find({ role: { $in: STAFF_ROLES } }, 'name email phone role workingHours timeOff');
+    const packageProducts = await PackageProduct.find({ isActive: true }).sort({ credits: 1 });
+    const outstandingBalances = await paymentService.getOutstandingBalances();
     
     // Statistics
     const totalSessions = sessions.length;
-    const activeSessions = sessions.filter(s => s.isActive && moment(s.date).isAfter(moment())).length;
+    const activeSessions = sessions.filter(s => s.isActive && s.startsAt > new Date()).length;
     const totalBookings = bookings.length;
     const totalClients = bookings.reduce((sum, b) => sum + b.groupSize, 0);
     
@@ -496,6 +1631,8 @@ app.get('/admin', requireAdmin, async (req, res) => {
       sessions,
       bookings,
       trainers,
+      packageProducts,
+      outstandingBalances,
       stats: {
         totalSessions,
         activeSessions, 
@@ -503,7 +1640,8 @@ app.get('/admin', requireAdmin, async (req, res) => {
         totalClients
       },
       moment,
-      user: currentUser
+      studioTime,
+      user: req.user
     });
   } catch (error) {
     console.error('Error loading admin dashboard:', error);
@@ -511,19 +1649,60 @@ app.get('/admin', requireAdmin, async (req, res) => {
   }
 });
 
-app.get('/trainer', requireAdmin, (req, res) => {
-  res.redirect('/admin');
+// TRAINER DASHBOARD: the trainer's own sessions of the last and next 30 days, with attendees and notes
+app.get('/trainer', requireTrainer, async (req, res) => {
+  try {
+    const now = new Date();
+    const sessions = await Session.find({
+      trainer: req.user._id,
+      status: { $ne: 'cancelled' },
+      startsAt: { $gte: moment(now).subtract(30, 'days').toDate(), $lte: moment(now).add(30, 'days').toDate() }
+    }).sort({ startsAt: 1 });
+    const bookings = await Booking.find({
+      session: { $in: sessions.map(s => s._id) },
+      status: 'confirmed'
+    }).populate([
+      { path: 'client', select: 'name email phone' },
+      { path: 'invoice', select: 'number total status' },
+      { path: 'penaltyInvoice', select: 'number total status' }
+    ]).sort({ createdAt: 1 });
+    
+    const attendees = {};
+    for (const booking of bookings) {
+      (attendees[booking.session.toString()] = attendees[booking.session.toString()] || []).push(booking);
+    }
+    
+    const upcoming = sessions.filter(s => s.startsAt > now);
+    const recent = sessions.filter(s => s.startsAt <= now).reverse();
+    const upcomingIds = new Set(upcoming.map(s => s._id.toString()));
+    
+    res.render('trainer', {
+      upcoming,
+      recent,
+      attendees,
+      stats: {
+        upcomingSessions: upcoming.length,
+        bookedSeats: bookings.filter(b => upcomingIds.has(b.session.toString())).reduce((sum, b) => sum + b.groupSize, 0),
+        clients: new Set(bookings.map(b => b.client._id.toString())).size,
+        attendanceToMark: bookings.filter(b => !upcomingIds.has(b.session.toString()) && !b.attendance).length
+      },
+      moment,
+      studioTime,
+      user: req.user
+    });
+  } catch (error) {
+    console.error('Error loading trainer dashboard:', error);
+    res.render('login', { error: 'Error loading trainer dashboard' });
+  }
 });
 
 // API: Get available sessions for a specific date (FIXED - added trainer population)
-app.get('/api/sessions/:date', async (req, res) => {
+app.get('/api/sessions/:date', validate({
+  params: { date: { type: 'date', required: true } }
+}), async (req, res) => {
   try {
-    const date = req.params.date;
     const sessions = await Session.find({
-      date: {
-        $gte: new Date(date),
-        $lt: new Date(moment(date).add(1, 'day').toISOString())
-      },
+      date: studioTime.dayRange(req.params.date),
       isActive: true
     }).populate('trainer'); // FIXED: Added trainer population
     
@@ -541,235 +1720,1619 @@ app.get('/api/sessions/:date', async (req, res) => {
     
     res.json(sessionsWithBookings);
   } catch (error) {
-    res.status(500).json({ error: error.message });
+    sendError(res, error);
   }
 });
 
+function auditSession(actor, action, session, changes, note) {
+  return auditService.record({
+    actor,
+    action,
+    entityType: 'session',
+    entityId: session._id,
+    session: session._id,
+    changes,
+    note
+  });
+}
+
 // API: Create new session (updated with trainer and pricing)
-app.post('/api/session', requireAdmin, async (req, res) => {
+app.post('/api/session', requireAdmin, validate({
+  body: {
+    date: { type: 'date', required: true },
+    time: { type: 'time', required: true },
+    duration: DURATION,
+    exerciseType: { ...EXERCISE_TYPE, required: true },
+    maxCapacity: { ...CAPACITY, required: true },
+    trainerId: { type: 'objectId', required: true },
+    description: DESCRIPTION
+  }
+}), async (req, res) => {
   try {
-    // Remove price, packagePrice, packageDuration from destructuring
-    const { date, time, exerciseType, maxCapacity, trainerId, description } = req.body;
+    const { date, time, duration, exerciseType, maxCapacity, trainerId, description } = req.body;
     
-    // Update validation - remove price and packagePrice checks
-    if (!date || !time || !exerciseType || !maxCapacity || !trainerId) {
-      return res.status(400).json({ error: 'Missing required fields' });
+    if (studioTime.zonedInstant(date, time) <= new Date()) {
+      return res.status(400).json({ error: 'Cannot create a session in the past' });
     }
     
-    const existingSession = await Session.findOne({ date: new Date(date), time });
-    if (existingSession) {
-      return res.status(400).json({ error: 'Session already exists at this date and time' });
+    // Same trainer can't be double-booked; different trainers may run sessions in parallel
+    const slot = await availabilityService.checkSessionSlot({ trainerId, date, time, duration });
+    if (!slot.ok) {
+      return res.status(400).json({ error: slot.reason });
     }
     
-    // Use fixed pricing
-    const price = 50;
-    const packagePrice = 200;
-    const packageDuration = 90;
+    const pricing = await pricingService.resolveSessionPricing({ exerciseType, trainerId });
     
     const session = new Session({
-      date: new Date(date),
+      date: studioTime.toSessionDate(date),
       time,
+      duration: duration || availabilityService.DEFAULT_DURATION,
       exerciseType,
-      maxCapacity: parseInt(maxCapacity),
+      maxCapacity,
       trainer: trainerId,
       description: description || '',
-      price: price,           // Fixed values
-      packagePrice: packagePrice,
-      packageDuration: packageDuration,
-      createdBy: currentUser._id
+      ...pricing,
+      createdBy: req.user._id
     });
     
     await session.save();
+    await auditSession(req.user._id, 'session.create', session, auditService.diff({}, session, auditService.SESSION_FIELDS));
     res.json({ success: true, session });
   } catch (error) {
-    res.status(400).json({ error: error.message });
+    sendError(res, error);
   }
 });
 
 // API: Create new booking (updated with cancellation deadline and package tracking)
-app.post('/api/booking', requireAuth, async (req, res) => {
+app.post('/api/booking', requireAuth, validate({
+  body: {
+    sessionId: { type: 'objectId', required: true },
+    groupSize: { ...CAPACITY, required: true },
+    isPackageBooking: { type: 'boolean' }
+  }
+}), async (req, res) => {
   try {
-    const { sessionId, groupSize, isPackageBooking, packageId, sessionNumber } = req.body;
+    const { sessionId, groupSize, isPackageBooking } = req.body;
     
-    if (currentUser.role === 'admin') {
-      return res.status(403).json({ error: 'Admins cannot book sessions' });
+    if (req.user.role !== 'client') {
+      return res.status(403).json({ error: 'Trainers cannot book sessions' });
     }
     
-    const session = await Session.findById(sessionId).populate(['createdBy', 'trainer']);
-    if (!session || !session.isActive) {
+    const session = await Session.findById(sessionId).populate('trainer');
+    if (!session) {
       return res.status(400).json({ error: 'Session not available' });
     }
     
-    // Check capacity
-    const existingBookings = await Booking.find({ session: sessionId, status: 'confirmed' });
-    const currentBookings = existingBookings.reduce((sum, b) => sum + b.groupSize, 0);
-    
-    if (currentBookings + parseInt(groupSize) > session.maxCapacity) {
-      return res.status(400).json({ error: 'Not enough spots available' });
-    }
-    
-    const booking = new Booking({
-      session: sessionId,
-      client: currentUser._id,
-      groupSize: parseInt(groupSize),
-      isPackageBooking: isPackageBooking || false,
-      packageId: packageId || null,
-      sessionNumber: sessionNumber || null
-    });
-    
-    await booking.save();
-    
-    // Update user's package tracking if this is a package booking
-    if (isPackageBooking) {
-      await User.findByIdAndUpdate(currentUser._id, {
-        $inc: { activeSessions: 1 },
-        $set: { packageExpiry: moment().add(session.packageDuration, 'days').toDate() }
-      });
+    const result = await bookingActions.book(session, req.user, { groupSize, isPackageBooking });
+    if (result.unverified) {
+      return res.status(403).json({ error: result.error, code: 'email_unverified' });
     }
-    
-    // Send confirmation emails
-    try {
-      const emailResult = await emailService.sendBookingConfirmation(
-        booking, 
-        session, 
-        currentUser, 
-        session.createdBy
-      );
-      console.log('Booking confirmation emails sent:', emailResult);
-    } catch (emailError) {
-      console.error('Error sending confirmation emails:', emailError);
+    if (!result.success) {
+      // Full sessions offer the waitlist instead
+      return res.status(400).json({ error: result.error, canJoinWaitlist: result.full || false });
     }
     
-    res.json({ success: true, booking });
+    res.json({ success: true, booking: result.booking });
   } catch (error) {
-    res.status(400).json({ error: error.message });
+    sendError(res, error);
   }
 });
 
-// API: Delete session (updated with trainer info)
-app.delete('/api/session/:id', requireAdmin, async (req, res) => {
+// API: Update the logged-in user's email preferences (reminders on/off, language)
+app.put('/api/me/preferences', requireAuth, validate({
+  body: {
+    remindersEnabled: { type: 'boolean' },
+    locale: { type: 'string', enum: emailTemplates.SUPPORTED_LOCALES }
+  }
+}), async (req, res) => {
   try {
-    const bookings = await Booking.find({ session: req.params.id, status: 'confirmed' })
-      .populate([
-        { path: 'session', populate: { path: 'trainer' } },
-        'client'
-      ]);
+    const { remindersEnabled, locale } = req.body;
     
-    for (const booking of bookings) {
-      try {
-        await emailService.sendCancellationNotification(
-          booking, 
-          booking.session, 
-          booking.client
-        );
-      } catch (emailError) {
-        console.error('Error sending cancellation email:', emailError);
-      }
+    const before = { reminderOptOut: req.user.reminderOptOut, locale: req.user.locale };
+    if (remindersEnabled !== undefined) {
+      req.user.reminderOptOut = !remindersEnabled;
     }
+    if (locale !== undefined) {
+      req.user.locale = locale;
+    }
+    await req.user.save();
+    await auditUser(req.user._id, 'user.preferences', req.user, auditService.diff(before, req.user, ['reminderOptOut', 'locale']));
     
-    await Booking.deleteMany({ session: req.params.id });
-    await Session.findByIdAndDelete(req.params.id);
-    
-    res.json({ success: true });
+    res.json({ success: true, remindersEnabled: !req.user.reminderOptOut, locale: req.user.locale });
   } catch (error) {
-    res.status(400).json({ error: error.message });
+    sendError(res, error);
   }
 });
 
-// API: Delete booking (updated with 24-hour cancellation policy)
-app.delete('/api/booking/:id', requireAuth, async (req, res) => {
+// Subscribable feed URL for a user, creating the secret token on first use
+async function calendarFeedUrl(user, rotate) {
+  if (!user.calendarToken || rotate) {
+    user.calendarToken = crypto.randomBytes(24).toString('hex');
+    await user.save();
+  }
+  return `${process.env.APP_URL || ''}/calendar/${user.calendarToken}.ics`;
+}
+
+// MY TRAINING: a client's bookings over time, attendance, package credits and monthly totals.
+// The booking lists are loaded a page at a time from /api/me/bookings.
+app.get('/my-training', requireAuth, async (req, res) => {
   try {
-    const booking = await Booking.findById(req.params.id).populate([
-      { path: 'session', populate: { path: 'trainer' } },
+    if (req.user.role !== 'client') {
+      return res.redirect(homePath(req.user));
+    }
+    
+    const [packageBalance, monthlyTotals] = await Promise.all([
+      packageService.getBalance(req.user._id),
+      trainingHistoryService.getMonthlyTotals(req.user._id)
+    ]);
+    
+    res.render('my-training', {
+      packageBalance,
+      monthlyTotals,
+      moment,
+      studioTime,
+      user: req.user
+    });
+  } catch (error) {
+    console.error('Error loading training history:', error);
+    res.render('login', { error: 'Error loading page' });
+  }
+});
+
+// API: One page of the logged-in user's bookings (?view=upcoming|past|cancelled&page=&limit=)
+app.get('/api/me/bookings', requireAuth, validate({
+  query: {
+    view: { type: 'string', enum: trainingHistoryService.VIEWS },
+    page: { type: 'integer', min: 1 },
+    limit: { type: 'integer', min: 1, max: 100 }
+  }
+}), async (req, res) => {
+  try {
+    const view = req.query.view || 'upcoming';
+    const result = await trainingHistoryService.getBookings(req.user._id, view, req.query);
+    res.json({ success: true, view, ...result });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// API: The logged-in user's package credits and totals for each of the last 12 months
+app.get('/api/me/training-summary', requireAuth, async (req, res) => {
+  try {
+    const [balance, months] = await Promise.all([
+      packageService.getBalance(req.user._id),
+      trainingHistoryService.getMonthlyTotals(req.user._id)
+    ]);
+    
+    res.json({
+      success: true,
+      remainingCredits: balance.remainingCredits,
+      expiresAt: balance.expiresAt,
+      packages: balance.packages,
+      months
+    });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// PROFILE: the logged-in user's details and password
+app.get('/profile', requireAuth, (req, res) => {
+  res.render('profile', {
+    user: req.user,
+    homePath: homePath(req.user),
+    minPasswordLength: MIN_PASSWORD_LENGTH
+  });
+});
+
+// Wrong current passwords count as failed logins, so a stolen session can't be used to guess them
+function tooManyPasswordAttempts(lockout) {
+  const minutes = Math.ceil(lockout / 60000);
+  return new validation.ApiError(429, `Too many wrong passwords. Please try again in ${minutes} minute${minutes === 1 ? '' : 's'}.`);
+}
+
+// API: Update the logged-in user's name, phone or email. A new email address
+// needs the current password and is unconfirmed until its verification link is used.
+app.put('/api/me/profile', requireAuth, validate({
+  body: {
+    name: { type: 'string', maxLength: 100 },
+    phone: { type: 'string', maxLength: 30 },
+    email: { type: 'email' },
+    currentPassword: { type: 'string', maxLength: 200 }
+  }
+}), async (req, res) => {
+  try {
+    const { name, phone, email, currentPassword } = req.body;
+    const user = req.user;
+    const before = { name: user.name, phone: user.phone, email: user.email };
+    
+    if (name !== undefined) {
+      if (!name.trim()) {
+        return sendError(res, new validation.ApiError(400, 'name is required', { code: 'validation_failed', fields: { name: 'is required' } }));
+      }
+      user.name = name.trim();
+    }
+    if (phone !== undefined) {
+      user.phone = phone.trim();
+    }
+    
+    const emailChanged = email !== undefined && email !== user.email;
+    if (emailChanged) {
+      const lockout = loginThrottle.getLockout(user.email, req.ip);
+      if (lockout > 0) {
+        return sendError(res, tooManyPasswordAttempts(lockout));
+      }
+      if (!currentPassword || !await passwordService.verifyPassword(currentPassword, user.password)) {
+        loginThrottle.recordFailure(user.email, req.ip);
+        return sendError(res, new validation.ApiError(400, 'Enter your current password to change your email address', {
+          code: 'validation_failed',
+          fields: { currentPassword: 'is incorrect' }
+        }));
+      }
+      if (await User.exists({ email, _id: { $ne: user._id } })) {
+        return res.status(409).json({ error: 'Another account already uses this email address' });
+      }
+      user.email = email;
+    }
+    
+    await user.save();
+    await auditUser(user._id, 'user.profile', user, auditService.diff(before, user, ['name', 'phone', 'email']));
+    
+    if (emailChanged) {
+      const result = await sendVerificationEmail(user);
+      if (!result.success) {
+        console.error('Error sending verification email:', result.error);
+      }
+    }
+    
+    res.json({ success: true, user, verificationSent: emailChanged });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// API: Change the logged-in user's password
+app.put('/api/me/password', requireAuth, validate({
+  body: {
+    currentPassword: { type: 'string', maxLength: 200, required: true },
+    newPassword: { type: 'string', maxLength: 200, required: true }
+  }
+}), async (req, res) => {
+  try {
+    const { currentPassword, newPassword } = req.body;
+    
+    const lockout = loginThrottle.getLockout(req.user.email, req.ip);
+    if (lockout > 0) {
+      return sendError(res, tooManyPasswordAttempts(lockout));
+    }
+    if (!await passwordService.verifyPassword(currentPassword, req.user.password)) {
+      loginThrottle.recordFailure(req.user.email, req.ip);
+      return sendError(res, new validation.ApiError(400, 'Your current password is incorrect', {
+        code: 'validation_failed',
+        fields: { currentPassword: 'is incorrect' }
+      }));
+    }
+    if (newPassword.length < MIN_PASSWORD_LENGTH) {
+      return sendError(res, new validation.ApiError(400, `The new password must be at least ${MIN_PASSWORD_LENGTH} characters long`, {
+        code: 'validation_failed',
+        fields: { newPassword: `must be at least ${MIN_PASSWORD_LENGTH} characters` }
+      }));
+    }
+    
+    await changePassword(req.user, newPassword, req);
+    await auditUser(req.user._id, 'user.password-change', req.user, {});
+    
+    res.json({ success: true });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// API: The logged-in user's calendar feed URL
+app.get('/api/me/calendar', requireAuth, async (req, res) => {
+  try {
+    res.json({ success: true, url: await calendarFeedUrl(req.user, false) });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// API: Replace the calendar feed URL (the old one stops working)
+app.post('/api/me/calendar/reset', requireAuth, async (req, res) => {
+  try {
+    res.json({ success: true, url: await calendarFeedUrl(req.user, true) });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// API: The logged-in user's personal API tokens (the tokens themselves are never shown again)
+app.get('/api/me/api-tokens', requireAuth, async (req, res) => {
+  try {
+    res.json(await apiTokenService.listTokens(req.user._id));
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// API: Create a personal API token for an integration. The response is the only time it is shown.
+app.post('/api/me/api-tokens', requireAuth, validate({
+  body: {
+    name: { type: 'string', required: true, maxLength: 100 },
+    expiresInDays: { type: 'integer', min: 1, max: 3650 }
+  }
+}), async (req, res) => {
+  try {
+    const { token, apiToken } = await apiTokenService.issueToken(req.user, {
+      kind: 'personal',
+      name: req.body.name,
+      expiresInDays: req.body.expiresInDays
+    });
+    res.json({ success: true, token, apiToken });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// API: Revoke one of the logged-in user's API tokens
+app.delete('/api/me/api-tokens/:id', requireAuth, async (req, res) => {
+  try {
+    const apiToken = await apiTokenService.revokeToken(req.params.id, req.user._id);
+    if (!apiToken) {
+      return res.status(404).json({ error: 'API token not found' });
+    }
+    res.json({ success: true });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// ICS feed: a client's bookings or the sessions a trainer runs. The token is the only
+// credential, since calendar apps can't log in.
+app.get('/calendar/:token.ics', async (req, res) => {
+  try {
+    const user = await User.findOne({ calendarToken: req.params.token });
+    if (!user) {
+      return res.status(404).send('Calendar not found');
+    }
+    
+    const since = moment.utc(studioTime.today()).subtract(30, 'days').toDate();
+    let body;
+    
+    if (STAFF_ROLES.includes(user.role)) {
+      const sessions = await Session.find({ trainer: user._id, isActive: true, date: { $gte: since } }).populate('trainer');
+      body = calendarService.trainerFeed(user, sessions);
+    } else {
+      const bookings = await Booking.find({ client: user._id, status: 'confirmed' }).populate({
+        path: 'session',
+        match: { date: { $gte: since } },
+        populate: { path: 'trainer' }
+      });
+      body = calendarService.clientFeed(user, bookings);
+    }
+    
+    res.set('Content-Type', 'text/calendar; charset=utf-8');
+    res.set('Content-Disposition', 'inline; filename="training.ics"');
+    res.send(body);
+  } catch (error) {
+    res.status(500).send('Error building calendar');
+  }
+});
+
+// API: Join the waitlist of a full session
+app.post('/api/session/:id/waitlist', requireAuth, validate({
+  body: {
+    groupSize: { ...CAPACITY, required: true },
+    isPackageBooking: { type: 'boolean' }
+  }
+}), async (req, res) => {
+  try {
+    const { groupSize: seats, isPackageBooking } = req.body;
+    
+    if (req.user.role !== 'client') {
+      return res.status(403).json({ error: 'Trainers cannot book sessions' });
+    }
+    
+    if (!req.user.emailVerified) {
+      return res.status(403).json({ error: bookingActions.UNVERIFIED_EMAIL, code: 'email_unverified' });
+    }
+    
+    const session = await Session.findById(req.params.id);
+    if (!session || !session.isActive) {
+      return res.status(400).json({ error: 'Session not available' });
+    }
+    
+    if (!(seats >= 1 && seats <= session.maxCapacity)) {
+      return res.status(400).json({ error: 'Invalid group size' });
+    }
+    
+    if (session.currentBookings + seats <= session.maxCapacity) {
+      return res.status(400).json({ error: 'There are enough spots available - book the session instead' });
+    }
+    
+    const alreadyWaiting = await WaitlistEntry.exists({ session: session._id, client: req.user._id, status: 'waiting' });
+    if (alreadyWaiting) {
+      return res.status(400).json({ error: 'You are already on the waitlist for this session' });
+    }
+    
+    const entry = new WaitlistEntry({
+      session: session._id,
+      client: req.user._id,
+      groupSize: seats,
+      isPackageBooking: isPackageBooking || false
+    });
+    await entry.save();
+    
+    const position = await WaitlistEntry.countDocuments({
+      session: session._id,
+      status: 'waiting',
+      createdAt: { $lte: entry.createdAt }
+    });
+    
+    res.json({ success: true, entry, position });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// API: Leave a waitlist
+app.delete('/api/waitlist/:id', requireAuth, async (req, res) => {
+  try {
+    const entry = await WaitlistEntry.findById(req.params.id);
+    if (!entry || entry.status !== 'waiting') {
+      return res.status(404).json({ error: 'Waitlist entry not found' });
+    }
+    
+    if (req.user.role !== 'admin' && entry.client.toString() !== req.user._id.toString()) {
+      return res.status(403).json({ error: 'Not authorized' });
+    }
+    
+    entry.status = 'left';
+    await entry.save();
+    
+    res.json({ success: true });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// Cancel a session: refund package credits, email attendees and remove it
+async function cancelSession(sessionId, actor, reason) {
+  // Close the session first so no new seats can be reserved while it is torn down.
+  // It is kept, marked cancelled, so its bookings and history stay on record.
+  const session = await Session.findOneAndUpdate(
+    { _id: sessionId, status: { $ne: 'cancelled' } },
+    {
+      $set: {
+        isActive: false,
+        status: 'cancelled',
+        cancelledAt: new Date(),
+        cancelledBy: actor._id,
+        cancellationReason: reason || ''
+      }
+    }
+  );
+  
+  if (!session) {
+    return false;
+  }
+  
+  await auditSession(actor._id, 'session.cancel', session, {
+    status: { from: session.status || 'scheduled', to: 'cancelled' },
+    isActive: { from: session.isActive, to: false }
+  }, reason);
+  
+  const bookings = await Booking.find({ session: sessionId, status: 'confirmed' })
+    .populate([
+      { path: 'session', populate: { path: 'trainer' } },
       'client'
     ]);
+  
+  for (const booking of bookings) {
+    // The studio cancelled, so package credits always go back and open invoices are dropped
+    const cancelled = await bookingService.cancelBooking(booking, {
+      actor: actor._id,
+      refundCredits: true,
+      reason: reason ? `Session cancelled: ${reason}` : 'Session cancelled'
+    });
+    if (!cancelled) {
+      continue;
+    }
     
-    if (!booking) {
+    try {
+      await emailService.sendCancellationNotification(
+        booking, 
+        booking.session, 
+        booking.client
+      );
+    } catch (emailError) {
+      console.error('Error sending cancellation email:', emailError);
+    }
+  }
+  
+  await WaitlistEntry.updateMany({ session: sessionId, status: 'waiting' }, { $set: { status: 'left' } });
+  return true;
+}
+
+// API: Cancel a session. It stays on record with status 'cancelled'.
+app.delete('/api/session/:id', requireAdmin, validate({ body: { reason: REASON } }), async (req, res) => {
+  try {
+    const cancelled = await cancelSession(req.params.id, req.user, req.body.reason);
+    if (!cancelled) {
+      return res.status(404).json({ error: 'Session not found' });
+    }
+    res.json({ success: true });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// Sessions of a series affected by an edit or cancel.
+// scope: 'this' (one occurrence), 'following' (this and later ones) or 'all' (every upcoming one)
+async function findSeriesOccurrences(session, scope) {
+  if (scope === 'this' || !session.series) {
+    return [session];
+  }
+  
+  const from = scope === 'following' ? session.date : studioTime.today();
+  return Session.find({
+    series: session.series,
+    date: { $gte: from },
+    status: { $ne: 'cancelled' }
+  }).sort({ date: 1 });
+}
+
+// Recalculate the cancellation deadline of every booking after a session moved,
+// and forget reminders sent for the old time so the new time gets its own
+async function updateBookingDeadlines(session) {
+  const cancellationDeadline = await cancellationPolicyService.cancellationDeadline(session);
+  await Booking.updateMany(
+    { session: session._id, status: 'confirmed' },
+    { $set: { cancellationDeadline, canCancel: new Date() < cancellationDeadline } }
+  );
+  
+  const bookingIds = await Booking.find({ session: session._id, status: 'confirmed' }).distinct('_id');
+  await mongoose.model('NotificationLog').deleteMany({ booking: { $in: bookingIds } });
+}
+
+// Fill in Session.startsAt for sessions saved before it existed, and correct it for
+// every session when STUDIO_TIMEZONE changes. Bookings on upcoming sessions whose
+// start moved get their cancellation deadlines recalculated.
+async function migrateSessionStarts() {
+  let migrated = 0;
+  for await (const session of Session.find({}, 'date time startsAt exerciseType trainer').cursor()) {
+    const startsAt = studioTime.sessionStart(session);
+    if (session.startsAt && session.startsAt.getTime() === startsAt.getTime()) {
+      continue;
+    }
+    
+    await Session.updateOne({ _id: session._id }, { $set: { startsAt } });
+    session.startsAt = startsAt;
+    if (startsAt > new Date()) {
+      const cancellationDeadline = await cancellationPolicyService.cancellationDeadline(session);
+      await Booking.updateMany(
+        { session: session._id, status: 'confirmed' },
+        { $set: { cancellationDeadline, canCancel: new Date() < cancellationDeadline } }
+      );
+    }
+    migrated++;
+  }
+  
+  if (migrated > 0) {
+    console.log(`Updated start times of ${migrated} sessions for time zone ${studioTime.STUDIO_TIMEZONE}`);
+  }
+}
+
+// When, and with whom, a session was before an edit, for "rescheduled" emails
+async function sessionSnapshot(session) {
+  const trainer = await User.findById(session.trainer._id || session.trainer, 'name');
+  return { date: session.date, time: session.time, duration: session.duration, trainer };
+}
+
+// Tell everyone booked on a changed session, with an updated calendar event
+async function notifySessionChanged(session, previous) {
+  await Booking.updateMany({ session: session._id, status: 'confirmed' }, { $inc: { calendarSequence: 1 } });
+  
+  const populated = await Session.findById(session._id).populate('trainer');
+  const bookings = await Booking.find({ session: session._id, status: 'confirmed' }).populate('client');
+  
+  for (const booking of bookings) {
+    try {
+      await emailService.sendSessionRescheduled(booking, populated, booking.client, previous);
+    } catch (emailError) {
+      console.error('Error sending session rescheduled email:', emailError);
+    }
+  }
+}
+
+// API: Edit a single session (date, time, duration, trainer, capacity, description)
+app.put('/api/session/:id', requireAdmin, validate({
+  body: {
+    date: { type: 'date' },
+    time: { type: 'time' },
+    duration: DURATION,
+    trainerId: { type: 'objectId' },
+    maxCapacity: CAPACITY,
+    description: DESCRIPTION
+  }
+}), async (req, res) => {
+  try {
+    const { date, time, duration, trainerId, maxCapacity, description } = req.body;
+    
+    const session = await Session.findById(req.params.id);
+    if (!session || !session.isActive) {
+      return res.status(404).json({ error: 'Session not found' });
+    }
+    
+    const changes = {};
+    if (date && studioTime.toDay(date) !== studioTime.toDay(session.date)) changes.date = studioTime.toSessionDate(date);
+    if (time && time !== session.time) changes.time = time;
+    if (duration && duration !== session.duration) changes.duration = duration;
+    if (trainerId && trainerId !== session.trainer.toString()) changes.trainer = trainerId;
+    if (maxCapacity) changes.maxCapacity = maxCapacity;
+    if (description !== undefined) changes.description = description;
+    
+    const moved = Boolean(changes.date || changes.time);
+    const slotChanged = moved || Boolean(changes.duration || changes.trainer);
+    
+    if (moved) {
+      const newStart = studioTime.sessionStart({ date: changes.date || session.date, time: changes.time || session.time });
+      if (newStart <= new Date()) {
+        return res.status(400).json({ error: 'Cannot move a session into the past' });
+      }
+      // findOneAndUpdate skips the save hook that keeps startsAt in sync
+      changes.startsAt = newStart;
+    }
+    
+    if (slotChanged) {
+      const slot = await availabilityService.checkSessionSlot({
+        trainerId: changes.trainer || session.trainer,
+        date: changes.date || session.date,
+        time: changes.time || session.time,
+        duration: changes.duration || session.duration,
+        excludeSessionId: session._id
+      });
+      if (!slot.ok) {
+        return res.status(400).json({ error: slot.reason });
+      }
+    }
+    
+    const previous = await sessionSnapshot(session);
+    
+    // The capacity check is part of the update so a booking made meanwhile can't be squeezed out
+    const query = { _id: session._id };
+    if (changes.maxCapacity) {
+      query.currentBookings = { $lte: changes.maxCapacity };
+    }
+    const updated = await Session.findOneAndUpdate(query, { $set: changes, $inc: { calendarSequence: 1 } }, { new: true, runValidators: true });
+    if (!updated) {
+      return res.status(400).json({ error: 'Capacity cannot be lower than the current bookings' });
+    }
+    await auditSession(req.user._id, 'session.update', updated, auditService.diff(session, updated, auditService.SESSION_FIELDS));
+    
+    if (moved) {
+      await updateBookingDeadlines(updated);
+    }
+    if (moved || changes.trainer) {
+      await notifySessionChanged(updated, previous);
+    }
+    
+    // More seats may let waiting parties in
+    let promoted = [];
+    if (changes.maxCapacity > session.maxCapacity) {
+      try {
+        promoted = await waitlistService.promoteWaitlist(updated._id);
+      } catch (waitlistError) {
+        console.error('Error promoting waitlist:', waitlistError);
+      }
+    }
+    
+    res.json({ success: true, session: updated, promoted: promoted.length });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// API: Create a recurring weekly series of sessions
+app.post('/api/session/series', requireAdmin, validate({
+  body: {
+    startDate: { type: 'date', required: true },
+    weeks: { type: 'integer', min: 1, max: 52, required: true },
+    daysOfWeek: { type: 'array', required: true, minItems: 1, maxItems: 7, items: { type: 'integer', min: 0, max: 6, required: true } },
+    time: { type: 'time', required: true },
+    duration: DURATION,
+    exerciseType: { ...EXERCISE_TYPE, required: true },
+    maxCapacity: { ...CAPACITY, required: true },
+    trainerId: { type: 'objectId', required: true },
+    description: DESCRIPTION
+  }
+}), async (req, res) => {
+  try {
+    const { startDate, weeks, daysOfWeek: days, time, duration, exerciseType, maxCapacity, trainerId, description } = req.body;
+    
+    const series = new SessionSeries({
+      daysOfWeek: days,
+      time,
+      duration: duration || availabilityService.DEFAULT_DURATION,
+      startDate: new Date(startDate),
+      weeks,
+      exerciseType,
+      maxCapacity,
+      trainer: trainerId,
+      description: description || '',
+      createdBy: req.user._id
+    });
+    await series.validate();
+    
+    // Dates are stored like single sessions: midnight UTC of the calendar day
+    const dates = [];
+    for (let i = 0; i < series.weeks * 7; i++) {
+      const day = moment.utc(startDate).add(i, 'days');
+      if (days.includes(day.day())) {
+        dates.push(day.toDate());
+      }
+    }
+    
+    if (dates.length === 0) {
+      return res.status(400).json({ error: 'The series does not contain any dates' });
+    }
+    // Dates that have already passed are skipped; a series with nothing left is refused
+    const now = new Date();
+    const isPast = date => studioTime.zonedInstant(date, time) <= now;
+    if (dates.every(isPast)) {
+      return res.status(400).json({ error: 'Cannot create a session in the past' });
+    }
+    
+    await series.save();
+    
+    const pricing = await pricingService.resolveSessionPricing({
+      exerciseType: series.exerciseType,
+      trainerId: series.trainer
+    });
+    
+    const created = [];
+    const skipped = [];
+    for (const date of dates) {
+      if (isPast(date)) {
+        skipped.push({ date, reason: 'This date is in the past' });
+        continue;
+      }
+      const slot = await availabilityService.checkSessionSlot({
+        trainerId: series.trainer,
+        date,
+        time,
+        duration: series.duration
+      });
+      if (!slot.ok) {
+        skipped.push({ date, reason: slot.reason });
+        continue;
+      }
+      
+      const session = new Session({
+        date,
+        time,
+        duration: series.duration,
+        exerciseType: series.exerciseType,
+        maxCapacity: series.maxCapacity,
+        trainer: series.trainer,
+        description: series.description,
+        series: series._id,
+        ...pricing,
+        createdBy: req.user._id
+      });
+      await session.save();
+      await auditSession(req.user._id, 'session.create', session,
+        auditService.diff({}, session, auditService.SESSION_FIELDS), 'Created as part of a series');
+      created.push(session);
+    }
+    
+    if (created.length === 0) {
+      await SessionSeries.findByIdAndDelete(series._id);
+    }
+    
+    res.json({ success: true, series: created.length > 0 ? series : null, created, skipped });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// API: Edit one occurrence, this and following, or the whole series
+app.put('/api/session/:id/series', requireAdmin, validate({
+  body: {
+    scope: SERIES_SCOPE,
+    time: { type: 'time' },
+    exerciseType: EXERCISE_TYPE,
+    maxCapacity: CAPACITY,
+    trainerId: { type: 'objectId' },
+    description: DESCRIPTION
+  }
+}), async (req, res) => {
+  try {
+    const { scope, time, exerciseType, maxCapacity, trainerId, description } = req.body;
+    
+    const session = await Session.findById(req.params.id);
+    if (!session) {
+      return res.status(404).json({ error: 'Session not found' });
+    }
+    
+    const occurrences = await findSeriesOccurrences(session, scope);
+    const updated = [];
+    const skipped = [];
+    
+    for (const occurrence of occurrences) {
+      const timeOrTrainerChanged = (time && time !== occurrence.time) ||
+        (trainerId && trainerId !== occurrence.trainer.toString());
+      if (timeOrTrainerChanged) {
+        const slot = await availabilityService.checkSessionSlot({
+          trainerId: trainerId || occurrence.trainer,
+          date: occurrence.date,
+          time: time || occurrence.time,
+          duration: occurrence.duration,
+          excludeSessionId: occurrence._id
+        });
+        if (!slot.ok) {
+          skipped.push({ date: occurrence.date, reason: slot.reason });
+          continue;
+        }
+      }
+      
+      const timeChanged = time && time !== occurrence.time;
+      const previous = await sessionSnapshot(occurrence);
+      
+      const changes = {};
+      if (timeChanged) {
+        changes.time = time;
+        // findOneAndUpdate skips the save hook that keeps startsAt in sync
+        changes.startsAt = studioTime.sessionStart({ date: occurrence.date, time });
+      }
+      if (exerciseType) changes.exerciseType = exerciseType;
+      if (maxCapacity) changes.maxCapacity = maxCapacity;
+      if (trainerId) changes.trainer = trainerId;
+      if (description !== undefined) changes.description = description;
+      
+      // As for a single session, the capacity check is part of the update
+      const query = { _id: occurrence._id };
+      if (maxCapacity) {
+        query.currentBookings = { $lte: maxCapacity };
+      }
+      const saved = await Session.findOneAndUpdate(query, { $set: changes, $inc: { calendarSequence: 1 } }, { new: true, runValidators: true });
+      if (!saved) {
+        skipped.push({ date: occurrence.date, reason: 'Capacity would drop below current bookings' });
+        continue;
+      }
+      await auditSession(req.user._id, 'session.update', saved,
+        auditService.diff(occurrence, saved, auditService.SESSION_FIELDS), `Series edit (${scope})`);
+      
+      if (timeChanged) {
+        await updateBookingDeadlines(saved);
+      }
+      if (timeOrTrainerChanged) {
+        await notifySessionChanged(saved, previous);
+      }
+      updated.push(saved);
+    }
+    
+    // Keep the series template in line when the whole series changes
+    if (scope === 'all' && session.series) {
+      const changes = {};
+      if (time) changes.time = time;
+      if (exerciseType) changes.exerciseType = exerciseType;
+      if (maxCapacity) changes.maxCapacity = maxCapacity;
+      if (trainerId) changes.trainer = trainerId;
+      if (description !== undefined) changes.description = description;
+      await SessionSeries.findByIdAndUpdate(session.series, { $set: changes });
+    }
+    
+    res.json({ success: true, updated: updated.length, skipped });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// API: Cancel one occurrence, this and following, or the whole series
+app.delete('/api/session/:id/series', requireAdmin, validate({
+  query: { scope: SERIES_SCOPE, reason: REASON }
+}), async (req, res) => {
+  try {
+    const scope = req.query.scope;
+    
+    const session = await Session.findById(req.params.id);
+    if (!session) {
+      return res.status(404).json({ error: 'Session not found' });
+    }
+    
+    const occurrences = await findSeriesOccurrences(session, scope);
+    let cancelled = 0;
+    for (const occurrence of occurrences) {
+      if (await cancelSession(occurrence._id, req.user, req.query.reason)) {
+        cancelled++;
+      }
+    }
+    
+    res.json({ success: true, cancelled });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// API: What cancelling a booking now would cost, so the client sees it before confirming
+app.get('/api/booking/:id/cancellation', requireAuth, async (req, res) => {
+  try {
+    const booking = await Booking.findById(req.params.id).populate('session');
+    
+    if (!booking || booking.status !== 'confirmed') {
+      return res.status(404).json({ error: 'Booking not found' });
+    }
+    
+    if (req.user.role !== 'admin' && booking.client.toString() !== req.user._id.toString()) {
+      return res.status(403).json({ error: 'Not authorized' });
+    }
+    
+    const assessment = await cancellationPolicyService.assessCancellation(booking, booking.session);
+    
+    res.json({
+      success: true,
+      late: assessment.late,
+      waived: assessment.waived,
+      forfeitCredits: assessment.forfeitCredits,
+      fee: assessment.fee,
+      message: assessment.message,
+      policy: cancellationPolicyService.describePolicy(assessment.policy)
+    });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// API: Cancel booking under the session's cancellation policy. It stays on record with status 'cancelled'.
+app.delete('/api/booking/:id', requireAuth, validate({
+  body: { reason: REASON, waivePenalty: { type: 'boolean' } }
+}), async (req, res) => {
+  try {
+    const booking = await Booking.findById(req.params.id).populate([
+      { path: 'session', populate: { path: 'trainer' } },
+      'client'
+    ]);
+    
+    if (!booking || booking.status !== 'confirmed') {
+      return res.status(404).json({ error: 'Booking not found' });
+    }
+    
+    if (req.user.role !== 'admin' && booking.client._id.toString() !== req.user._id.toString()) {
+      return res.status(403).json({ error: 'Not authorized' });
+    }
+    
+    // Once the session has started it is a matter of attendance, not cancellation
+    if (req.user.role !== 'admin' && booking.session.startsAt <= new Date()) {
+      return res.status(400).json({ error: 'This session has already started' });
+    }
+    
+    const result = await bookingActions.cancel(booking, req.user, req.body);
+    if (!result) {
       return res.status(404).json({ error: 'Booking not found' });
     }
     
-    if (currentUser.role !== 'admin' && booking.client._id.toString() !== currentUser._id.toString()) {
+    res.json({ success: true, ...result });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// API: Move a booking to another session (same rules as cancelling for clients)
+app.post('/api/booking/:id/move', requireAuth, validate({
+  body: { sessionId: { type: 'objectId', required: true } }
+}), async (req, res) => {
+  try {
+    const booking = await Booking.findById(req.params.id).populate([
+      { path: 'session', populate: { path: 'trainer' } },
+      'client'
+    ]);
+    
+    if (!booking || booking.status !== 'confirmed') {
+      return res.status(404).json({ error: 'Booking not found' });
+    }
+    
+    if (req.user.role !== 'admin' && booking.client._id.toString() !== req.user._id.toString()) {
       return res.status(403).json({ error: 'Not authorized' });
     }
     
-    // Check 24-hour cancellation policy for non-admin users
-    if (currentUser.role !== 'admin') {
-      const now = new Date();
-      const cancellationDeadline = new Date(booking.cancellationDeadline);
-      
-      if (now > cancellationDeadline) {
-        return res.status(400).json({ 
-          error: 'Cannot cancel booking within 24 hours of the session time' 
-        });
-      }
+    if (req.user.role !== 'admin' && new Date() > new Date(booking.cancellationDeadline)) {
+      return res.status(400).json({ 
+        error: 'Bookings can only be moved before the cancellation deadline' 
+      });
+    }
+    
+    const target = await Session.findById(req.body.sessionId).populate('trainer');
+    if (!target) {
+      return res.status(404).json({ error: 'Session not found' });
+    }
+    
+    const previous = booking.session;
+    const result = await bookingService.moveBooking(booking, target, req.user._id);
+    if (!result.success) {
+      return res.status(400).json({ error: result.error, canJoinWaitlist: result.full || false });
     }
     
-    // Update user's package tracking if this was a package booking
-    if (booking.isPackageBooking) {
-      await User.findByIdAndUpdate(booking.client._id, {
-        $inc: { activeSessions: -1 }
-      });
+    try {
+      await emailService.sendSessionRescheduled(result.booking, target, booking.client, previous);
+    } catch (emailError) {
+      console.error('Error sending session rescheduled email:', emailError);
     }
     
-    // Send cancellation email
+    // Offer the seats left behind to the waitlist
     try {
-      await emailService.sendCancellationNotification(
-        booking, 
-        booking.session, 
-        booking.client
-      );
-    } catch (emailError) {
-      console.error('Error sending cancellation email:', emailError);
+      await waitlistService.promoteWaitlist(previous._id);
+    } catch (waitlistError) {
+      console.error('Error promoting waitlist:', waitlistError);
     }
     
-    await Booking.findByIdAndDelete(req.params.id);
-    res.json({ success: true });
+    res.json({ success: true, booking: result.booking });
   } catch (error) {
-    res.status(400).json({ error: error.message });
+    sendError(res, error);
   }
 });
 
 // API: Update booking notes
-app.put('/api/booking/:id/notes', requireAdmin, async (req, res) => {
+app.put('/api/booking/:id/notes', requireTrainer, validate({
+  body: { notes: { type: 'string', maxLength: 2000 } }
+}), async (req, res) => {
   try {
     const { notes } = req.body;
+    
+    const existing = await Booking.findById(req.params.id).populate('session');
+    if (!existing) {
+      return res.status(404).json({ error: 'Booking not found' });
+    }
+    if (!canManageSession(req.user, existing.session)) {
+      return res.status(403).json({ error: 'Not authorized' });
+    }
+    
+    // Returns the booking as it was, for the audit log
     const booking = await Booking.findByIdAndUpdate(
       req.params.id,
-      { notes: notes || '' },
-      { new: true }
+      { notes: notes || '' }
     ).populate('client', 'name email phone');
     
     if (!booking) {
       return res.status(404).json({ error: 'Booking not found' });
     }
     
+    await auditService.record({
+      actor: req.user._id,
+      action: 'booking.notes',
+      entityType: 'booking',
+      entityId: booking._id,
+      client: booking.client,
+      session: booking.session,
+      changes: auditService.diff(booking, { notes: notes || '' }, ['notes'])
+    });
+    
+    booking.notes = notes || '';
     res.json({ success: true, booking });
   } catch (error) {
-    res.status(400).json({ error: error.message });
+    sendError(res, error);
+  }
+});
+
+// API: Mark a booking attended or a no-show (null clears it). No-shows are charged the policy's fee.
+app.put('/api/booking/:id/attendance', requireTrainer, validate({
+  body: { attendance: { type: 'string', enum: ['attended', 'no-show'], nullable: true, required: true } }
+}), async (req, res) => {
+  try {
+    const { attendance } = req.body;
+    
+    const booking = await Booking.findById(req.params.id).populate('session');
+    if (!booking || booking.status !== 'confirmed') {
+      return res.status(404).json({ error: 'Booking not found' });
+    }
+    
+    if (!canManageSession(req.user, booking.session)) {
+      return res.status(403).json({ error: 'Not authorized' });
+    }
+    
+    if (booking.session.startsAt > new Date()) {
+      return res.status(400).json({ error: 'Attendance can be marked once the session has started' });
+    }
+    
+    const policy = await cancellationPolicyService.policyForSession(booking.session);
+    const updated = await bookingService.markAttendance(booking, attendance, {
+      actor: req.user._id,
+      fee: policy.noShowFee
+    });
+    if (!updated) {
+      return res.status(404).json({ error: 'Booking not found' });
+    }
+    
+    res.json({ success: true, booking: updated });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// API: Search the audit log by client and/or session, newest first
+// (?client=&session=&entityType=&before=<createdAt of the last entry seen>&limit=)
+app.get('/api/audit', requireAdmin, validate({
+  query: {
+    client: { type: 'objectId' },
+    session: { type: 'objectId' },
+    entityType: { type: 'string', enum: AUDIT_ENTITY_TYPES },
+    before: { type: 'datetime' },
+    limit: { type: 'integer', min: 1, max: 200 }
+  }
+}), async (req, res) => {
+  try {
+    const { client, session, entityType, before, limit } = req.query;
+    const entries = await auditService.search({ client, session, entityType, before, limit });
+    
+    res.json({ success: true, entries });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// Reports cover ?from=&to= (studio calendar days, inclusive), the last 30 days by default
+const REPORT_RANGE = { from: { type: 'date' }, to: { type: 'date' } };
+const MAX_REPORT_DAYS = 730;
+
+function reportRange({ from, to }) {
+  const end = to || studioTime.toDay(studioTime.today());
+  const start = from || moment.utc(end).subtract(29, 'days').format('YYYY-MM-DD');
+  const days = moment.utc(end).diff(moment.utc(start), 'days');
+  
+  const problem = days < 0 ? 'must not be before from'
+    : days > MAX_REPORT_DAYS ? `must be at most ${MAX_REPORT_DAYS} days after from`
+    : null;
+  if (problem) {
+    throw new validation.ApiError(400, `to ${problem}`, { code: 'validation_failed', fields: { to: problem } });
+  }
+  return { from: start, to: end };
+}
+
+// API: Every business report for a date range, for the dashboard charts
+app.get('/api/reports', requireAdmin, validate({ query: REPORT_RANGE }), async (req, res) => {
+  try {
+    const range = reportRange(req.query);
+    const { summary, reports } = await reportService.buildAll(range);
+    
+    res.json({ success: true, ...range, summary, reports });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// API: One report as a CSV download
+app.get('/api/reports/:name.csv', requireAdmin, validate({
+  params: { name: { type: 'string', enum: reportService.REPORT_NAMES, required: true } },
+  query: REPORT_RANGE
+}), async (req, res) => {
+  try {
+    const range = reportRange(req.query);
+    const report = await reportService.buildReport(req.params.name, range);
+    
+    res.set('Content-Type', 'text/csv; charset=utf-8');
+    res.set('Content-Disposition', `attachment; filename="${report.name}-${range.from}-to-${range.to}.csv"`);
+    res.send(csv.toCsv(report.columns, reportService.csvRows(report)));
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// API: Import clients or sessions from a CSV file sent as the request body (text/csv).
+// ?dryRun=true checks every row and reports what would happen without saving anything.
+app.post('/api/import/:kind', requireAdmin, bodyParser.text({ type: ['text/csv', 'text/plain'], limit: '2mb' }), validate({
+  params: { kind: { type: 'string', enum: ['clients', 'sessions'], required: true } },
+  query: { dryRun: { type: 'boolean' } }
+}), async (req, res) => {
+  try {
+    if (typeof req.body !== 'string' || req.body.trim() === '') {
+      throw new validation.ApiError(400, 'Send the CSV file as the request body', { code: 'validation_failed', fields: { file: 'is required' } });
+    }
+    
+    const options = { dryRun: req.query.dryRun === true, actor: req.user._id };
+    const result = req.params.kind === 'clients'
+      ? await importService.importClients(req.body, options)
+      : await importService.importSessions(req.body, options);
+    
+    res.json({ success: true, ...result });
+  } catch (error) {
+    sendError(res, error);
   }
 });
 
-app.listen(PORT, () => {
-  console.log(`Personal Trainer Booking System running on http://localhost:${PORT}`);
-  console.log(`Admin Dashboard: http://localhost:${PORT}/admin`);
-  console.log('Email service initialized');
-  console.log('Reminder scheduler running - will send 2-hour reminders automatically');
+// API: Clients, sessions or bookings as a CSV download, optionally for ?from=&to=
+// (studio calendar days, inclusive; either end may be left open)
+app.get('/api/export/:kind.csv', requireAdmin, validate({
+  params: { kind: { type: 'string', enum: exportService.EXPORT_KINDS, required: true } },
+  query: REPORT_RANGE
+}), async (req, res) => {
+  try {
+    const { from, to } = req.query;
+    if (from && to && to < from) {
+      throw new validation.ApiError(400, 'to must not be before from', { code: 'validation_failed', fields: { to: 'must not be before from' } });
+    }
+    
+    const { columns, rows } = await exportService.buildExport(req.params.kind, { from, to });
+    const filename = [req.params.kind, from && `from-${from}`, to && `to-${to}`].filter(Boolean).join('-');
+    
+    res.set('Content-Type', 'text/csv; charset=utf-8');
+    res.set('Content-Disposition', `attachment; filename="${filename}.csv"`);
+    res.send(csv.toCsv(columns, rows));
+  } catch (error) {
+    sendError(res, error);
+  }
 });
 
+// Tests require the app and listen on a port of their own
+if (require.main === module) {
+  startBackgroundJobs();
+  app.listen(PORT, () => {
+    console.log(`Personal Trainer Booking System running on http://localhost:${PORT}`);
+    console.log(`Admin Dashboard: http://localhost:${PORT}/admin`);
+    console.log(`Sessions are scheduled in the ${studioTime.STUDIO_TIMEZONE} time zone`);
+    console.log(`Email service initialized (${emailOutbox.TRANSPORT_MODE} transport)`);
+    console.log(`Reminder scheduler running - will send ${reminderScheduler.REMINDER_OFFSETS.join('h and ')}h reminders automatically`);
+  });
+}
+
 // Add these routes to your server.js file
 
 // API: Get all clients
 app.get('/api/clients', requireAdmin, async (req, res) => {
   try {
-    const clients = await User.find({ role: 'client' }, 'name email phone activeSessions packageExpiry createdAt');
-    res.json(clients);
+    const clients = await User.find({ role: 'client' }, 'name email phone createdAt');
+    const balances = await packageService.getBalances(clients.map(c => c._id));
+    
+    res.json(clients.map(client => {
+      const balance = balances[client._id.toString()];
+      return {
+        ...client.toJSON(),
+        remainingCredits: balance ? balance.remainingCredits : 0,
+        packageExpiry: balance ? balance.expiresAt : null
+      };
+    }));
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// PRICING CATALOG ROUTES
+// Audit log entry for a catalog, policy or invoice change
+function auditRecord(actor, action, entityType, entity, changes, note) {
+  return auditService.record({
+    actor,
+    action,
+    entityType,
+    entityId: entity._id,
+    client: entity.client,
+    changes,
+    note
+  });
+}
+
+const POLICY_AUDIT_FIELDS = ['exerciseType', 'trainer', 'cutoffHours', 'lateCancelFee', 'forfeitCredits', 'freeLateCancelsPerMonth', 'noShowFee', 'isActive'];
+const PRODUCT_AUDIT_FIELDS = ['name', 'credits', 'validityDays', 'price', 'isDefault', 'isActive'];
+const PRICE_RULE_AUDIT_FIELDS = ['exerciseType', 'trainer', 'price', 'groupPrices', 'isActive'];
+
+// Price rule fields as audit values; group prices read "2: 18, 3: 15"
+function priceRuleSnapshot(rule) {
+  return {
+    exerciseType: rule.exerciseType,
+    trainer: rule.trainer,
+    price: rule.price,
+    groupPrices: (rule.groupPrices || []).map(g => `${g.groupSize}: ${g.pricePerPerson}`).join(', '),
+    isActive: rule.isActive
+  };
+}
+
+// API: Get price rules and package products
+app.get('/api/pricing', requireAdmin, async (req, res) => {
+  try {
+    const rules = await PriceRule.find({ isActive: true }).populate('trainer', 'name');
+    const products = await PackageProduct.find({ isActive: true }).sort({ credits: 1 });
+    res.json({ rules, products });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// API: Create a price rule
+const GROUP_PRICES = {
+  type: 'array',
+  maxItems: 3,
+  items: {
+    type: 'object',
+    fields: {
+      groupSize: { type: 'integer', min: 2, max: 4, required: true },
+      pricePerPerson: { ...MONEY, required: true }
+    }
+  }
+};
+
+app.post('/api/pricing/rules', requireAdmin, validate({
+  body: {
+    exerciseType: EXERCISE_TYPE,
+    trainerId: { type: 'objectId' },
+    price: { ...MONEY, required: true },
+    groupPrices: GROUP_PRICES
+  }
+}), async (req, res) => {
+  try {
+    const { exerciseType, trainerId, price, groupPrices } = req.body;
+    
+    // Only one active rule per exercise type / trainer combination
+    const existingRule = await PriceRule.findOne({
+      exerciseType: exerciseType || null,
+      trainer: trainerId || null,
+      isActive: true
+    });
+    if (existingRule) {
+      return res.status(400).json({ error: 'A price rule for this exercise type and trainer already exists' });
+    }
+    
+    const rule = new PriceRule({
+      exerciseType: exerciseType || null,
+      trainer: trainerId || null,
+      price,
+      groupPrices: groupPrices || []
+    });
+    await rule.save();
+    await auditRecord(req.user._id, 'price-rule.create', 'price-rule', rule,
+      auditService.diff({}, priceRuleSnapshot(rule), PRICE_RULE_AUDIT_FIELDS));
+    
+    res.json({ success: true, rule });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// API: Update a price rule (only affects sessions created afterwards)
+app.put('/api/pricing/rules/:id', requireAdmin, validate({
+  body: { price: MONEY, groupPrices: GROUP_PRICES }
+}), async (req, res) => {
+  try {
+    const { price, groupPrices } = req.body;
+    
+    const rule = await PriceRule.findOne({ _id: req.params.id, isActive: true });
+    if (!rule) {
+      return res.status(404).json({ error: 'Price rule not found' });
+    }
+    
+    const before = priceRuleSnapshot(rule);
+    if (price !== undefined) rule.price = price;
+    if (groupPrices !== undefined) rule.groupPrices = groupPrices;
+    await rule.save();
+    await auditRecord(req.user._id, 'price-rule.update', 'price-rule', rule,
+      auditService.diff(before, priceRuleSnapshot(rule), PRICE_RULE_AUDIT_FIELDS));
+    
+    res.json({ success: true, rule });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// API: Retire a price rule
+app.delete('/api/pricing/rules/:id', requireAdmin, async (req, res) => {
+  try {
+    const rule = await PriceRule.findByIdAndUpdate(req.params.id, { $set: { isActive: false } });
+    if (!rule) {
+      return res.status(404).json({ error: 'Price rule not found' });
+    }
+    if (rule.isActive) {
+      await auditRecord(req.user._id, 'price-rule.retire', 'price-rule', rule, { isActive: { from: true, to: false } });
+    }
+    res.json({ success: true });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// Cancellation policy fields of a request body, for create and update
+const POLICY_FIELDS = {
+  cutoffHours: { type: 'number', min: 0, max: 168 },
+  lateCancelFee: MONEY,
+  forfeitCredits: { type: 'boolean' },
+  freeLateCancelsPerMonth: { type: 'integer', min: 0, max: 31 },
+  noShowFee: MONEY
+};
+
+function policyFields(body) {
+  const fields = {};
+  for (const field of Object.keys(POLICY_FIELDS)) {
+    if (body[field] !== undefined) fields[field] = body[field];
+  }
+  return fields;
+}
+
+// API: Cancellation policies, plus the rule used when none matches
+app.get('/api/cancellation-policies', requireAdmin, async (req, res) => {
+  try {
+    const policies = await CancellationPolicy.find({ isActive: true }).populate('trainer', 'name');
+    res.json({ policies, fallback: cancellationPolicyService.FALLBACK_POLICY });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// API: Create a cancellation policy
+app.post('/api/cancellation-policies', requireAdmin, validate({
+  body: {
+    exerciseType: EXERCISE_TYPE,
+    trainerId: { type: 'objectId' },
+    ...POLICY_FIELDS,
+    cutoffHours: { ...POLICY_FIELDS.cutoffHours, required: true }
+  }
+}), async (req, res) => {
+  try {
+    const { exerciseType, trainerId } = req.body;
+    
+    // Only one active policy per exercise type / trainer combination
+    const existingPolicy = await CancellationPolicy.findOne({
+      exerciseType: exerciseType || null,
+      trainer: trainerId || null,
+      isActive: true
+    });
+    if (existingPolicy) {
+      return res.status(400).json({ error: 'A cancellation policy for this exercise type and trainer already exists' });
+    }
+    
+    const policy = new CancellationPolicy({
+      exerciseType: exerciseType || null,
+      trainer: trainerId || null,
+      ...policyFields(req.body)
+    });
+    await policy.save();
+    await auditRecord(req.user._id, 'cancellation-policy.create', 'cancellation-policy', policy,
+      auditService.diff({}, policy, POLICY_AUDIT_FIELDS));
+    
+    res.json({ success: true, policy });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// API: Update a cancellation policy. Existing bookings keep the deadline they were booked with.
+app.put('/api/cancellation-policies/:id', requireAdmin, validate({ body: POLICY_FIELDS }), async (req, res) => {
+  try {
+    const policy = await CancellationPolicy.findOne({ _id: req.params.id, isActive: true });
+    if (!policy) {
+      return res.status(404).json({ error: 'Cancellation policy not found' });
+    }
+    
+    const before = policy.toObject();
+    policy.set(policyFields(req.body));
+    await policy.save();
+    await auditRecord(req.user._id, 'cancellation-policy.update', 'cancellation-policy', policy,
+      auditService.diff(before, policy, POLICY_AUDIT_FIELDS));
+    
+    res.json({ success: true, policy });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// API: Retire a cancellation policy
+app.delete('/api/cancellation-policies/:id', requireAdmin, async (req, res) => {
+  try {
+    const policy = await CancellationPolicy.findByIdAndUpdate(req.params.id, { $set: { isActive: false } });
+    if (!policy) {
+      return res.status(404).json({ error: 'Cancellation policy not found' });
+    }
+    if (policy.isActive) {
+      await auditRecord(req.user._id, 'cancellation-policy.retire', 'cancellation-policy', policy, { isActive: { from: true, to: false } });
+    }
+    res.json({ success: true });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// API: Create a package product
+const PRODUCT_FIELDS = {
+  name: { type: 'string', maxLength: 100 },
+  credits: { type: 'integer', min: 1, max: 1000 },
+  validityDays: { type: 'integer', min: 1, max: 3650 },
+  price: MONEY,
+  isDefault: { type: 'boolean' }
+};
+
+app.post('/api/pricing/products', requireAdmin, validate({
+  body: {
+    ...PRODUCT_FIELDS,
+    name: { ...PRODUCT_FIELDS.name, required: true },
+    credits: { ...PRODUCT_FIELDS.credits, required: true },
+    validityDays: { ...PRODUCT_FIELDS.validityDays, required: true },
+    price: { ...PRODUCT_FIELDS.price, required: true }
+  }
+}), async (req, res) => {
+  try {
+    const { name, credits, validityDays, price, isDefault } = req.body;
+    
+    if (isDefault) {
+      await PackageProduct.updateMany({}, { $set: { isDefault: false } });
+    }
+    
+    const product = new PackageProduct({
+      name,
+      credits,
+      validityDays,
+      price,
+      isDefault: isDefault || false
+    });
+    await product.save();
+    await auditRecord(req.user._id, 'package-product.create', 'package-product', product,
+      auditService.diff({}, product, PRODUCT_AUDIT_FIELDS));
+    
+    res.json({ success: true, product });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// API: Update a package product (packages already sold keep their terms)
+app.put('/api/pricing/products/:id', requireAdmin, validate({ body: PRODUCT_FIELDS }), async (req, res) => {
+  try {
+    const { name, credits, validityDays, price, isDefault } = req.body;
+    
+    const product = await PackageProduct.findOne({ _id: req.params.id, isActive: true });
+    if (!product) {
+      return res.status(404).json({ error: 'Package product not found' });
+    }
+    
+    if (isDefault) {
+      await PackageProduct.updateMany({ _id: { $ne: product._id } }, { $set: { isDefault: false } });
+    }
+    
+    const before = product.toObject();
+    if (name) product.name = name;
+    if (credits) product.credits = credits;
+    if (validityDays) product.validityDays = validityDays;
+    if (price !== undefined) product.price = price;
+    if (isDefault !== undefined) product.isDefault = isDefault;
+    await product.save();
+    await auditRecord(req.user._id, 'package-product.update', 'package-product', product,
+      auditService.diff(before, product, PRODUCT_AUDIT_FIELDS));
+    
+    res.json({ success: true, product });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// API: Stop selling a package product
+app.delete('/api/pricing/products/:id', requireAdmin, async (req, res) => {
+  try {
+    const product = await PackageProduct.findByIdAndUpdate(req.params.id, { $set: { isActive: false, isDefault: false } });
+    if (!product) {
+      return res.status(404).json({ error: 'Package product not found' });
+    }
+    if (product.isActive) {
+      await auditRecord(req.user._id, 'package-product.retire', 'package-product', product, auditService.diff(
+        product, { isActive: false, isDefault: false }, ['isActive', 'isDefault']));
+    }
+    res.json({ success: true });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// API: Get a client's packages and credit ledger
+app.get('/api/client/:id/packages', requireAdmin, async (req, res) => {
+  try {
+    const packages = await Package.find({ client: req.params.id }).sort({ createdAt: -1 });
+    const ledger = await mongoose.model('PackageLedger').find({ client: req.params.id })
+      .populate('actor', 'name')
+      .sort({ createdAt: -1 });
+    
+    res.json({ packages, ledger });
   } catch (error) {
-    res.status(500).json({ error: error.message });
+    sendError(res, error);
   }
 });
 
-// API: Add 8-session package to client
-app.post('/api/client/:id/add-package', requireAdmin, async (req, res) => {
+// API: Add a package to client
+app.post('/api/client/:id/add-package', requireAdmin, validate({
+  body: { productId: { type: 'objectId' }, paymentMethod: PAYMENT_METHOD }
+}), async (req, res) => {
   try {
     const clientId = req.params.id;
     const client = await User.findById(clientId);
@@ -778,15 +3341,53 @@ app.post('/api/client/:id/add-package', requireAdmin, async (req, res) => {
       return res.status(404).json({ error: 'Client not found' });
     }
 
-    // Add 8 sessions and set expiry to 90 days from now
-    const updatedClient = await User.findByIdAndUpdate(clientId, {
-      $inc: { activeSessions: 8 },
-      $set: { packageExpiry: moment().add(90, 'days').toDate() }
-    }, { new: true });
+    // Sell the chosen catalog product, or the default package if none was chosen
+    const { productId, paymentMethod } = req.body;
+    const product = productId
+      ? await PackageProduct.findOne({ _id: productId, isActive: true })
+      : await pricingService.getDefaultProduct();
+
+    if (!product) {
+      return res.status(404).json({ error: 'Package product not found' });
+    }
+
+    // Invoice the sale. When the client paid on the spot the invoice is settled
+    // first, so a failed payment leaves neither credits nor an open invoice.
+    let invoice = null;
+    if (product.price > 0) {
+      invoice = await paymentService.createInvoice({
+        client: clientId,
+        items: [{ description: `${product.name} (${product.credits} credits)`, quantity: 1, unitPrice: product.price }]
+      });
+
+      if (paymentMethod) {
+        const payment = await paymentService.payInvoice(invoice._id, 'manual', { method: paymentMethod, actor: req.user._id });
+        if (!payment.success) {
+          await paymentService.voidInvoice(invoice._id);
+          return res.status(400).json({ error: payment.error });
+        }
+        invoice = payment.invoice;
+        await auditRecord(req.user._id, 'invoice.record-payment', 'invoice', invoice,
+          { status: { from: 'open', to: 'paid' } }, paymentMethod);
+      }
+    }
+
+    const pkg = await packageService.purchasePackage(clientId, product, req.user._id, invoice && invoice._id);
+    if (invoice) {
+      invoice = await Invoice.findByIdAndUpdate(invoice._id, { $set: { package: pkg._id } }, { new: true });
+    }
+
+    const balance = await packageService.getBalance(clientId);
 
-    res.json({ success: true, client: updatedClient });
+    res.json({
+      success: true,
+      package: pkg,
+      invoice,
+      remainingCredits: balance.remainingCredits,
+      packageExpiry: balance.expiresAt
+    });
   } catch (error) {
-    res.status(400).json({ error: error.message });
+    sendError(res, error);
   }
 });
 
@@ -794,20 +3395,121 @@ app.post('/api/client/:id/add-package', requireAdmin, async (req, res) => {
 app.post('/api/client/:id/reset-package', requireAdmin, async (req, res) => {
   try {
     const clientId = req.params.id;
-    const updatedClient = await User.findByIdAndUpdate(clientId, {
-      $set: { 
-        activeSessions: 0,
-        packageExpiry: null 
-      }
-    }, { new: true });
+    const client = await User.findById(clientId);
 
-    if (!updatedClient) {
+    if (!client || client.role !== 'client') {
       return res.status(404).json({ error: 'Client not found' });
     }
 
-    res.json({ success: true, client: updatedClient });
+    const packagesReset = await packageService.resetPackages(clientId, req.user._id);
+
+    res.json({ success: true, packagesReset });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// API: Outstanding balances per client (open invoices)
+app.get('/api/balances', requireAdmin, async (req, res) => {
+  try {
+    const balances = await paymentService.getOutstandingBalances();
+    res.json(balances);
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// API: Get a client's invoices and payments
+app.get('/api/client/:id/invoices', requireAdmin, async (req, res) => {
+  try {
+    const invoices = await Invoice.find({ client: req.params.id }).sort({ createdAt: -1 });
+    const payments = await mongoose.model('Payment').find({ client: req.params.id })
+      .populate('recordedBy', 'name')
+      .sort({ createdAt: -1 });
+    
+    res.json({ invoices, payments });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// API: Client pays one of their invoices through the online provider
+app.post('/api/invoice/:id/pay', requireAuth, async (req, res) => {
+  try {
+    const invoice = await Invoice.findById(req.params.id);
+    
+    if (!invoice || invoice.client.toString() !== req.user._id.toString()) {
+      return res.status(404).json({ error: 'Invoice not found' });
+    }
+    
+    const result = await paymentService.payInvoice(invoice._id, paymentService.onlineProviderName());
+    if (!result.success) {
+      return res.status(400).json({ error: result.error });
+    }
+    
+    res.json({ success: true, invoice: result.invoice });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// Admins manage every invoice, trainers those of bookings on their own sessions
+// (the booking's invoice or its late-cancel or no-show fee). Package invoices are the studio's.
+async function canManageInvoice(user, invoiceId) {
+  if (user.role === 'admin') {
+    return true;
+  }
+  const booking = await Booking.findOne({ $or: [{ invoice: invoiceId }, { penaltyInvoice: invoiceId }] })
+    .populate('session', 'trainer');
+  return Boolean(booking && booking.session && canManageSession(user, booking.session));
+}
+
+// API: Trainer records a cash or bank transfer payment
+app.post('/api/invoice/:id/record-payment', requireTrainer, validate({
+  body: { method: { ...PAYMENT_METHOD, required: true }, reference: { type: 'string', maxLength: 200 } }
+}), async (req, res) => {
+  try {
+    const { method, reference } = req.body;
+    
+    if (!(await canManageInvoice(req.user, req.params.id))) {
+      return res.status(403).json({ error: 'Not authorized' });
+    }
+    
+    const result = await paymentService.payInvoice(req.params.id, 'manual', {
+      method,
+      reference,
+      actor: req.user._id
+    });
+    if (!result.success) {
+      return res.status(400).json({ error: result.error });
+    }
+    await auditRecord(req.user._id, 'invoice.record-payment', 'invoice', result.invoice,
+      { status: { from: 'open', to: 'paid' } }, [method, reference].filter(Boolean).join(': '));
+    
+    res.json({ success: true, invoice: result.invoice });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// API: Void an open invoice (e.g. the trainer waived the fee)
+app.post('/api/invoice/:id/void', requireAdmin, async (req, res) => {
+  try {
+    const invoice = await paymentService.voidInvoice(req.params.id);
+    if (!invoice) {
+      return res.status(400).json({ error: 'Only open invoices can be voided' });
+    }
+    await auditRecord(req.user._id, 'invoice.void', 'invoice', invoice, { status: { from: 'open', to: 'void' } }, invoice.number);
+    
+    res.json({ success: true, invoice });
   } catch (error) {
-    res.status(400).json({ error: error.message });
+    sendError(res, error);
   }
 });
 
+// Anything else under /api is an unknown route; errors passed on by middleware
+// (like a body that isn't valid JSON) get the same error format
+app.use('/api', validation.notFound);
+app.use('/api', validation.errorHandler);
+
+module.exports = { app, ready };
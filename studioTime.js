@@ -0,0 +1,95 @@
+const moment = require('moment');
+
+// Sessions are scheduled on the studio's wall clock: `date` is the calendar day
+// (stored as midnight UTC of that day) and `time` is "HH:MM" in this zone,
+// whatever zone the server itself runs in.
+const STUDIO_TIMEZONE = process.env.STUDIO_TIMEZONE || Intl.DateTimeFormat().resolvedOptions().timeZone;
+
+let formatter;
+try {
+  formatter = new Intl.DateTimeFormat('en-US', {
+    timeZone: STUDIO_TIMEZONE,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    second: '2-digit'
+  });
+} catch (error) {
+  throw new Error(`STUDIO_TIMEZONE "${STUDIO_TIMEZONE}" is not a valid IANA time zone`);
+}
+
+// Minutes the studio zone is ahead of UTC at `instant`
+function zoneOffset(instant) {
+  const parts = {};
+  for (const { type, value } of formatter.formatToParts(instant)) {
+    parts[type] = parseInt(value);
+  }
+  const wallClock = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+  return Math.round((wallClock - Math.floor(instant.getTime() / 1000) * 1000) / 60000);
+}
+
+// "YYYY-MM-DD" of a session date, or of a date string sent by a form
+function toDay(date) {
+  return moment.utc(date).format('YYYY-MM-DD');
+}
+
+// The stored form of a calendar day: midnight UTC
+function toSessionDate(date) {
+  return moment.utc(toDay(date)).toDate();
+}
+
+// Query on Session.date matching one calendar day
+function dayRange(date) {
+  const start = moment.utc(toDay(date));
+  return { $gte: start.toDate(), $lt: start.clone().add(1, 'day').toDate() };
+}
+
+// Query on Session.date matching one calendar month (month is 1-12)
+function monthRange(year, month) {
+  const start = moment.utc({ year, month: month - 1, day: 1 });
+  return { $gte: start.toDate(), $lt: start.clone().add(1, 'month').toDate() };
+}
+
+// A moment in UTC mode whose fields read as the studio's wall clock at `instant`.
+// Only for display and calendar arithmetic; compare instants, not these.
+function wallClock(instant) {
+  const date = instant ? new Date(instant) : new Date();
+  return moment.utc(date).add(zoneOffset(date), 'minutes');
+}
+
+// Today's calendar day in the studio, as a session date
+function today() {
+  return toSessionDate(wallClock().format('YYYY-MM-DD'));
+}
+
+// The instant a studio wall-clock day and "HH:MM" time happen. Times skipped by a
+// daylight-saving change resolve to the same clock reading after the change.
+function zonedInstant(date, time) {
+  const [hours, minutes] = time.split(':');
+  const wall = moment.utc(toDay(date)).hours(parseInt(hours)).minutes(parseInt(minutes)).valueOf();
+
+  // The offset at the first guess can be the wrong side of a DST change, so check it again
+  const guess = wall - zoneOffset(new Date(wall)) * 60000;
+  return new Date(wall - zoneOffset(new Date(guess)) * 60000);
+}
+
+// When a session starts, worked out from its date and time. Session.startsAt
+// stores this on every save; everything else reads startsAt.
+function sessionStart(session) {
+  return zonedInstant(session.date, session.time);
+}
+
+module.exports = {
+  STUDIO_TIMEZONE,
+  toDay,
+  toSessionDate,
+  dayRange,
+  monthRange,
+  wallClock,
+  today,
+  zonedInstant,
+  sessionStart
+};
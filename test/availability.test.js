@@ -0,0 +1,60 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const moment = require('moment');
+const { startApp } = require('./helpers');
+
+describe('trainer availability', () => {
+  let app;
+  let availabilityService;
+  let studioTime;
+  let trainer;
+
+  before(async () => {
+    app = await startApp();
+    availabilityService = require('../availabilityService');
+    studioTime = require('../studioTime');
+    trainer = await app.model('User').create({
+      name: 'Night Trainer',
+      email: 'night-trainer@example.com',
+      password: 'secret-password',
+      role: 'trainer'
+    });
+  });
+
+  after(async () => {
+    await app.stop();
+  });
+
+  it('sees a session that runs past midnight from the next day', async () => {
+    const day = moment.utc().add(10, 'days');
+    await app.model('Session').create({
+      date: day.format('YYYY-MM-DD'),
+      time: '22:00',
+      duration: 180,
+      exerciseType: 'regular-training',
+      maxCapacity: 4,
+      trainer: trainer._id,
+      createdBy: trainer._id,
+      price: 20,
+      packagePrice: 150
+    });
+
+    const nextDay = day.clone().add(1, 'day').format('YYYY-MM-DD');
+    const early = await availabilityService.checkSessionSlot({ trainerId: trainer._id, date: nextDay, time: '00:30', duration: 60 });
+    assert.equal(early.ok, false);
+    assert.match(early.reason, /already has a session/);
+
+    const later = await availabilityService.checkSessionSlot({ trainerId: trainer._id, date: nextDay, time: '01:00', duration: 60 });
+    assert.equal(later.ok, true);
+  });
+
+  it('offers no free slots that have already started', async () => {
+    const today = studioTime.wallClock().format('YYYY-MM-DD');
+    const slots = await availabilityService.getFreeSlots(trainer, today, today);
+
+    const now = Date.now();
+    for (const slot of slots) {
+      assert.ok(studioTime.zonedInstant(slot.date, slot.time).getTime() >= now, `${slot.date} ${slot.time} is in the past`);
+    }
+  });
+});
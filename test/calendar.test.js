@@ -0,0 +1,44 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const moment = require('moment');
+const { startApp, logIn, api } = require('./helpers');
+
+const PASSWORD = 'secret-password';
+
+describe('trainer calendar feed', () => {
+  let app;
+  let admin;
+  let cookie;
+
+  before(async () => {
+    app = await startApp();
+    admin = await app.model('User').create({ name: 'Feed Admin', email: 'feed-admin@example.com', password: PASSWORD, role: 'admin' });
+    cookie = await logIn(app.baseUrl, admin.email, PASSWORD);
+  });
+
+  after(async () => {
+    await app.stop();
+  });
+
+  it('bumps the event sequence when a session is rescheduled', async () => {
+    const calendarService = require('../calendarService');
+    const session = await app.model('Session').create({
+      date: moment.utc().add(7, 'days').format('YYYY-MM-DD'),
+      time: '10:00',
+      exerciseType: 'regular-training',
+      maxCapacity: 4,
+      trainer: admin._id,
+      createdBy: admin._id,
+      price: 20,
+      packagePrice: 150
+    });
+    assert.match(calendarService.trainerFeed(admin, [session]), /SEQUENCE:0/);
+
+    const moved = await api(app.baseUrl, cookie, 'PUT', `/api/session/${session._id}`, { time: '12:00' });
+    assert.equal(moved.status, 200);
+
+    const rescheduled = await app.model('Session').findById(session._id);
+    assert.equal(rescheduled.calendarSequence, 1);
+    assert.match(calendarService.trainerFeed(admin, [rescheduled]), /SEQUENCE:1/);
+  });
+});
@@ -0,0 +1,129 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const moment = require('moment');
+const { startApp, logIn, api } = require('./helpers');
+
+const PASSWORD = 'secret-password';
+const CLIENT_COUNT = 8;
+
+describe('session capacity under concurrent bookings', () => {
+  let app;
+  let admin;
+  let adminCookie;
+  const clients = [];
+
+  before(async () => {
+    app = await startApp();
+    const User = app.model('User');
+
+    admin = await User.create({ name: 'Admin Trainer', email: 'admin@example.com', password: PASSWORD, role: 'admin' });
+    adminCookie = await logIn(app.baseUrl, admin.email, PASSWORD);
+
+    for (let i = 0; i < CLIENT_COUNT; i++) {
+      const client = await User.create({ name: `Client ${i}`, email: `client${i}@example.com`, password: PASSWORD });
+      clients.push({ user: client, cookie: await logIn(app.baseUrl, client.email, PASSWORD) });
+    }
+  });
+
+  after(async () => {
+    await app.stop();
+  });
+
+  function createSession(maxCapacity) {
+    return app.model('Session').create({
+      date: moment.utc().add(7, 'days').format('YYYY-MM-DD'),
+      time: '10:00',
+      exerciseType: 'regular-training',
+      maxCapacity,
+      trainer: admin._id,
+      createdBy: admin._id,
+      price: 20,
+      packagePrice: 150
+    });
+  }
+
+  async function seatsTaken(sessionId) {
+    const session = await app.model('Session').findById(sessionId);
+    const bookings = await app.model('Booking').find({ session: sessionId, status: 'confirmed' });
+    return {
+      counter: session.currentBookings,
+      booked: bookings.reduce((sum, booking) => sum + booking.groupSize, 0),
+      maxCapacity: session.maxCapacity
+    };
+  }
+
+  function book(client, sessionId, groupSize) {
+    return api(app.baseUrl, client.cookie, 'POST', '/api/booking', { sessionId, groupSize });
+  }
+
+  it('hands out each seat once when reservations race for it', async () => {
+    const capacityService = require('../capacityService');
+    const session = await createSession(3);
+
+    const results = await Promise.all(
+      Array.from({ length: 20 }, () => capacityService.reserveSpots(session._id, 1))
+    );
+
+    assert.equal(results.filter(Boolean).length, 3);
+    const { counter } = await seatsTaken(session._id);
+    assert.equal(counter, 3);
+  });
+
+  it('never books more than the last seats when clients book at once', async () => {
+    const session = await createSession(4);
+    const first = await book(clients[0], session._id, 1);
+    assert.equal(first.status, 200);
+
+    // Three seats left: only one group of two fits
+    const results = await Promise.all(clients.slice(1).map(client => book(client, session._id, 2)));
+
+    const succeeded = results.filter(result => result.status === 200);
+    assert.equal(succeeded.length, 1);
+    for (const result of results.filter(r => r.status !== 200)) {
+      assert.equal(result.body.canJoinWaitlist, true);
+    }
+
+    const { counter, booked, maxCapacity } = await seatsTaken(session._id);
+    assert.equal(counter, 3);
+    assert.equal(booked, 3);
+    assert.ok(counter <= maxCapacity);
+  });
+
+  it('releases the seats of a cancelled booking once, however often it is cancelled', async () => {
+    const session = await createSession(4);
+    const booked = await book(clients[0], session._id, 2);
+    assert.equal(booked.status, 200);
+
+    const results = await Promise.all(Array.from({ length: 5 }, () =>
+      api(app.baseUrl, clients[0].cookie, 'DELETE', `/api/booking/${booked.body.booking._id}`, {})
+    ));
+
+    assert.equal(results.filter(result => result.status === 200).length, 1);
+    const { counter, booked: seats } = await seatsTaken(session._id);
+    assert.equal(counter, 0);
+    assert.equal(seats, 0);
+
+    // The freed seats can be booked again, still only up to capacity
+    const rebooked = await Promise.all(clients.map(client => book(client, session._id, 1)));
+    assert.equal(rebooked.filter(result => result.status === 200).length, 4);
+    assert.equal((await seatsTaken(session._id)).counter, 4);
+  });
+
+  it('releases every seat when the session is cancelled', async () => {
+    const session = await createSession(4);
+    const results = await Promise.all(clients.map(client => book(client, session._id, 1)));
+    assert.equal(results.filter(result => result.status === 200).length, 4);
+
+    const cancelled = await api(app.baseUrl, adminCookie, 'DELETE', `/api/session/${session._id}`, { reason: 'Trainer ill' });
+    assert.equal(cancelled.status, 200);
+
+    const { counter, booked } = await seatsTaken(session._id);
+    assert.equal(counter, 0);
+    assert.equal(booked, 0);
+
+    // Nothing can be booked on a cancelled session
+    const late = await book(clients[0], session._id, 1);
+    assert.equal(late.status, 400);
+    assert.equal((await seatsTaken(session._id)).counter, 0);
+  });
+});
@@ -0,0 +1,77 @@
+const mongoose = require('mongoose');
+const { MongoMemoryServer } = require('mongodb-memory-server');
+
+// Starts the app against a throwaway database: an in-memory mongod, or the
+// mongod at TEST_MONGODB_URI (each test file gets its own database there).
+// Returns { baseUrl, model, stop }.
+async function startApp() {
+  let mongod = null;
+  let uri;
+  if (process.env.TEST_MONGODB_URI) {
+    const url = new URL(process.env.TEST_MONGODB_URI);
+    url.pathname = `/ptb-test-${process.pid}`;
+    uri = url.toString();
+  } else {
+    mongod = await MongoMemoryServer.create();
+    uri = mongod.getUri('ptb-test');
+  }
+
+  Object.assign(process.env, {
+    MONGODB_URI: uri,
+    SESSION_STORE: 'memory',
+    SESSION_SECRET: 'test-secret',
+    STUDIO_TIMEZONE: process.env.STUDIO_TIMEZONE || 'Europe/Zagreb',
+    EMAIL_TRANSPORT: 'file',
+    EMAIL_FILE_DIR: require('path').join(require('os').tmpdir(), `ptb-test-mail-${process.pid}`)
+  });
+
+  const { app, ready } = require('../server');
+  await ready;
+
+  const server = await new Promise(resolve => {
+    const listening = app.listen(0, () => resolve(listening));
+  });
+
+  return {
+    baseUrl: `http://127.0.0.1:${server.address().port}`,
+    model: name => mongoose.model(name),
+    async stop() {
+      await mongoose.connection.dropDatabase();
+      await mongoose.disconnect();
+      await new Promise(resolve => server.close(resolve));
+      if (mongod) {
+        await mongod.stop();
+      }
+    }
+  };
+}
+
+// Log in through the login form and return the cookie header for later requests
+async function logIn(baseUrl, email, password) {
+  const res = await fetch(`${baseUrl}/login`, {
+    method: 'POST',
+    body: new URLSearchParams({ email, password }),
+    redirect: 'manual'
+  });
+  const cookie = res.headers.getSetCookie().map(header => header.split(';')[0]).join('; ');
+  if (res.status !== 302 || !cookie) {
+    throw new Error(`Login as ${email} failed with status ${res.status}`);
+  }
+  return cookie;
+}
+
+// JSON request as a logged-in user. Returns { status, body }.
+async function api(baseUrl, cookie, method, path, body) {
+  const res = await fetch(`${baseUrl}${path}`, {
+    method,
+    headers: { Cookie: cookie, 'Content-Type': 'application/json' },
+    body: body === undefined ? undefined : JSON.stringify(body)
+  });
+  return { status: res.status, body: await res.json() };
+}
+
+module.exports = {
+  startApp,
+  logIn,
+  api
+};
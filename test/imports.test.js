@@ -0,0 +1,36 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const moment = require('moment');
+const { startApp } = require('./helpers');
+
+describe('importing sessions from CSV', () => {
+  let app;
+  let importService;
+
+  before(async () => {
+    app = await startApp();
+    importService = require('../importService');
+    await app.model('User').create({ name: 'Import Trainer', email: 'import-trainer@example.com', password: 'secret-password', role: 'trainer' });
+  });
+
+  after(async () => {
+    await app.stop();
+  });
+
+  it('rejects rows for sessions that would already have started', async () => {
+    const past = moment.utc().subtract(2, 'days').format('YYYY-MM-DD');
+    const future = moment.utc().add(5, 'days').format('YYYY-MM-DD');
+    const text = [
+      'date,time,exerciseType,capacity,trainerEmail',
+      `${past},10:00,regular-training,4,import-trainer@example.com`,
+      `${future},10:00,regular-training,4,import-trainer@example.com`
+    ].join('\n');
+
+    const result = await importService.importSessions(text, { dryRun: false });
+
+    assert.equal(result.rows[0].status, 'error');
+    assert.equal(result.rows[0].errors.date, 'is in the past');
+    assert.equal(result.rows[1].status, 'created');
+    assert.equal(await app.model('Session').countDocuments({}), 1);
+  });
+});
@@ -0,0 +1,73 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startApp } = require('./helpers');
+
+describe('migrating legacy package counters', () => {
+  let app;
+  let packageService;
+  let trainer;
+
+  before(async () => {
+    app = await startApp();
+    packageService = require('../packageService');
+    trainer = await app.model('User').create({ name: 'Legacy Trainer', email: 'legacy-trainer@example.com', password: 'secret-password', role: 'admin' });
+  });
+
+  after(async () => {
+    await app.stop();
+  });
+
+  // A client as the old code left them: one package added (+8), then
+  // `booked` package bookings (+1 each) and `cancelled` of them cancelled (-1 each)
+  async function legacyClient(email, booked, cancelled) {
+    const client = await app.model('User').create({ name: 'Legacy Client', email, password: 'secret-password' });
+    await app.model('User').collection.updateOne(
+      { _id: client._id },
+      { $set: { activeSessions: 8 + booked - cancelled, packageExpiry: new Date(Date.now() + 30 * 24 * 60 * 60 * 1000) } }
+    );
+
+    for (let i = 0; i < booked; i++) {
+      const session = await app.model('Session').create({
+        date: '2099-01-05',
+        time: `${String(8 + i).padStart(2, '0')}:00`,
+        exerciseType: 'regular-training',
+        maxCapacity: 4,
+        trainer: trainer._id,
+        createdBy: trainer._id,
+        price: 20,
+        packagePrice: 150
+      });
+      await app.model('Booking').collection.insertOne({
+        session: session._id,
+        client: client._id,
+        groupSize: 1,
+        status: i < cancelled ? 'cancelled' : 'confirmed',
+        isPackageBooking: true
+      });
+    }
+    return client;
+  }
+
+  it('carries over only the credits left after legacy package bookings', async () => {
+    const client = await legacyClient('legacy-balance@example.com', 3, 1);
+
+    await packageService.migrateLegacyCounters();
+
+    const balance = await packageService.getBalance(client._id);
+    assert.equal(balance.remainingCredits, 6);
+    const user = await app.model('User').collection.findOne({ _id: client._id });
+    assert.equal(user.activeSessions, undefined);
+  });
+
+  it('does not create the package twice when a stopped migration runs again', async () => {
+    const client = await legacyClient('legacy-rerun@example.com', 0, 0);
+
+    await packageService.migrateLegacyCounters();
+    // As if the run stopped after creating the package but before clearing the counter
+    await app.model('User').collection.updateOne({ _id: client._id }, { $set: { activeSessions: 8 } });
+    await packageService.migrateLegacyCounters();
+
+    assert.equal(await app.model('Package').countDocuments({ client: client._id }), 1);
+    assert.equal((await packageService.getBalance(client._id)).remainingCredits, 8);
+  });
+});
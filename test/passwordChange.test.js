@@ -0,0 +1,58 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startApp, logIn, api } = require('./helpers');
+
+const PASSWORD = 'secret-password';
+const NEW_PASSWORD = 'another-secret-password';
+
+describe('changing a password', () => {
+  let app;
+
+  before(async () => {
+    app = await startApp();
+  });
+
+  after(async () => {
+    await app.stop();
+  });
+
+  async function bearerToken(email, password) {
+    const res = await fetch(`${app.baseUrl}/api/v1/auth/token`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ email, password })
+    });
+    return (await res.json()).token;
+  }
+
+  function me(token) {
+    return fetch(`${app.baseUrl}/api/v1/me`, { headers: { Authorization: `Bearer ${token}` } });
+  }
+
+  it('logs out the other sessions and revokes API tokens', async () => {
+    const user = await app.model('User').create({ name: 'Changing Client', email: 'changer@example.com', password: PASSWORD });
+    const laptop = await logIn(app.baseUrl, user.email, PASSWORD);
+    const phone = await logIn(app.baseUrl, user.email, PASSWORD);
+    const token = await bearerToken(user.email, PASSWORD);
+    assert.equal((await me(token)).status, 200);
+
+    const changed = await api(app.baseUrl, laptop, 'PUT', '/api/me/password', { currentPassword: PASSWORD, newPassword: NEW_PASSWORD });
+    assert.equal(changed.status, 200);
+
+    assert.equal((await api(app.baseUrl, laptop, 'GET', '/api/me/calendar')).status, 200);
+    assert.equal((await api(app.baseUrl, phone, 'GET', '/api/me/calendar')).status, 401);
+    assert.equal((await me(token)).status, 401);
+  });
+
+  it('locks out guessing the current password', async () => {
+    const user = await app.model('User').create({ name: 'Guessed Client', email: 'guessed@example.com', password: PASSWORD });
+    const cookie = await logIn(app.baseUrl, user.email, PASSWORD);
+
+    const guesses = [];
+    for (let i = 0; i < 6; i++) {
+      guesses.push(await api(app.baseUrl, cookie, 'PUT', '/api/me/password', { currentPassword: `guess-${i}`, newPassword: NEW_PASSWORD }));
+    }
+
+    assert.deepEqual(guesses.map(guess => guess.status), [400, 400, 400, 400, 400, 429]);
+  });
+});
@@ -0,0 +1,88 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startApp } = require('./helpers');
+
+describe('paying an invoice', () => {
+  let app;
+  let paymentService;
+  let client;
+  const charges = [];
+
+  before(async () => {
+    app = await startApp();
+    paymentService = require('../paymentService');
+    client = await app.model('User').create({ name: 'Paying Client', email: 'payer@example.com', password: 'secret-password' });
+
+    // Slow card processor that records every charge it is asked for
+    paymentService.registerProvider('test-card', {
+      online: true,
+      async charge(invoice, { decline }) {
+        charges.push(invoice._id.toString());
+        await new Promise(resolve => setTimeout(resolve, 50));
+        return decline
+          ? { status: 'failed', error: 'Card declined' }
+          : { status: 'succeeded', reference: `test_${charges.length}` };
+      }
+    });
+  });
+
+  after(async () => {
+    await app.stop();
+  });
+
+  function createInvoice() {
+    return paymentService.createInvoice({
+      client: client._id,
+      items: [{ description: 'Regular Training session', quantity: 1, unitPrice: 25 }]
+    });
+  }
+
+  it('charges only once when payments arrive together', async () => {
+    const invoice = await createInvoice();
+
+    const results = await Promise.all(
+      Array.from({ length: 5 }, () => paymentService.payInvoice(invoice._id, 'test-card'))
+    );
+
+    assert.equal(results.filter(result => result.success).length, 1);
+    assert.equal(charges.filter(id => id === invoice._id.toString()).length, 1);
+    assert.equal((await app.model('Invoice').findById(invoice._id)).status, 'paid');
+    assert.equal(await app.model('Payment').countDocuments({ invoice: invoice._id, status: 'succeeded' }), 1);
+  });
+
+  it('reopens the invoice when the charge fails', async () => {
+    const invoice = await createInvoice();
+
+    const declined = await paymentService.payInvoice(invoice._id, 'test-card', { decline: true });
+    assert.equal(declined.success, false);
+    assert.equal((await app.model('Invoice').findById(invoice._id)).status, 'open');
+
+    const paid = await paymentService.payInvoice(invoice._id, 'test-card');
+    assert.equal(paid.success, true);
+    assert.equal(paid.invoice.status, 'paid');
+  });
+
+  it('takes over a claim left behind by a payment that never finished', async () => {
+    const invoice = await createInvoice();
+    await app.model('Invoice').updateOne(
+      { _id: invoice._id },
+      { $set: { status: 'processing', processingUntil: new Date(Date.now() - 1000) } }
+    );
+
+    const paid = await paymentService.payInvoice(invoice._id, 'test-card');
+    assert.equal(paid.success, true);
+  });
+
+  it('keeps counting an invoice as outstanding while it is being paid', async () => {
+    const invoice = await createInvoice();
+    await app.model('Invoice').updateOne(
+      { _id: invoice._id },
+      { $set: { status: 'processing', processingUntil: new Date(Date.now() + 60 * 1000) } }
+    );
+
+    const balances = await paymentService.getOutstandingBalances();
+    const row = balances.find(balance => balance.client._id.equals(client._id));
+    assert.ok(row);
+    assert.ok(row.outstanding >= invoice.total);
+  });
+});
@@ -0,0 +1,59 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+
+process.env.STUDIO_TIMEZONE = 'Europe/Zagreb';
+const studioTime = require('../studioTime');
+
+// The studio runs on Zagreb time whatever zone the server is in
+const SERVER_TIME_ZONES = ['UTC', 'Europe/Zagreb', 'America/New_York'];
+
+for (const timeZone of SERVER_TIME_ZONES) {
+  describe(`studio time on a server in ${timeZone}`, () => {
+    const originalTimeZone = process.env.TZ;
+
+    before(() => {
+      process.env.TZ = timeZone;
+    });
+
+    after(() => {
+      if (originalTimeZone === undefined) {
+        delete process.env.TZ;
+      } else {
+        process.env.TZ = originalTimeZone;
+      }
+    });
+
+    it('stores a calendar day as midnight UTC', () => {
+      assert.equal(studioTime.toSessionDate('2027-03-28').toISOString(), '2027-03-28T00:00:00.000Z');
+      assert.equal(studioTime.toDay(new Date('2027-03-28T00:00:00Z')), '2027-03-28');
+    });
+
+    it('places sessions on the studio wall clock either side of the spring DST change', () => {
+      assert.equal(studioTime.zonedInstant('2027-03-27', '10:00').toISOString(), '2027-03-27T09:00:00.000Z');
+      assert.equal(studioTime.zonedInstant('2027-03-28', '10:00').toISOString(), '2027-03-28T08:00:00.000Z');
+      assert.equal(studioTime.zonedInstant('2027-03-28', '00:00').toISOString(), '2027-03-27T23:00:00.000Z');
+    });
+
+    it('moves a time skipped by the spring change to the same reading after it', () => {
+      const start = studioTime.zonedInstant('2027-03-28', '02:30');
+      assert.equal(start.toISOString(), '2027-03-28T01:30:00.000Z');
+      assert.equal(studioTime.wallClock(start).format('YYYY-MM-DD HH:mm'), '2027-03-28 03:30');
+    });
+
+    it('places sessions on the studio wall clock either side of the autumn DST change', () => {
+      assert.equal(studioTime.zonedInstant('2027-10-30', '10:00').toISOString(), '2027-10-30T08:00:00.000Z');
+      assert.equal(studioTime.zonedInstant('2027-10-31', '10:00').toISOString(), '2027-10-31T09:00:00.000Z');
+    });
+
+    it('reads instants back as studio wall-clock times', () => {
+      assert.equal(studioTime.wallClock(new Date('2027-03-28T08:00:00Z')).format('YYYY-MM-DD HH:mm'), '2027-03-28 10:00');
+      assert.equal(studioTime.wallClock(new Date('2027-10-31T23:30:00Z')).format('YYYY-MM-DD HH:mm'), '2027-11-01 00:30');
+    });
+
+    it('keeps 24 hours before a session 24 real hours across a DST change', () => {
+      const start = studioTime.sessionStart({ date: new Date('2027-03-28T00:00:00Z'), time: '10:00' });
+      const dayBefore = new Date(start.getTime() - 24 * 60 * 60 * 1000);
+      assert.equal(studioTime.wallClock(dayBefore).format('YYYY-MM-DD HH:mm'), '2027-03-27 09:00');
+    });
+  });
+}
@@ -0,0 +1,138 @@
+const { describe, it, before, after, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { startApp } = require('./helpers');
+
+const HOUR = 60 * 60 * 1000;
+
+// Sessions on the days Zagreb changes clocks, and when they really start
+const DST_SESSIONS = [
+  { label: 'spring', date: '2024-03-31', time: '10:00', startsAt: '2024-03-31T08:00:00.000Z' },
+  { label: 'autumn', date: '2024-10-27', time: '10:00', startsAt: '2024-10-27T09:00:00.000Z' }
+];
+
+// The studio runs on Zagreb time whatever zone the server is in
+const SERVER_TIME_ZONES = ['UTC', 'Europe/Zagreb', 'America/New_York'];
+
+describe('scheduling across server time zones and DST changes', () => {
+  let app;
+  let trainer;
+  const originalTimeZone = process.env.TZ;
+
+  before(async () => {
+    process.env.STUDIO_TIMEZONE = 'Europe/Zagreb';
+    app = await startApp();
+    trainer = await app.model('User').create({
+      name: 'Zone Trainer',
+      email: 'zone-trainer@example.com',
+      password: 'secret-password',
+      role: 'trainer'
+    });
+  });
+
+  after(async () => {
+    mock.timers.reset();
+    if (originalTimeZone === undefined) {
+      delete process.env.TZ;
+    } else {
+      process.env.TZ = originalTimeZone;
+    }
+    await app.stop();
+  });
+
+  // Pretend it is `instant`; the sessions here lie in the past of the real clock
+  function setNow(instant) {
+    mock.timers.reset();
+    mock.timers.enable({ apis: ['Date'], now: new Date(instant).getTime() });
+  }
+
+  async function createSession({ date, time }) {
+    const session = await app.model('Session').create({
+      date,
+      time,
+      exerciseType: 'regular-training',
+      maxCapacity: 4,
+      trainer: trainer._id,
+      createdBy: trainer._id,
+      price: 0,
+      packagePrice: 150
+    });
+    return app.model('Session').findById(session._id).populate('trainer');
+  }
+
+  function createClient(timeZone, label) {
+    const slug = `${timeZone.replace(/\W/g, '-')}-${label}`.toLowerCase();
+    return app.model('User').create({ name: `Client ${slug}`, email: `${slug}@example.com`, password: 'secret-password' });
+  }
+
+  function reminderLog(booking, type) {
+    return app.model('NotificationLog').findOne({ booking: booking._id, type });
+  }
+
+  for (const timeZone of SERVER_TIME_ZONES) {
+    describe(`server in ${timeZone}`, () => {
+      before(() => {
+        process.env.TZ = timeZone;
+      });
+
+      after(() => {
+        mock.timers.reset();
+      });
+
+      for (const dst of DST_SESSIONS) {
+        it(`stores the start instant of a session on the ${dst.label} DST day`, async () => {
+          const session = await createSession(dst);
+          assert.equal(session.startsAt.toISOString(), dst.startsAt);
+        });
+
+        it(`books until the ${dst.label} DST session starts, with the deadline 24 real hours before`, async () => {
+          const bookingActions = require('../bookingActions');
+          const start = new Date(dst.startsAt).getTime();
+          const session = await createSession(dst);
+
+          setNow(start - 7 * 24 * HOUR);
+          const early = await bookingActions.book(session, await createClient(timeZone, `${dst.label}-early`), { groupSize: 1 });
+          assert.equal(early.success, true);
+          assert.equal(early.booking.cancellationDeadline.toISOString(), new Date(start - 24 * HOUR).toISOString());
+          assert.equal(early.booking.canCancel, true);
+
+          setNow(start - 60 * 1000);
+          const lastMinute = await bookingActions.book(session, await createClient(timeZone, `${dst.label}-last`), { groupSize: 1 });
+          assert.equal(lastMinute.success, true);
+          assert.equal(lastMinute.booking.canCancel, false);
+
+          setNow(start + 60 * 1000);
+          const late = await bookingActions.book(session, await createClient(timeZone, `${dst.label}-late`), { groupSize: 1 });
+          assert.equal(late.success, false);
+          assert.equal(late.error, 'Session not available');
+        });
+
+        it(`sends reminders 24 and 2 real hours before the ${dst.label} DST session`, async () => {
+          const reminderScheduler = require('../reminderScheduler');
+          const start = new Date(dst.startsAt).getTime();
+          const session = await createSession(dst);
+          const client = await createClient(timeZone, `${dst.label}-reminded`);
+
+          setNow(start - 3 * 24 * HOUR + 30 * 1000);
+          const booking = await app.model('Booking').create({ session: session._id, client: client._id, groupSize: 1 });
+
+          setNow(start - 24 * HOUR - 30 * 1000);
+          await reminderScheduler.sendRemindersNow();
+          assert.equal(await reminderLog(booking, 'reminder-24h'), null);
+
+          setNow(start - 24 * HOUR + 30 * 1000);
+          await reminderScheduler.sendRemindersNow();
+          assert.equal((await reminderLog(booking, 'reminder-24h')).status, 'sent');
+          assert.equal(await reminderLog(booking, 'reminder-2h'), null);
+
+          setNow(start - 2 * HOUR - 30 * 1000);
+          await reminderScheduler.sendRemindersNow();
+          assert.equal(await reminderLog(booking, 'reminder-2h'), null);
+
+          setNow(start - 2 * HOUR + 30 * 1000);
+          await reminderScheduler.sendRemindersNow();
+          assert.equal((await reminderLog(booking, 'reminder-2h')).status, 'sent');
+        });
+      }
+    });
+  }
+});
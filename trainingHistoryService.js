@@ -0,0 +1,118 @@
+const mongoose = require('mongoose');
+const moment = require('moment');
+
+// A client's bookings over time, for the "My training" page: upcoming, past and
+// cancelled bookings a page at a time, and what happened in each month.
+
+const VIEWS = ['upcoming', 'past', 'cancelled'];
+
+function Booking() {
+  return mongoose.model('Booking');
+}
+
+// Bookings joined to their session, so they can be filtered and sorted by when the session starts
+function withSessions(clientId) {
+  return [
+    { $match: { client: new mongoose.Types.ObjectId(clientId) } },
+    { $lookup: { from: 'sessions', localField: 'session', foreignField: '_id', as: 'session' } },
+    { $unwind: '$session' }
+  ];
+}
+
+function viewStages(view, now) {
+  switch (view) {
+    case 'upcoming':
+      return [{ $match: { status: 'confirmed', 'session.startsAt': { $gt: now } } }, { $sort: { 'session.startsAt': 1 } }];
+    case 'past':
+      return [{ $match: { status: 'confirmed', 'session.startsAt': { $lte: now } } }, { $sort: { 'session.startsAt': -1 } }];
+    case 'cancelled':
+      return [{ $match: { status: 'cancelled' } }, { $sort: { cancelledAt: -1, 'session.startsAt': -1 } }];
+    default:
+      throw new Error(`Unknown history view ${view}`);
+  }
+}
+
+function bookingSummary(booking) {
+  const { session } = booking;
+  return {
+    _id: booking._id,
+    status: booking.status,
+    groupSize: booking.groupSize,
+    isPackageBooking: booking.isPackageBooking,
+    creditsUsed: booking.creditsUsed,
+    price: booking.price,
+    paymentStatus: booking.paymentStatus,
+    attendance: booking.attendance,
+    lateCancellation: booking.lateCancellation,
+    penaltyWaived: booking.penaltyWaived,
+    cancelledAt: booking.cancelledAt || null,
+    cancellationReason: booking.cancellationReason,
+    session: {
+      _id: session._id,
+      date: session.date,
+      time: session.time,
+      startsAt: session.startsAt,
+      duration: session.duration,
+      exerciseType: session.exerciseType,
+      status: session.status,
+      trainer: session.trainer ? { _id: session.trainer._id, name: session.trainer.name } : null
+    }
+  };
+}
+
+// One page of a client's bookings in `view` ('upcoming', 'past' or 'cancelled').
+// Returns { bookings, pagination: { page, limit, total, pages } }.
+async function getBookings(clientId, view, { page = 1, limit = 20 } = {}) {
+  const [result] = await Booking().aggregate([
+    ...withSessions(clientId),
+    ...viewStages(view, new Date()),
+    {
+      $facet: {
+        items: [{ $skip: (page - 1) * limit }, { $limit: limit }],
+        total: [{ $count: 'count' }]
+      }
+    }
+  ]);
+
+  const items = await Booking().populate(result.items, { path: 'session.trainer', model: 'User', select: 'name' });
+  const total = result.total.length > 0 ? result.total[0].count : 0;
+  return {
+    bookings: items.map(bookingSummary),
+    pagination: { page, limit, total, pages: Math.ceil(total / limit) }
+  };
+}
+
+// What happened in each of the last `months` calendar months with a booking, newest first:
+// { month: 'YYYY-MM', sessions, attended, noShows, cancelled, lateCancellations, creditsUsed, spent }.
+// Sessions count confirmed bookings; spent is what single bookings cost.
+async function getMonthlyTotals(clientId, months = 12) {
+  // Session dates are calendar days stored as midnight UTC, so UTC months are studio months
+  const since = moment.utc().startOf('month').subtract(months - 1, 'months').toDate();
+  const confirmed = { $eq: ['$status', 'confirmed'] };
+
+  const rows = await Booking().aggregate([
+    ...withSessions(clientId),
+    { $match: { 'session.date': { $gte: since } } },
+    {
+      $group: {
+        _id: { $dateToString: { format: '%Y-%m', date: '$session.date' } },
+        sessions: { $sum: { $cond: [confirmed, 1, 0] } },
+        attended: { $sum: { $cond: [{ $eq: ['$attendance', 'attended'] }, 1, 0] } },
+        noShows: { $sum: { $cond: [{ $eq: ['$attendance', 'no-show'] }, 1, 0] } },
+        cancelled: { $sum: { $cond: [confirmed, 0, 1] } },
+        lateCancellations: { $sum: { $cond: [{ $and: [{ $not: [confirmed] }, '$lateCancellation'] }, 1, 0] } },
+        creditsUsed: { $sum: { $cond: [{ $and: [confirmed, '$isPackageBooking'] }, '$creditsUsed', 0] } },
+        spent: { $sum: { $cond: [{ $and: [confirmed, { $not: ['$isPackageBooking'] }] }, '$price', 0] } }
+      }
+    },
+    { $sort: { _id: -1 } }
+  ]);
+
+  return rows.map(({ _id, ...totals }) => ({ month: _id, ...totals }));
+}
+
+module.exports = {
+  VIEWS,
+  getBookings,
+  getMonthlyTotals
+};
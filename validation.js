@@ -0,0 +1,275 @@
+const mongoose = require('mongoose');
+const moment = require('moment');
+
+// Every /api error response has the form { error, code, fields? }: `error` is a
+// message for people, `code` is for programs and `fields` maps each invalid
+// request field to what is wrong with it
+const ERROR_CODES = {
+  400: 'bad_request',
+  401: 'unauthorized',
+  403: 'forbidden',
+  404: 'not_found',
+  409: 'conflict',
+  429: 'too_many_requests',
+  500: 'internal_error'
+};
+
+class ApiError extends Error {
+  constructor(status, message, { code, fields } = {}) {
+    super(message);
+    this.status = status;
+    this.code = code || ERROR_CODES[status] || ERROR_CODES[500];
+    this.fields = fields;
+  }
+}
+
+function validationError(fields) {
+  const message = Object.entries(fields).map(([field, problem]) => `${field} ${problem}`).join('; ');
+  return new ApiError(400, message, { code: 'validation_failed', fields });
+}
+
+function isObjectId(value) {
+  return typeof value === 'string' && /^[0-9a-f]{24}$/i.test(value);
+}
+
+function isEmpty(value) {
+  return value === undefined || value === null || value === '';
+}
+
+function rangeProblem(value, rule, noun) {
+  if (rule.min !== undefined && value < rule.min) {
+    return rule.max !== undefined ? `must be ${noun} from ${rule.min} to ${rule.max}` : `must be at least ${rule.min}`;
+  }
+  if (rule.max !== undefined && value > rule.max) {
+    return rule.min !== undefined ? `must be ${noun} from ${rule.min} to ${rule.max}` : `must be at most ${rule.max}`;
+  }
+  return null;
+}
+
+// Check one value against its rule. Returns { value } with the value converted
+// to its type (form fields arrive as strings), or { problem }.
+function checkValue(value, rule, path, problems) {
+  switch (rule.type) {
+    case 'string': {
+      if (typeof value !== 'string') {
+        return { problem: 'must be text' };
+      }
+      if (rule.enum && !rule.enum.includes(value)) {
+        return { problem: `must be one of: ${rule.enum.join(', ')}` };
+      }
+      if (rule.maxLength && value.length > rule.maxLength) {
+        return { problem: `must be at most ${rule.maxLength} characters` };
+      }
+      return { value };
+    }
+    case 'email': {
+      const email = typeof value === 'string' ? value.trim() : '';
+      if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email) || email.length > 254) {
+        return { problem: 'must be an email address' };
+      }
+      return { value: email };
+    }
+    case 'integer':
+    case 'number': {
+      const number = typeof value === 'string' && value.trim() !== '' ? Number(value) : value;
+      const noun = rule.type === 'integer' ? 'a whole number' : 'a number';
+      if (typeof number !== 'number' || !Number.isFinite(number) || (rule.type === 'integer' && !Number.isInteger(number))) {
+        return { problem: rule.min !== undefined && rule.max !== undefined ? rangeProblem(-Infinity, rule, noun) : `must be ${noun}` };
+      }
+      const problem = rangeProblem(number, rule, noun);
+      return problem ? { problem } : { value: number };
+    }
+    case 'boolean': {
+      if (value === true || value === 'true' || value === 'on') {
+        return { value: true };
+      }
+      if (value === false || value === 'false') {
+        return { value: false };
+      }
+      return { problem: 'must be true or false' };
+    }
+    case 'objectId':
+      return isObjectId(value) ? { value } : { problem: 'must be a valid id' };
+    case 'date':
+      return typeof value === 'string' && moment.utc(value, 'YYYY-MM-DD', true).isValid()
+        ? { value }
+        : { problem: 'must be a date (YYYY-MM-DD)' };
+    case 'datetime': {
+      const date = new Date(value);
+      return typeof value === 'string' && !isNaN(date) ? { value: date } : { problem: 'must be a date and time' };
+    }
+    case 'time':
+      return typeof value === 'string' && /^([01]\d|2[0-3]):[0-5]\d$/.test(value)
+        ? { value }
+        : { problem: 'must be a time (HH:MM)' };
+    case 'array': {
+      if (!Array.isArray(value)) {
+        return { problem: 'must be a list' };
+      }
+      if (rule.minItems && value.length < rule.minItems) {
+        return { problem: `must have at least ${rule.minItems} item${rule.minItems === 1 ? '' : 's'}` };
+      }
+      if (rule.maxItems && value.length > rule.maxItems) {
+        return { problem: `must have at most ${rule.maxItems} items` };
+      }
+      const items = value.map((item, index) => checkField(item, rule.items, `${path}.${index}`, problems));
+      return { value: items };
+    }
+    case 'object': {
+      if (!value || typeof value !== 'object' || Array.isArray(value)) {
+        return { problem: 'must be an object' };
+      }
+      return { value: checkFields(value, rule.fields, `${path}.`, problems) };
+    }
+    default:
+      throw new Error(`Unknown validation type ${rule.type}`);
+  }
+}
+
+function checkField(value, rule, path, problems) {
+  if (value === null && rule.nullable) {
+    return null;
+  }
+  // Empty text stays text (it clears a description); for anything else it means "not given"
+  if (isEmpty(value) && !(value === '' && rule.type === 'string' && !rule.enum)) {
+    if (rule.required) {
+      problems[path] = 'is required';
+    }
+    return undefined;
+  }
+  if (value === '' && rule.required) {
+    problems[path] = 'is required';
+    return undefined;
+  }
+
+  const result = checkValue(value, rule, path, problems);
+  if (result.problem) {
+    problems[path] = result.problem;
+    return undefined;
+  }
+  return result.value;
+}
+
+// Check the fields of `source` against `rules`. Only fields with a rule are kept.
+function checkFields(source, rules, prefix, problems) {
+  const values = {};
+  for (const [name, rule] of Object.entries(rules)) {
+    const value = checkField(source[name], rule, `${prefix}${name}`, problems);
+    if (value !== undefined) {
+      values[name] = value;
+    }
+  }
+  return values;
+}
+
+// Check one record outside a request (e.g. a row of an imported file) against field rules.
+// Returns { values, problems }; problems maps each invalid field to what is wrong with it.
+function checkRecord(source, rules) {
+  const problems = {};
+  const values = checkFields(source, rules, '', problems);
+  return { values, problems };
+}
+
+// Route middleware checking req.params, req.query and/or req.body against field
+// rules ({ type, required, nullable, min, max, maxLength, enum, items, fields, minItems, maxItems }).
+// Each checked part is replaced by its converted values, so fields without a rule never
+// reach the route; a request with invalid fields gets a 400 naming every one of them.
+function validate(schema) {
+  return (req, res, next) => {
+    const problems = {};
+    for (const part of ['params', 'query', 'body']) {
+      if (schema[part]) {
+        req[part] = checkFields(req[part] || {}, schema[part], '', problems);
+      }
+    }
+
+    if (Object.keys(problems).length > 0) {
+      return sendError(res, validationError(problems));
+    }
+    next();
+  };
+}
+
+// app.param handler: a path id that can't be an ObjectId can't name anything
+function objectIdParam(req, res, next, value) {
+  if (!isObjectId(value)) {
+    return sendError(res, new ApiError(404, 'Not found'));
+  }
+  next();
+}
+
+// Translate errors from Mongoose, the body parser or anywhere else into ApiErrors.
+// Unexpected errors are logged and reported without their internals.
+function toApiError(error) {
+  if (error instanceof ApiError) {
+    return error;
+  }
+  if (error instanceof mongoose.Error.ValidationError) {
+    const fields = {};
+    for (const [path, fieldError] of Object.entries(error.errors)) {
+      fields[path] = fieldError instanceof mongoose.Error.CastError ? 'is invalid' : fieldError.message;
+    }
+    return new ApiError(400, Object.values(error.errors).map(e => e.message).join('; '), { code: 'validation_failed', fields });
+  }
+  if (error instanceof mongoose.Error.CastError) {
+    if (error.path === '_id') {
+      return new ApiError(404, 'Not found');
+    }
+    return validationError({ [error.path]: 'is invalid' });
+  }
+  if (error.code === 11000) {
+    return new ApiError(409, 'A record with these details already exists');
+  }
+  if (error.type === 'entity.parse.failed') {
+    return new ApiError(400, 'The request body is not valid JSON', { code: 'invalid_json' });
+  }
+
+  console.error('Unexpected API error:', error);
+  return new ApiError(500, 'Something went wrong. Please try again.');
+}
+
+function sendError(res, error) {
+  const apiError = toApiError(error);
+  const body = { error: apiError.message, code: apiError.code };
+  if (apiError.fields) {
+    body.fields = apiError.fields;
+  }
+  res.status(apiError.status).json(body);
+}
+
+// Middleware for /api: error responses written directly by routes, like
+// res.status(404).json({ error: 'Session not found' }), get the code for their status
+function errorCodes(req, res, next) {
+  const json = res.json.bind(res);
+  res.json = (body) => {
+    if (res.statusCode >= 400 && body && typeof body.error === 'string' && !body.code) {
+      body = { ...body, code: ERROR_CODES[res.statusCode] || ERROR_CODES[res.statusCode >= 500 ? 500 : 400] };
+    }
+    return json(body);
+  };
+  next();
+}
+
+// Last handlers for /api: unknown routes and errors passed to next()
+function notFound(req, res) {
+  sendError(res, new ApiError(404, 'Not found'));
+}
+
+function errorHandler(error, req, res, next) {
+  if (res.headersSent) {
+    return next(error);
+  }
+  sendError(res, error);
+}
+
+module.exports = {
+  ApiError,
+  isObjectId,
+  checkRecord,
+  validate,
+  objectIdParam,
+  sendError,
+  errorCodes,
+  notFound,
+  errorHandler
+};
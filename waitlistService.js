@@ -0,0 +1,75 @@
+const mongoose = require('mongoose');
+const bookingService = require('./bookingService');
+const emailService = require('./emailService');
+const cancellationPolicyService = require('./cancellationPolicyService');
+
+// Move waiting parties into freed seats, oldest first. A party is only
+// promoted while the session is still outside its cancellation window, so
+// nobody is locked into a booking they never had a chance to cancel.
+// Clients who haven't confirmed their email address can't book, so they keep
+// their place in line until they do.
+// Returns the bookings that were created.
+async function promoteWaitlist(sessionId) {
+  const Session = mongoose.model('Session');
+  const WaitlistEntry = mongoose.model('WaitlistEntry');
+
+  const session = await Session.findById(sessionId).populate('trainer');
+  if (!session || !session.isActive) {
+    return [];
+  }
+
+  const cancellationDeadline = await cancellationPolicyService.cancellationDeadline(session);
+  if (new Date() >= cancellationDeadline) {
+    return [];
+  }
+
+  const entries = await WaitlistEntry.find({ session: session._id, status: 'waiting' })
+    .populate('client')
+    .sort({ createdAt: 1 });
+
+  const promoted = [];
+  let spotsLeft = session.maxCapacity - session.currentBookings;
+
+  for (const entry of entries) {
+    if (spotsLeft <= 0) {
+      break;
+    }
+    if (entry.groupSize > spotsLeft || !entry.client || !entry.client.emailVerified) {
+      continue;
+    }
+
+    const result = await bookingService.createBooking({
+      session,
+      client: entry.client,
+      groupSize: entry.groupSize,
+      isPackageBooking: entry.isPackageBooking,
+      note: 'Promoted from the waitlist'
+    });
+
+    if (!result.success) {
+      // Out of package credits, or someone else took the seats meanwhile
+      console.log(`Could not promote waitlist entry ${entry._id}: ${result.error}`);
+      continue;
+    }
+
+    entry.status = 'promoted';
+    entry.booking = result.booking._id;
+    entry.promotedAt = new Date();
+    await entry.save();
+
+    spotsLeft -= entry.groupSize;
+    promoted.push(result.booking);
+
+    try {
+      await emailService.sendWaitlistPromotion(result.booking, session, entry.client, session.trainer);
+    } catch (emailError) {
+      console.error('Error sending waitlist promotion email:', emailError);
+    }
+  }
+
+  return promoted;
+}
+
+module.exports = {
+  promoteWaitlist
+};